@@ -1,6 +1,6 @@
 // Authentication utilities for Prodit
 import bcrypt from 'bcrypt';
-import { createUser, findUserByEmail, findUserById, updateUserLastLogin } from './database/db.js';
+import { createUser, findUserByEmail, findUserById } from './database/db.js';
 import { createOrganization, getOrganizationById, canAccessSystem, setEmailVerificationToken } from './database/organizations.js';
 
 const SALT_ROUNDS = 10;
@@ -53,14 +53,16 @@ export async function registerUser({ email, password, fullName, companyName, acc
     isAdmin: true // First user is always org admin
   });
 
-  // Generate email verification token (but don't send email yet)
-  // await setEmailVerificationToken(user.id);
+  // Generate email verification token (the caller emails the link)
+  const verificationToken = await setEmailVerificationToken(user.id);
 
   return {
     id: user.id,
     email: user.email,
     fullName: user.full_name,
     isAdmin: user.is_admin || false,
+    emailVerified: false,
+    verificationToken,
     organizationId: organization.id,
     organization: {
       id: organization.id,
@@ -73,6 +75,7 @@ export async function registerUser({ email, password, fullName, companyName, acc
   };
 }
 
+// Checks the password only; the caller records the login once any second factor has been checked too
 export async function loginUser({ email, password }) {
   const user = await findUserByEmail(email.toLowerCase());
   if (!user) {
@@ -90,22 +93,22 @@ export async function loginUser({ email, password }) {
     throw new Error('Organization not found');
   }
 
-  // Update last login
-  await updateUserLastLogin(user.id);
-
   return {
     id: user.id,
     email: user.email,
     fullName: user.full_name,
     isAdmin: user.is_admin || false,
     isSuperAdmin: user.is_super_admin || false,
+    emailVerified: Boolean(user.email_verified),
+    twoFactorEnabled: Boolean(user.totp_enabled),
     organizationId: organization.id,
     organization: {
       id: organization.id,
       companyName: organization.company_name,
       accountType: organization.account_type,
       trialEndDate: organization.trial_end_date,
-      subscriptionStatus: organization.subscription_status
+      subscriptionStatus: organization.subscription_status,
+      requireTwoFactor: Boolean(organization.require_two_factor)
     },
     lastLogin: new Date()
   };
@@ -131,6 +134,8 @@ export async function attachUser(req, res, next) {
       const user = await findUserById(req.session.userId);
       req.isAdmin = user?.is_admin || false;
       req.isSuperAdmin = user?.is_super_admin || false;
+      req.emailVerified = Boolean(user?.email_verified);
+      req.twoFactorEnabled = Boolean(user?.totp_enabled);
 
       // Fetch organization
       if (user?.organization_id) {
@@ -168,6 +173,18 @@ export function requireSuperAdmin(req, res, next) {
   next();
 }
 
+// Middleware for organizations that require two-factor authentication: until a user has enrolled
+// they can only reach the sign-in and enrollment endpoints
+export function requireTwoFactorEnrollment(req, res, next) {
+  if (!req.userId || req.twoFactorEnabled || !req.organization?.require_two_factor) {
+    return next();
+  }
+  return res.status(403).json({
+    error: 'Your organization requires two-factor authentication. Set it up to continue.',
+    twoFactorSetupRequired: true
+  });
+}
+
 // Middleware to check trial/subscription status
 export function requireActiveSubscription(req, res, next) {
   // Super admins bypass subscription checks
@@ -0,0 +1,62 @@
+// Billing webhook helpers for Prodit
+// Events follow Stripe's subscription webhooks and signing scheme, so Stripe (or a local stand-in, see
+// billingStandIn.js) can post to /api/billing/webhook signed with BILLING_WEBHOOK_SECRET.
+import crypto from 'crypto';
+
+export const BILLING_SIGNATURE_HEADER = 'stripe-signature';
+
+// Signed events older (or newer) than this are rejected, so a captured request can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function computeSignature(payload, secret, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`, 'utf8').digest('hex');
+}
+
+/**
+ * Build a signature header value ("t=<unix seconds>,v1=<hex hmac>") for a raw JSON payload
+ */
+export function signBillingPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+}
+
+/**
+ * Check a webhook signature header against the raw request body.
+ * @returns {boolean} true when one of the v1 signatures matches and the timestamp is recent
+ */
+export function verifyBillingSignature(payload, header, secret, now = Date.now()) {
+  if (!header || !secret) return false;
+
+  const parts = header.split(',').map(part => part.trim().split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value || '');
+  if (!Number.isFinite(timestamp) || signatures.length === 0) return false;
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+  return signatures.some(signature => {
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+}
+
+/**
+ * What a subscription event means for an organization.
+ * @returns {Object|null} { action: 'activate'|'cancel', organizationId, customerId, subscriptionId },
+ *   or null for events that don't change access (other event types, past_due, incomplete, ...)
+ */
+export function subscriptionChange(event) {
+  const subscription = event?.data?.object;
+  if (!subscription || !String(event.type || '').startsWith('customer.subscription.')) return null;
+
+  const organizationId = parseInt(subscription.metadata?.organization_id) || null;
+  const change = {
+    organizationId,
+    customerId: typeof subscription.customer === 'string' ? subscription.customer : subscription.customer?.id || null,
+    subscriptionId: subscription.id || null
+  };
+
+  if (event.type === 'customer.subscription.deleted') return { action: 'cancel', ...change };
+  if (subscription.status === 'active') return { action: 'activate', ...change };
+  if (subscription.status === 'canceled' || subscription.status === 'unpaid') return { action: 'cancel', ...change };
+  return null;
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signBillingPayload, verifyBillingSignature, subscriptionChange } from './billing.js';
+
+const SECRET = 'whsec_test';
+const PAYLOAD = JSON.stringify({ id: 'evt_1', type: 'customer.subscription.updated' });
+const NOW = Date.UTC(2025, 0, 1);
+const nowSeconds = Math.floor(NOW / 1000);
+
+test('a payload signed with the secret verifies', () => {
+  const header = signBillingPayload(PAYLOAD, SECRET, nowSeconds);
+  assert.equal(verifyBillingSignature(PAYLOAD, header, SECRET, NOW), true);
+});
+
+test('a changed payload, another secret or a missing header is rejected', () => {
+  const header = signBillingPayload(PAYLOAD, SECRET, nowSeconds);
+  assert.equal(verifyBillingSignature(PAYLOAD.replace('evt_1', 'evt_2'), header, SECRET, NOW), false);
+  assert.equal(verifyBillingSignature(PAYLOAD, header, 'whsec_other', NOW), false);
+  assert.equal(verifyBillingSignature(PAYLOAD, undefined, SECRET, NOW), false);
+  assert.equal(verifyBillingSignature(PAYLOAD, header, undefined, NOW), false);
+});
+
+test('signatures older or newer than five minutes are rejected, so captured requests cannot be replayed', () => {
+  assert.equal(verifyBillingSignature(PAYLOAD, signBillingPayload(PAYLOAD, SECRET, nowSeconds - 299), SECRET, NOW), true);
+  assert.equal(verifyBillingSignature(PAYLOAD, signBillingPayload(PAYLOAD, SECRET, nowSeconds - 301), SECRET, NOW), false);
+  assert.equal(verifyBillingSignature(PAYLOAD, signBillingPayload(PAYLOAD, SECRET, nowSeconds + 301), SECRET, NOW), false);
+});
+
+test('any one matching v1 signature is enough (secrets being rolled)', () => {
+  const good = signBillingPayload(PAYLOAD, SECRET, nowSeconds).split(',')[1];
+  const header = `t=${nowSeconds},v1=${'0'.repeat(64)},${good}`;
+  assert.equal(verifyBillingSignature(PAYLOAD, header, SECRET, NOW), true);
+});
+
+test('malformed headers are rejected rather than throwing', () => {
+  assert.equal(verifyBillingSignature(PAYLOAD, 'garbage', SECRET, NOW), false);
+  assert.equal(verifyBillingSignature(PAYLOAD, `t=${nowSeconds}`, SECRET, NOW), false);
+  assert.equal(verifyBillingSignature(PAYLOAD, `t=${nowSeconds},v1=abc`, SECRET, NOW), false);
+});
+
+test('subscription events map to activate or cancel', () => {
+  const event = (type, status) => ({ type, data: { object: { id: 'sub_1', customer: 'cus_1', status, metadata: { organization_id: '7' } } } });
+  assert.deepEqual(subscriptionChange(event('customer.subscription.created', 'active')),
+    { action: 'activate', organizationId: 7, customerId: 'cus_1', subscriptionId: 'sub_1' });
+  assert.equal(subscriptionChange(event('customer.subscription.deleted', 'active')).action, 'cancel');
+  assert.equal(subscriptionChange(event('customer.subscription.updated', 'unpaid')).action, 'cancel');
+  assert.equal(subscriptionChange(event('customer.subscription.updated', 'past_due')), null);
+  assert.equal(subscriptionChange(event('invoice.paid', 'active')), null);
+});
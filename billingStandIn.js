@@ -0,0 +1,50 @@
+// Local stand-in for the billing provider: posts a signed subscription event to the webhook
+// Usage: node billingStandIn.js <active|canceled|unpaid|deleted> <organizationId> [customerId]
+import axios from 'axios';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { BILLING_SIGNATURE_HEADER, signBillingPayload } from './billing.js';
+
+dotenv.config();
+
+const [status, organizationId, customerId = `cus_local_${organizationId}`] = process.argv.slice(2);
+const url = process.env.BILLING_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/billing/webhook`;
+const secret = process.env.BILLING_WEBHOOK_SECRET;
+
+async function sendEvent() {
+  if (!['active', 'canceled', 'unpaid', 'deleted'].includes(status) || !organizationId) {
+    throw new Error('Usage: node billingStandIn.js <active|canceled|unpaid|deleted> <organizationId> [customerId]');
+  }
+  if (!secret) {
+    throw new Error('BILLING_WEBHOOK_SECRET is not set');
+  }
+
+  const event = {
+    id: `evt_local_${crypto.randomBytes(8).toString('hex')}`,
+    type: status === 'deleted' ? 'customer.subscription.deleted' : 'customer.subscription.updated',
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      object: {
+        id: `sub_local_${organizationId}`,
+        customer: customerId,
+        status: status === 'deleted' ? 'canceled' : status,
+        metadata: { organization_id: String(organizationId) }
+      }
+    }
+  };
+  const payload = JSON.stringify(event);
+
+  console.log(`[Billing stand-in] Posting ${event.type} (${event.data.object.status}) for organization ${organizationId} to ${url}`);
+  const resp = await axios.post(url, payload, {
+    headers: { 'Content-Type': 'application/json', [BILLING_SIGNATURE_HEADER]: signBillingPayload(payload, secret) },
+    validateStatus: () => true
+  });
+  console.log(`[Billing stand-in] ${resp.status}`, resp.data);
+}
+
+sendEvent()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('[Billing stand-in]', error.message);
+    process.exit(1);
+  });
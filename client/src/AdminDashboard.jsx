@@ -1,17 +1,32 @@
 import React, { useEffect, useState } from 'react'
-import { logout } from './api.js'
+import { logout, getSelectedTenant, listInvites, inviteUser } from './api.js'
+import TenantSwitcher from './TenantSwitcher.jsx'
+import VerifyEmailNotice from './VerifyEmailNotice.jsx'
+import PendingInvites from './UserInvites.jsx'
+import ChangeLog from './ChangeHistory.jsx'
+import ApprovalQueue from './ChangeRequests.jsx'
+import PricingSettings from './PricingSettings.jsx'
+import TwoFactorSettings, { RequireTwoFactorSetting } from './TwoFactor.jsx'
 
 const BUILD_LABEL = 'v3.0 SaaS'
 
-export default function AdminDashboard({ user, onLogout }) {
+const VIEW_TITLES = {
+  dashboard: 'Dashboard',
+  users: 'User Management',
+  approvals: 'Approvals',
+  changelog: 'Change Log'
+}
+
+export default function AdminDashboard({ user, connections = [], tenantId, onSwitchTenant, onConnectionsChanged, onLogout }) {
   const [users, setUsers] = useState([])
   const [xeroStatus, setXeroStatus] = useState({ connected: false })
   const [loading, setLoading] = useState(false)
   const [message, setMessage] = useState('')
-  const [showCreateUser, setShowCreateUser] = useState(false)
+  const [showInviteUser, setShowInviteUser] = useState(false)
+  const [invites, setInvites] = useState([])
   const [editingUser, setEditingUser] = useState(null)
   const [theme, setTheme] = useState(document.documentElement.getAttribute('data-theme') || 'light')
-  const [activeView, setActiveView] = useState('dashboard') // 'dashboard' or 'users'
+  const [activeView, setActiveView] = useState('dashboard') // 'dashboard', 'users', 'approvals' or 'changelog'
 
   function toggleTheme() {
     const next = theme === 'light' ? 'dark' : 'light'
@@ -36,10 +51,20 @@ export default function AdminDashboard({ user, onLogout }) {
     }
   }
 
+  async function loadInvites() {
+    try {
+      setInvites((await listInvites()).invites || [])
+    } catch (error) {
+      setMessage(`Failed to load invitations: ${error.message}`)
+    }
+  }
+
   async function loadXeroStatus() {
     try {
+      const tenant = getSelectedTenant()
       const response = await fetch('/api/admin/xero/status', {
-        credentials: 'include'
+        credentials: 'include',
+        headers: tenant ? { 'X-Xero-Tenant': tenant } : {}
       })
       const data = await response.json()
       if (response.ok) {
@@ -52,15 +77,19 @@ export default function AdminDashboard({ user, onLogout }) {
 
   useEffect(() => {
     loadUsers()
-    loadXeroStatus()
+    loadInvites()
   }, [])
 
-  async function handleCreateUser(e) {
+  useEffect(() => {
+    loadXeroStatus()
+  }, [tenantId])
+
+  async function handleInviteUser(e) {
     e.preventDefault()
     const formData = new FormData(e.target)
 
     setLoading(true)
-    setMessage('Creating user...')
+    setMessage('Sending invitation...')
 
     // Extract field permissions
     const fieldPermissions = {
@@ -77,32 +106,20 @@ export default function AdminDashboard({ user, onLogout }) {
     }
 
     try {
-      const response = await fetch('/api/admin/users', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({
-          email: formData.get('email'),
-          password: formData.get('password'),
-          fullName: formData.get('fullName'),
-          isAdmin: formData.get('isAdmin') === 'on',
-          fieldPermissions
-        })
+      const { invite } = await inviteUser({
+        email: formData.get('email'),
+        fullName: formData.get('fullName'),
+        isAdmin: formData.get('isAdmin') === 'on',
+        requiresApproval: formData.get('requiresApproval') === 'on',
+        fieldPermissions
       })
-
-      const data = await response.json()
-
-      if (response.ok) {
-        setMessage('User created successfully!')
-        setShowCreateUser(false)
-        e.target.reset()
-        await loadUsers()
-      } else {
-        setMessage(`Error: ${data.error}`)
-      }
+      setMessage(`Invitation sent to ${invite.email}.`)
+      setShowInviteUser(false)
+      e.target.reset()
     } catch (error) {
       setMessage(`Error: ${error.message}`)
     } finally {
+      await loadInvites()
       setLoading(false)
     }
   }
@@ -132,6 +149,7 @@ export default function AdminDashboard({ user, onLogout }) {
       email: formData.get('email'),
       fullName: formData.get('fullName'),
       isAdmin: formData.get('isAdmin') === 'on',
+      requiresApproval: formData.get('requiresApproval') === 'on',
       fieldPermissions
     }
 
@@ -222,8 +240,37 @@ export default function AdminDashboard({ user, onLogout }) {
     }
   }
 
+  async function resetTwoFactor(userId, userEmail) {
+    if (!confirm(`Reset two-factor authentication for ${userEmail}? They will be signed out and can sign in with just their password until they set it up again.`)) {
+      return
+    }
+
+    setLoading(true)
+    setMessage('Resetting two-factor...')
+
+    try {
+      const response = await fetch(`/api/admin/users/${userId}/reset-2fa`, {
+        method: 'POST',
+        credentials: 'include'
+      })
+
+      const data = await response.json()
+
+      if (response.ok) {
+        setMessage(`Two-factor reset for ${userEmail}.`)
+        await loadUsers()
+      } else {
+        setMessage(`Error: ${data.error}`)
+      }
+    } catch (error) {
+      setMessage(`Error: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
   async function disconnectXero() {
-    if (!confirm('Are you sure you want to disconnect the system Xero connection? All users will lose access.')) {
+    if (!confirm(`Are you sure you want to disconnect ${xeroStatus.tenantName || 'Xero'}? Your organization's users will lose access to it.`)) {
       return
     }
 
@@ -231,15 +278,18 @@ export default function AdminDashboard({ user, onLogout }) {
     setMessage('Disconnecting Xero...')
 
     try {
+      const tenant = getSelectedTenant()
       const response = await fetch('/api/admin/xero/disconnect', {
         method: 'DELETE',
-        credentials: 'include'
+        credentials: 'include',
+        headers: tenant ? { 'X-Xero-Tenant': tenant } : {}
       })
 
       const data = await response.json()
 
       if (response.ok) {
         setMessage('Xero connection disconnected successfully!')
+        if (onConnectionsChanged) await onConnectionsChanged()
         await loadXeroStatus()
       } else {
         setMessage(`Error: ${data.error}`)
@@ -293,6 +343,28 @@ export default function AdminDashboard({ user, onLogout }) {
               <span>User Management</span>
             </button>
 
+            <button
+              className={`admin-nav-item ${activeView === 'approvals' ? 'active' : ''}`}
+              onClick={() => setActiveView('approvals')}
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M9 11l3 3L22 4"></path>
+                <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
+              </svg>
+              <span>Approvals</span>
+            </button>
+
+            <button
+              className={`admin-nav-item ${activeView === 'changelog' ? 'active' : ''}`}
+              onClick={() => setActiveView('changelog')}
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="12" cy="12" r="10"></circle>
+                <polyline points="12 6 12 12 16 14"></polyline>
+              </svg>
+              <span>Change Log</span>
+            </button>
+
             <button className="admin-nav-item" onClick={() => window.location.href = '/auth/xero'}>
               <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                 <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"></path>
@@ -317,8 +389,10 @@ export default function AdminDashboard({ user, onLogout }) {
       <div className="admin-main">
         <header className="admin-header">
           <div className="admin-header-content">
-            <h2>{activeView === 'dashboard' ? 'Dashboard' : 'User Management'}</h2>
+            <h2>{VIEW_TITLES[activeView]}</h2>
             <div className="admin-header-actions">
+              <TenantSwitcher connections={connections} tenantId={tenantId} onSwitch={onSwitchTenant} />
+              {user.isSuperAdmin && <a href="/superadmin" className="btn-link">Super admin</a>}
               <span className="admin-user-badge">{user.email}</span>
               <button onClick={handleLogout} className="btn-secondary">Logout</button>
             </div>
@@ -326,6 +400,13 @@ export default function AdminDashboard({ user, onLogout }) {
         </header>
 
         <div className="admin-content">
+          <VerifyEmailNotice user={user} />
+          {user.subscription && !user.subscription.active && (
+            <div className="alert alert-info">
+              Your organization's {user.subscription.status === 'cancelled' ? 'subscription has been cancelled' : 'trial has ended'}, so items can no longer be edited.
+              {user.upgradeUrl && <> <a href={user.upgradeUrl}>Upgrade now</a></>}
+            </div>
+          )}
           {message && <div className="alert alert-info">{message}</div>}
 
           {activeView === 'dashboard' && (
@@ -354,7 +435,7 @@ export default function AdminDashboard({ user, onLogout }) {
 
           {activeView === 'dashboard' && (
             <div className="admin-card">
-              <h3>System Xero Connection</h3>
+              <h3>Xero Connection</h3>
               {xeroStatus.connected ? (
                 <div className="xero-connected">
                   <div className="info-grid">
@@ -389,32 +470,44 @@ export default function AdminDashboard({ user, onLogout }) {
             </div>
           )}
 
+          {activeView === 'dashboard' && <PricingSettings key={tenantId} />}
+
+          {activeView === 'dashboard' && <TwoFactorSettings user={user} />}
+
+          {activeView === 'approvals' && <ApprovalQueue key={tenantId} />}
+
+          {activeView === 'changelog' && <ChangeLog key={tenantId} />}
+
           {activeView === 'users' && (
             <>
               <div className="admin-card">
                 <div className="card-header">
-                  <h3>Users</h3>
-                  <button className="btn-primary" onClick={() => setShowCreateUser(!showCreateUser)}>
+                  <h3>{user.organizationName ? `Users in ${user.organizationName}` : 'Users'}</h3>
+                  <button className="btn-primary" onClick={() => setShowInviteUser(!showInviteUser)}>
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" style={{ marginRight: '8px' }}>
                       <line x1="12" y1="5" x2="12" y2="19"></line>
                       <line x1="5" y1="12" x2="19" y2="12"></line>
                     </svg>
-                    {showCreateUser ? 'Cancel' : 'Create New User'}
+                    {showInviteUser ? 'Cancel' : 'Invite User'}
                   </button>
                 </div>
 
-                {showCreateUser && (
+                {showInviteUser && (
                   <div className="create-user-form">
-                    <form onSubmit={handleCreateUser}>
-                      <h4>Create New User</h4>
+                    <form onSubmit={handleInviteUser}>
+                      <h4>Invite User</h4>
+                      <p className="small">We'll email them a link to choose their own password and join your organization.</p>
                       <div className="form-grid">
                         <input type="email" name="email" placeholder="Email" required />
                         <input type="text" name="fullName" placeholder="Full Name (optional)" />
-                        <input type="password" name="password" placeholder="Password (min 8 characters)" required minLength={8} />
                         <label className="checkbox-label">
                           <input type="checkbox" name="isAdmin" />
                           <span>Make this user an admin</span>
                         </label>
+                        <label className="checkbox-label">
+                          <input type="checkbox" name="requiresApproval" />
+                          <span>Edits need admin approval</span>
+                        </label>
                       </div>
 
                       <div className="permissions-section">
@@ -463,7 +556,7 @@ export default function AdminDashboard({ user, onLogout }) {
                         </div>
                       </div>
 
-                      <button type="submit" className="btn-primary" disabled={loading}>Create User</button>
+                      <button type="submit" className="btn-primary" disabled={loading}>Send Invitation</button>
                     </form>
                   </div>
                 )}
@@ -509,6 +602,14 @@ export default function AdminDashboard({ user, onLogout }) {
                           />
                           <span>Admin user</span>
                         </label>
+                        <label className="checkbox-label">
+                          <input
+                            type="checkbox"
+                            name="requiresApproval"
+                            defaultChecked={editingUser.requires_approval}
+                          />
+                          <span>Edits need admin approval</span>
+                        </label>
                       </div>
 
                       <div className="permissions-section">
@@ -573,6 +674,7 @@ export default function AdminDashboard({ user, onLogout }) {
                           <th>Full Name</th>
                           <th>Status</th>
                           <th>Role</th>
+                          <th>2FA</th>
                           <th>Created</th>
                           <th>Last Login</th>
                           <th>Actions</th>
@@ -590,7 +692,9 @@ export default function AdminDashboard({ user, onLogout }) {
                             </td>
                             <td>
                               {u.is_admin ? <span className="badge">Admin</span> : <span className="role-user">User</span>}
+                              {!u.is_admin && u.requires_approval && <span className="small"> · needs approval</span>}
                             </td>
+                            <td>{u.totp_enabled ? <span className="badge badge-success">On</span> : <span className="small">Off</span>}</td>
                             <td>{new Date(u.created_at).toLocaleDateString()}</td>
                             <td>{u.last_login ? new Date(u.last_login).toLocaleDateString() : <span className="small">Never</span>}</td>
                             <td>
@@ -610,6 +714,15 @@ export default function AdminDashboard({ user, onLogout }) {
                                   >
                                     {u.is_active ? 'Deactivate' : 'Activate'}
                                   </button>
+                                  {u.totp_enabled && (
+                                    <button
+                                      onClick={() => resetTwoFactor(u.id, u.email)}
+                                      disabled={loading}
+                                      className="btn-sm btn-secondary"
+                                    >
+                                      Reset 2FA
+                                    </button>
+                                  )}
                                   <button
                                     onClick={() => deleteUser(u.id, u.email)}
                                     disabled={loading}
@@ -629,6 +742,8 @@ export default function AdminDashboard({ user, onLogout }) {
                   </div>
                 )}
               </div>
+              <PendingInvites invites={invites} onChanged={loadInvites} />
+              <RequireTwoFactorSetting />
             </>
           )}
         </div>
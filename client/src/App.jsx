@@ -1,10 +1,27 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react'
 const BUILD_LABEL = 'v3.0 SaaS'
-import { register, login, logout, getMe, getStatus, searchItems, updateItems, getTaxRates, getAccounts } from './api.js'
+import { register, login, verifyLoginCode, logout, getMe, onSubscriptionRequired, requestPasswordReset, resetPassword, getInvite, acceptInvite, getStatus, getConnections, setSelectedTenant, searchItems, syncItems, itemsExportUrl, previewImport, updateItems, lowMarginGuard, saveDraft, getTaxRates, getAccounts } from './api.js'
 import AdminDashboard from './AdminDashboard.jsx'
+import SuperAdminConsole from './SuperAdminConsole.jsx'
+import SubscriptionRequired from './SubscriptionRequired.jsx'
+import { TwoFactorSetupRequired, SecurityDialog } from './TwoFactor.jsx'
+import VerifyEmailNotice from './VerifyEmailNotice.jsx'
+import ImportPreview from './ImportPreview.jsx'
+import BulkPriceDialog from './BulkPriceDialog.jsx'
+import NewItemDialog from './NewItemDialog.jsx'
+import DraftsDialog from './DraftsDialog.jsx'
+import ScheduledChangesDialog from './ScheduledChanges.jsx'
+import ItemFilters, { EMPTY_FILTERS, countActiveFilters } from './ItemFilters.jsx'
+import ChangeLog, { ItemHistoryDrawer } from './ChangeHistory.jsx'
+import { ChangeRequestNotices } from './ChangeRequests.jsx'
+import PercentInput from './PercentInput.jsx'
+import TenantSwitcher, { TenantPicker } from './TenantSwitcher.jsx'
+import { validateItemUpdate } from '../../items.js'
+import { grossMargin, markup, priceForTarget, findLowMargins, describeLowMargins } from '../../margins.js'
 
 const PAGE_LIMIT = 8
 const PREFETCH_AHEAD = 3
+const SAVE_BATCH_SIZE = 50
 
 function useDebounced(value, delay=500) {
   const [v, setV] = useState(value)
@@ -14,6 +31,19 @@ function useDebounced(value, delay=500) {
 
 function setDeep(obj, path, value) { const [a,b]=path.split('.'); return { ...obj, [a]: { ...(obj[a]||{}), [b]: value } } }
 
+// Overlay pending (unsaved) changes onto freshly fetched rows so edits survive page navigation
+function applyPending(rows, changes) {
+  return rows.map(it => {
+    const pending = changes[it.ItemID]
+    if (!pending) return it
+    const out = { ...it }
+    for (const [k, v] of Object.entries(pending)) {
+      out[k] = (typeof v === 'object' && v !== null && !Array.isArray(v)) ? { ...(it[k]||{}), ...v } : v
+    }
+    return out
+  })
+}
+
 function normaliseChanges(changes) {
   const out = {}
   for (const [k, v] of Object.entries(changes)) {
@@ -26,26 +56,60 @@ function normaliseChanges(changes) {
   return out
 }
 
+// Summarize items Xero refused to save ("CODE: reason; ...")
+function describeFailed(results) {
+  return results.map(r => `${r.Code || r.ItemID}: ${r.errors.map(e => e.message).join(', ') || 'not saved'}`).join('; ')
+}
+
 export default function App() {
   const [user, setUser] = useState(null)
   const [authLoading, setAuthLoading] = useState(true)
-  const [authMode, setAuthMode] = useState('login') // 'login' or 'signup'
+  const [resetToken] = useState(() => window.location.pathname === '/reset-password' ? new URLSearchParams(window.location.search).get('token') : null)
+  const [inviteToken] = useState(() => window.location.pathname === '/accept-invite' ? new URLSearchParams(window.location.search).get('token') : null)
+  const [invite, setInvite] = useState(null) // { email, fullName, organizationName } for the invite being accepted
+  const [authMode, setAuthMode] = useState(resetToken ? 'reset' : inviteToken ? 'invite' : 'login') // 'login', 'twoFactor', 'signup', 'forgot', 'reset' or 'invite'
+  const [showSecurity, setShowSecurity] = useState(false)
 
   const [connected, setConnected] = useState(false)
   const [loading, setLoading] = useState(false)
   const [query, setQuery] = useState('')
   const q = useDebounced(query, 400)
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const debouncedFilters = useDebounced(filters, 400)
+  const [showFilters, setShowFilters] = useState(false)
+  const [sort, setSort] = useState(() => {
+    try { return { key: 'name', direction: 'asc', ...(JSON.parse(localStorage.getItem('prodit-sort')||'{}')) } } catch { return { key: 'name', direction: 'asc' } }
+  })
   const [page, setPage] = useState(1)
   const [items, setItems] = useState([])
   const [note, setNote] = useState('')
+  const [total, setTotal] = useState(0)
+  const [totalPages, setTotalPages] = useState(1)
   const [changed, setChanged] = useState({})
   const [message, setMessage] = useState('')
   const [taxRates, setTaxRates] = useState([])
   const [accounts, setAccounts] = useState([])
   const [tenantName, setTenantName] = useState('')
+  const [tenantId, setTenantId] = useState(null)
+  const [connections, setConnections] = useState([])
+  const [choosingTenant, setChoosingTenant] = useState(() => new URLSearchParams(window.location.search).has('chooseTenant'))
+  const [importPreview, setImportPreview] = useState(null)
+  const [importFileName, setImportFileName] = useState('')
+  const [showBulkPrice, setShowBulkPrice] = useState(false)
+  const [showNewItem, setShowNewItem] = useState(false)
+  const [showDrafts, setShowDrafts] = useState(false)
+  const [showScheduled, setShowScheduled] = useState(false)
+  const [draft, setDraft] = useState(null) // { id, name } of the draft loaded into the editor
+  const [serverErrors, setServerErrors] = useState({}) // ItemID -> [{ field, message }] from the last rejected save
+  const [requestsKey, setRequestsKey] = useState(0) // Bumped after submitting change requests so notices reload
+  const [historyItem, setHistoryItem] = useState(null)
+  const [subscriptionLapse, setSubscriptionLapse] = useState(null) // { subscriptionStatus, trialEndDate } once the trial or subscription has lapsed
+  const [view, setView] = useState('items') // 'items' or 'changelog'
 
   const pageCache = useRef({})
   const prefetching = useRef(false)
+  const importInput = useRef(null)
+  const itemCodes = useRef({}) // ItemID -> Code for every item seen, so off-page changes can be saved
 
   const [theme, setTheme] = useState(document.documentElement.getAttribute('data-theme') || 'light')
 
@@ -56,18 +120,33 @@ export default function App() {
 
   // Check auth status on mount
   useEffect(() => {
+    // The Xero callback names the organization it connected (or asks the user to pick one)
+    const params = new URLSearchParams(window.location.search)
+    if (params.get('tenant')) setSelectedTenant(params.get('tenant'))
+    // ...and the verification email link reports whether the address was confirmed
+    if (params.get('emailVerified') === 'true') setMessage('Thanks, your email address is confirmed.')
+    if (params.get('emailVerified') === 'invalid') setMessage('That verification link is invalid or has expired. Sign in to request a new one.')
+    if (params.has('connected') || params.has('emailVerified')) window.history.replaceState(null, '', window.location.pathname)
+    onSubscriptionRequired(setSubscriptionLapse)
+    if (inviteToken) getInvite(inviteToken).then(setInvite).catch(err => setMessage(err.message))
     getMe().then(userData => {
       if (userData) {
         setUser(userData)
+        if (userData.subscription && !userData.subscription.active) {
+          setSubscriptionLapse({ subscriptionStatus: userData.subscription.status, trialEndDate: userData.subscription.trialEndDate })
+        }
       }
     }).finally(() => setAuthLoading(false))
   }, [])
 
   async function loadStatus() {
     try {
-      const status = await getStatus()
+      const [status, conns] = await Promise.all([getStatus(), getConnections().catch(()=>({ connections: [] }))])
       setConnected(status.connected)
       setTenantName(status.tenantName || '')
+      setTenantId(status.tenantId || null)
+      setSelectedTenant(status.tenantId || null)
+      setConnections(conns.connections || [])
     } catch (e) {
       setConnected(false)
     }
@@ -95,64 +174,93 @@ export default function App() {
     if (connected) {
       loadMetadata()
     }
-  }, [connected])
+  }, [connected, tenantId])
 
   async function fetchPage(p) {
-    const data = await searchItems({ query: q, page: p, limit: PAGE_LIMIT })
+    const data = await searchItems({ query: q, filters: debouncedFilters, page: p, limit: PAGE_LIMIT, sort: sort.key, direction: sort.direction })
     const rows = data?.Items || []
     pageCache.current[p] = rows
-    return rows.length
+    for (const it of rows) itemCodes.current[it.ItemID] = it.Code
+    setTotal(data?.total || 0); setTotalPages(data?.totalPages || 1)
+    return data?.totalPages || 1
   }
 
+  // Pending edits are kept across searches, filters and sorting; they are saved by ItemID wherever they were made
   async function loadItems() {
     if (!connected) return
-    setLoading(true); setItems([]); setNote(''); setChanged({}); pageCache.current = {}
+    setLoading(true); setItems([]); setNote(''); pageCache.current = {}
     setPage(1) // Reset to page 1 when loading new items
     try {
-      const count = await fetchPage(1)
-      setItems(pageCache.current[1] || [])
-      setNote(count === 0 ? 'No results on page 1' : '')
-      prefetchAhead(2)
+      const pages = await fetchPage(1)
+      setItems(applyPending(pageCache.current[1] || [], changed))
+      setNote((pageCache.current[1] || []).length === 0 ? 'No matching items' : '')
+      prefetchAhead(2, pages)
     } finally { setLoading(false) }
   }
 
-  function prefetchAhead(startPage) {
+  function prefetchAhead(startPage, lastPage = totalPages) {
     if (prefetching.current) return
     prefetching.current = true
     let p = startPage
     const tick = async () => {
       try {
-        if (p - startPage >= PREFETCH_AHEAD) { prefetching.current = false; return }
+        if (p - startPage >= PREFETCH_AHEAD || p > lastPage) { prefetching.current = false; return }
         if (pageCache.current[p]) { p += 1; setTimeout(tick, 200); return }
-        const got = await fetchPage(p)
-        if (got === 0) { prefetching.current = false; return }
+        await fetchPage(p)
         p += 1; setTimeout(tick, 200)
       } catch { prefetching.current = false }
     }
     setTimeout(tick, 300)
   }
 
-  useEffect(() => { loadItems() }, [q, connected])
+  useEffect(() => { loadItems() }, [q, debouncedFilters, sort, connected, tenantId])
+  useEffect(() => { localStorage.setItem('prodit-sort', JSON.stringify(sort)) }, [sort])
   useEffect(() => {
     if (!connected) return
     const cached = pageCache.current[page]
-    if (cached) { setItems(cached); prefetchAhead(page + 1) }
+    if (cached) { setItems(applyPending(cached, changed)); prefetchAhead(page + 1) }
     else {
       setLoading(true)
-      fetchPage(page).then(() => { setItems(pageCache.current[page] || []); prefetchAhead(page + 1) }).finally(() => setLoading(false))
+      fetchPage(page).then(pages => { setItems(applyPending(pageCache.current[page] || [], changed)); prefetchAhead(page + 1, pages) }).finally(() => setLoading(false))
     }
   }, [page, connected])
 
+  function clearServerError(item, path) {
+    setServerErrors(prev => prev[item.ItemID] ? { ...prev, [item.ItemID]: prev[item.ItemID].filter(e => e.field !== path) } : prev)
+  }
+
   function setField(item, field, value) {
+    clearServerError(item, field)
     setItems(prev => prev.map(it => it.ItemID === item.ItemID ? { ...it, [field]: value } : it))
     setChanged(prev => ({ ...prev, [item.ItemID]: { ...(prev[item.ItemID]||{}), [field]: value } }))
   }
 
   function setNested(item, path, value) {
+    clearServerError(item, path)
     setItems(prev => prev.map(it => it.ItemID === item.ItemID ? setDeep(it, path, value) : it))
     setChanged(prev => ({ ...prev, [item.ItemID]: setDeep(prev[item.ItemID]||{}, path, value) }))
   }
 
+  // Set the sale price that gives a target margin or markup on the item's cost price
+  function setTargetPrice(item, target) {
+    const price = priceForTarget(item.PurchaseDetails?.UnitPrice, target)
+    if (price === null) { setMessage('That margin can’t be reached. Margins must be below 100%.'); return }
+    setNested(item, 'SalesDetails.UnitPrice', price)
+  }
+
+  function marginBelowMinimum(item) {
+    return findLowMargins([item], user?.minMarginPercent).length > 0
+  }
+
+  // Pending items whose prices change, as they will look once saved (for the minimum margin warning)
+  function repricedItems() {
+    const known = new Map()
+    for (const rows of Object.values(pageCache.current)) for (const row of rows) known.set(row.ItemID, row)
+    for (const row of items) known.set(row.ItemID, row)
+    const repriced = Object.keys(changed).filter(id => changed[id].SalesDetails?.UnitPrice !== undefined || changed[id].PurchaseDetails?.UnitPrice !== undefined)
+    return applyPending(repriced.map(id => known.get(id)).filter(Boolean), changed)
+  }
+
   function handleCheckboxChange(item, field, fieldType) {
     const currentValue = item[field] !== false // Default to true if not specified
 
@@ -172,18 +280,218 @@ export default function App() {
   }
 
   async function saveChanges() {
-    const updates = items.filter(it => changed[it.ItemID]).map(it => ({ ItemID: it.ItemID, Code: it.Code, ...normaliseChanges(changed[it.ItemID]) }))
+    const updates = Object.keys(changed).map(id => ({ ItemID: id, Code: itemCodes.current[id], ...normaliseChanges(changed[id]) }))
     if (updates.length === 0) { setMessage('No changes to save.'); return }
-    setLoading(true); setMessage('Saving changes...')
+    const invalid = Object.values(fieldErrors).reduce((n, errs) => n + errs.length, 0)
+    if (invalid > 0) { setMessage(`Fix the ${invalid} highlighted field(s) before saving.`); return }
+    const lowMargins = findLowMargins(repricedItems(), user?.minMarginPercent)
+    if (lowMargins.length > 0 && !confirm(`${describeLowMargins(lowMargins, user.minMarginPercent)}\n\nSave anyway?`)) return
+    // The server repeats the check against current Xero prices, which can differ from what this page loaded
+    const saveBatch = lowMarginGuard(lowMargins.length > 0)
+    setLoading(true); setMessage(user?.requiresApproval ? 'Submitting changes for approval...' : 'Saving changes...')
+    let ok = 0, submitted = 0
+    const failed = []
+    let remaining = changed
     try {
-      const resp = await updateItems(updates); const ok = resp?.Items?.length || 0
-      setMessage(`Saved. ${ok} item(s) updated.`); setChanged({})
-      await fetchPage(page); setItems(pageCache.current[page] || [])
-    } catch (e) { setMessage(`Failed to save changes. ${e.message}`) } finally { setLoading(false) }
+      for (let i = 0; i < updates.length; i += SAVE_BATCH_SIZE) {
+        const batch = updates.slice(i, i + SAVE_BATCH_SIZE)
+        const resp = await saveBatch(allowLowMargin => updateItems(batch, { allowLowMargin })); ok += resp?.Items?.length || 0
+        if (resp?.pendingApproval) submitted += resp.request?.items.length || 0
+        const batchFailed = (resp?.results || []).filter(r => r.status === 'error')
+        failed.push(...batchFailed)
+
+        // As each batch lands, its items are done (saved or submitted) unless Xero refused them, which stay
+        // pending with their errors highlighted; a later batch failing then can't re-send these
+        const done = new Set(batch.map(u => u.ItemID))
+        for (const r of batchFailed) done.delete(r.ItemID)
+        remaining = Object.fromEntries(Object.entries(remaining).filter(([id]) => !done.has(id)))
+        setChanged(remaining)
+      }
+      if (submitted > 0) { setMessage(`${submitted} item(s) submitted for admin approval.`); setRequestsKey(k => k + 1) }
+      else if (failed.length > 0) setMessage(`Saved ${ok} item(s); ${failed.length} failed in Xero and are still pending. ${describeFailed(failed)}`)
+      else setMessage(`Saved. ${ok} item(s) updated.`)
+
+      setServerErrors(Object.fromEntries(failed.map(r => [r.ItemID, r.errors])))
+      if (failed.length === 0) setDraft(null)
+    } catch (e) {
+      const errors = Object.fromEntries(failed.map(r => [r.ItemID, r.errors]))
+      if (e.items) Object.assign(errors, Object.fromEntries(e.items.filter(r => r.ItemID).map(r => [r.ItemID, r.errors])))
+      setServerErrors(errors)
+      setMessage(`Failed to save changes${ok ? ` after ${ok} item(s) were saved` : ''}. ${e.message}`)
+    } finally {
+      // Re-read the page so what was saved shows as the new original values
+      try { pageCache.current = {}; await fetchPage(page); setItems(applyPending(pageCache.current[page] || [], remaining)) }
+      catch (e) { setItems(prev => applyPending(prev, remaining)) }
+      setLoading(false)
+    }
+  }
+
+  function addBulkChanges(bulkItems) {
+    const next = { ...changed }
+    for (const it of bulkItems) {
+      itemCodes.current[it.ItemID] = it.Code
+      for (const c of it.changes) next[it.ItemID] = setDeep(next[it.ItemID]||{}, c.field, c.to)
+    }
+    setChanged(next)
+    setItems(prev => applyPending(prev, next))
+    setShowBulkPrice(false)
+    setMessage(`${bulkItems.length} item(s) added to pending changes. Review and save when ready.`)
+  }
+
+  // Re-read the current page from Xero after changes made outside the grid, keeping pending edits on top
+  async function refreshPage() {
+    pageCache.current = {}; await fetchPage(page); setItems(applyPending(pageCache.current[page] || [], changed))
+  }
+
+  async function refreshFromXero() {
+    setLoading(true); setMessage('Refreshing items from Xero...')
+    try {
+      const result = await syncItems()
+      setMessage(`Refreshed ${result.synced} item(s) from Xero.`)
+      await refreshPage()
+    } catch (e) { setMessage(`Refresh failed. ${e.message}`) } finally { setLoading(false) }
+  }
+
+  async function bulkApplied(result) {
+    setShowBulkPrice(false)
+    setMessage(`Bulk update applied. ${result.updated} item(s) updated in Xero.${result.failed?.length ? ` ${result.failed.length} failed: ${describeFailed(result.failed)}` : ''}`)
+    await refreshPage()
+  }
+
+  // Pending edits in the { itemId, code, changes } form drafts and scheduled changes are stored in
+  function pendingEntries() {
+    return Object.keys(changed).map(id => ({ itemId: id, code: itemCodes.current[id], changes: normaliseChanges(changed[id]) }))
+  }
+
+  // Store the pending edits as a named draft (updates the open draft, otherwise asks for a name)
+  async function saveAsDraft() {
+    const name = draft?.name || prompt('Name this draft', `Draft ${new Date().toLocaleDateString()}`)?.trim()
+    if (!name) return
+    const draftItems = pendingEntries()
+    setLoading(true)
+    try {
+      const result = await saveDraft({ id: draft?.id, name, items: draftItems })
+      setDraft({ id: result.draft.id, name: result.draft.name })
+      setMessage(`Draft "${result.draft.name}" saved with ${draftItems.length} item(s).`)
+    } catch (e) { setMessage(e.message) } finally { setLoading(false) }
+  }
+
+  function openDraft(saved) {
+    if (changedCount > 0 && draft?.id !== saved.id && !confirm('Replace your current pending edits with this draft?')) return
+    const next = {}
+    for (const it of saved.items) {
+      itemCodes.current[it.itemId] = it.code
+      next[it.itemId] = it.changes
+    }
+    setChanged(next)
+    setItems(prev => applyPending(prev, next))
+    setDraft({ id: saved.id, name: saved.name })
+    setShowDrafts(false)
+    setMessage(`Opened draft "${saved.name}" with ${saved.items.length} item(s). Review and save, or publish it from Drafts.`)
+  }
+
+  async function draftPublished(published, result) {
+    setShowDrafts(false)
+    if (result.failed?.length) {
+      setMessage(`Draft "${published.name}" partly published: ${result.updated} item(s) updated, ${result.failed.length} failed and the draft was kept. ${describeFailed(result.failed)}`)
+      await refreshPage()
+      return
+    }
+    if (result.noChanges) { setMessage(`Draft "${published.name}" has no changes from the items in Xero, so nothing was submitted for approval.`); return }
+    if (draft?.id === published.id) { setChanged({}); setDraft(null) }
+    if (result.pendingApproval) { setMessage(`Draft "${published.name}" submitted for admin approval.`); setRequestsKey(k => k + 1); return }
+    setMessage(`Draft "${published.name}" published. ${result.updated} item(s) updated in Xero.`)
+    await refreshPage()
+  }
+
+  // The pending edits now belong to the scheduled job, so they leave the editor
+  async function changesScheduled(job) {
+    setChanged({}); setDraft(null); setServerErrors({})
+    setMessage(`Scheduled "${job.name}" (${job.itemCount} item(s)) for ${new Date(job.runAt).toLocaleString()}.`)
+    await refreshPage()
+  }
+
+  // Pending edits, drafts and cached pages all belong to one organization, so they are dropped on switching
+  async function switchTenant(id) {
+    setChoosingTenant(false)
+    if (!id || id === tenantId) return
+    if (Object.keys(changed).length > 0 && !confirm('Switching organization discards your unsaved changes. Continue?')) return
+    setSelectedTenant(id)
+    setChanged({}); setDraft(null); setServerErrors({}); setMessage('')
+    itemCodes.current = {}
+    setRequestsKey(k => k + 1)
+    await loadStatus()
+  }
+
+  async function itemCreated(item) {
+    setShowNewItem(false)
+    setMessage(`Created ${item?.Code || 'item'} in Xero.`)
+    await refreshPage()
+  }
+
+  async function handleImportFile(e) {
+    const file = e.target.files?.[0]
+    e.target.value = '' // Allow re-selecting the same file after fixing it
+    if (!file) return
+    setLoading(true); setMessage('Checking import file against Xero...')
+    try {
+      const preview = await previewImport(await file.text())
+      setImportPreview(preview); setImportFileName(file.name); setMessage('')
+    } catch (e) { setMessage(`Import failed. ${e.message}`) } finally { setLoading(false) }
+  }
+
+  async function applyImport() {
+    const updates = (importPreview?.rows || []).filter(r => r.update).map(r => r.update)
+    if (updates.length === 0) return
+    setLoading(true); setMessage(`Importing ${updates.length} item(s)...`)
+    let saved = 0, submitted = 0
+    const failed = []
+    const saveBatch = lowMarginGuard()
+    try {
+      for (let i = 0; i < updates.length; i += SAVE_BATCH_SIZE) {
+        const batch = updates.slice(i, i + SAVE_BATCH_SIZE)
+        const resp = await saveBatch(allowLowMargin => updateItems(batch, { source: 'import', allowLowMargin }))
+        saved += resp?.Items?.length || 0
+        if (resp?.pendingApproval) submitted += resp.request?.items.length || 0
+        failed.push(...(resp?.results || []).filter(r => r.status === 'error'))
+      }
+      if (submitted > 0) { setMessage(`Import submitted for admin approval (${submitted} item(s)).`); setRequestsKey(k => k + 1) }
+      else if (failed.length > 0) setMessage(`Imported ${saved} item(s); ${failed.length} failed in Xero. ${describeFailed(failed)}`)
+      else setMessage(`Imported. ${saved} item(s) updated.`)
+      setImportPreview(null)
+      pageCache.current = {}; await fetchPage(page); setItems(pageCache.current[page] || [])
+    } catch (e) { setMessage(`Import stopped after ${saved} item(s). ${e.message}`) } finally { setLoading(false) }
   }
 
   const changedCount = useMemo(() => Object.keys(changed).length, [changed])
 
+  // Xero field rules checked as you edit (the server repeats them before posting)
+  const fieldErrors = useMemo(() => {
+    const codes = { ...itemCodes.current }
+    for (const [id, c] of Object.entries(changed)) if (typeof c.Code === 'string') codes[id] = c.Code
+    const isCodeTaken = (code, itemId) => Object.entries(codes).some(([id, c]) => id !== itemId && String(c || '').toLowerCase() === code.toLowerCase())
+    const out = {}
+    for (const id of Object.keys(changed)) {
+      const errors = [...validateItemUpdate({ ItemID: id, ...normaliseChanges(changed[id]) }, { accounts, taxRates, isCodeTaken }), ...(serverErrors[id] || [])]
+      if (errors.length > 0) out[id] = errors
+    }
+    return out
+  }, [changed, accounts, taxRates, serverErrors])
+
+  function cellError(item, path) {
+    return fieldErrors[item.ItemID]?.find(e => e.field === path)?.message
+  }
+
+  function cellProps(item, path) {
+    const error = cellError(item, path)
+    return error ? { className: 'cell-invalid', title: error } : {}
+  }
+
+  function cellMessage(item, path) {
+    const error = cellError(item, path)
+    return error ? <div className="cell-error">{error}</div> : null
+  }
+
   const taxOptions = taxRates.filter(t => t?.Status !== 'DELETED').map(t => ({ value: t.TaxType, label: t.Name }))
   const accountOptions = accounts.filter(a => a?.Status === 'ACTIVE').sort((a,b)=>String(a.Code).localeCompare(String(b.Code))).map(a => ({ value: String(a.Code||''), label: `${a.Code||''} — ${a.Name||''}` }))
 
@@ -199,16 +507,23 @@ export default function App() {
   const defaults = {
     code: 220, name: 260, desc: 420,
     sell: 60, sale: 110, saleAcct: 160, saleTax: 150,
-    purchase: 80, cost: 110, purAcct: 160, purTax: 150, status: 120
+    purchase: 80, cost: 110, margin: 100, markup: 100, purAcct: 160, purTax: 150, status: 120
   }
   const [colW, setColW] = useState(() => {
     try { return { ...defaults, ...(JSON.parse(localStorage.getItem('prodit-colw')||'{}')) } } catch { return defaults }
   })
   useEffect(() => { localStorage.setItem('prodit-colw', JSON.stringify(colW)) }, [colW])
 
-  function ResizableTH({ id, title }) {
+  // Clicking the same header flips the direction; a new header starts ascending
+  function toggleSort(key) {
+    setSort(prev => ({ key, direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc' }))
+  }
+
+  function ResizableTH({ id, title, sortKey }) {
     const w = colW[id]
+    const sorted = sortKey && sort.key === sortKey
     function onMouseDown(e) {
+      e.stopPropagation()
       const startX = e.clientX
       const startW = colW[id]
       function onMove(ev){
@@ -223,14 +538,66 @@ export default function App() {
       window.addEventListener('mouseup', onUp)
     }
     return (
-      <th className="th-resizable" style={{ width: w }}>
-        {title}
-        <span className="resizer" onMouseDown={onMouseDown} />
+      <th className={`th-resizable ${sortKey ? 'th-sortable' : ''}`} style={{ width: w }} onClick={sortKey ? ()=>toggleSort(sortKey) : undefined} title={sortKey ? 'Sort by this column' : undefined}>
+        {title}{sorted && <span className="sort-indicator">{sort.direction === 'asc' ? ' ▲' : ' ▼'}</span>}
+        <span className="resizer" onMouseDown={onMouseDown} onClick={e=>e.stopPropagation()} />
       </th>
     )
   }
 
   // Auth handlers
+  async function handleForgotPassword(e) {
+    e.preventDefault()
+    const formData = new FormData(e.target)
+    try {
+      setMessage('Sending...')
+      await requestPasswordReset(formData.get('email'))
+      setMessage('If that email has a Prodit account, a link to reset the password is on its way.')
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  async function handleResetPassword(e) {
+    e.preventDefault()
+    const formData = new FormData(e.target)
+    const password = formData.get('password')
+    if (password !== formData.get('confirmPassword')) {
+      setMessage('Passwords do not match')
+      return
+    }
+    try {
+      setMessage('Saving...')
+      await resetPassword({ token: resetToken, password })
+      window.history.replaceState(null, '', '/')
+      setUser(null)
+      setAuthMode('login')
+      setMessage('Your password has been changed. Sign in with the new password.')
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  async function handleAcceptInvite(e) {
+    e.preventDefault()
+    const formData = new FormData(e.target)
+    const password = formData.get('password')
+    if (password !== formData.get('confirmPassword')) {
+      setMessage('Passwords do not match')
+      return
+    }
+    try {
+      setMessage('Joining...')
+      const result = await acceptInvite(inviteToken, { password, fullName: formData.get('fullName') })
+      window.history.replaceState(null, '', '/')
+      setAuthMode('login')
+      setUser(await getMe() || result.user)
+      setMessage('')
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
   async function handleLogin(e) {
     e.preventDefault()
     const formData = new FormData(e.target)
@@ -240,13 +607,36 @@ export default function App() {
         email: formData.get('email'),
         password: formData.get('password')
       })
-      setUser(result.user)
+      if (result.twoFactorRequired) {
+        setAuthMode('twoFactor')
+        setMessage('')
+        return
+      }
+      setUser(await getMe() || result.user)
       setMessage('')
     } catch (error) {
       setMessage(error.message)
     }
   }
 
+  async function handleVerifyCode(e) {
+    e.preventDefault()
+    const formData = new FormData(e.target)
+    try {
+      setMessage('Checking...')
+      const result = await verifyLoginCode(formData.get('code'))
+      setAuthMode('login')
+      setUser(await getMe() || result.user)
+      setMessage(result.recoveryCodesLeft !== undefined
+        ? `Signed in with a recovery code. You have ${result.recoveryCodesLeft} left; create new ones from Security if you are running low.`
+        : '')
+    } catch (error) {
+      setMessage(error.message)
+      // The pending sign-in is gone after too many tries or a timeout; start over with the password
+      if (/email and password/.test(error.message)) setAuthMode('login')
+    }
+  }
+
   async function handleSignup(e) {
     e.preventDefault()
     const formData = new FormData(e.target)
@@ -263,7 +653,8 @@ export default function App() {
       const result = await register({
         email: formData.get('email'),
         password: password,
-        fullName: formData.get('fullName')
+        fullName: formData.get('fullName'),
+        companyName: formData.get('companyName')
       })
       setUser(result.user)
       setMessage('')
@@ -278,10 +669,12 @@ export default function App() {
     setConnected(false)
     setItems([])
     setMessage('')
+    setSubscriptionLapse(null)
   }
 
   // Routing logic for admin
   const isAdminPath = window.location.pathname === '/admin'
+  const isSuperAdminPath = window.location.pathname === '/superadmin'
 
   useEffect(() => {
     if (!user) return
@@ -295,11 +688,30 @@ export default function App() {
     if (!user.isAdmin && isAdminPath) {
       window.location.pathname = '/'
     }
-  }, [user, isAdminPath])
+
+    if (!user.isSuperAdmin && isSuperAdminPath) {
+      window.location.pathname = '/'
+    }
+  }, [user, isAdminPath, isSuperAdminPath])
+
+  // Organizations that require two-factor hold unenrolled users here until they set it up
+  if (user && user.twoFactor?.required && !user.twoFactor.enabled) {
+    return <TwoFactorSetupRequired user={user} onEnabled={() => getMe().then(setUser)} onLogout={handleLogout} />
+  }
+
+  // Super admin console (every organization)
+  if (user && user.isSuperAdmin && isSuperAdminPath) {
+    return <SuperAdminConsole user={user} onLogout={() => { setUser(null); setConnected(false); setItems([]); setMessage('') }} />
+  }
 
   // Admin dashboard for admin users
   if (user && user.isAdmin && isAdminPath) {
-    return <AdminDashboard user={user} onLogout={() => { setUser(null); setConnected(false); setItems([]); setMessage('') }} />
+    return (
+      <>
+        <AdminDashboard user={user} connections={connections} tenantId={tenantId} onSwitchTenant={switchTenant} onConnectionsChanged={loadStatus} onLogout={() => { setUser(null); setConnected(false); setItems([]); setMessage('') }} />
+        {choosingTenant && connections.length > 1 && <TenantPicker connections={connections} tenantId={tenantId} onSwitch={switchTenant} onClose={()=>setChoosingTenant(false)} />}
+      </>
+    )
   }
 
   // Auth screen
@@ -314,7 +726,7 @@ export default function App() {
     )
   }
 
-  if (!user) {
+  if (!user || authMode === 'reset' || authMode === 'invite') {
     return (
       <div className="auth-container">
         <div className="auth-box">
@@ -327,14 +739,64 @@ export default function App() {
               <input type="email" name="email" placeholder="Email" required />
               <input type="password" name="password" placeholder="Password" required />
               <button type="submit" className="primary full-width">Sign In</button>
+              <p className="auth-switch">
+                <a href="#" onClick={(e) => { e.preventDefault(); setAuthMode('forgot'); setMessage('') }}>Forgot your password?</a>
+              </p>
               <p className="auth-switch">
                 Don't have an account? <a href="#" onClick={(e) => { e.preventDefault(); setAuthMode('signup'); setMessage('') }}>Sign up</a>
               </p>
             </form>
+          ) : authMode === 'twoFactor' ? (
+            <form onSubmit={handleVerifyCode}>
+              <h2>Two-Step Verification</h2>
+              <p className="small">Enter the 6-digit code from your authenticator app. If you don't have your phone, enter one of your recovery codes.</p>
+              <input type="text" name="code" placeholder="Code" autoComplete="one-time-code" required autoFocus />
+              <button type="submit" className="primary full-width">Verify</button>
+              <p className="auth-switch">
+                <a href="#" onClick={(e) => { e.preventDefault(); setAuthMode('login'); setMessage('') }}>Back to sign in</a>
+              </p>
+            </form>
+          ) : authMode === 'forgot' ? (
+            <form onSubmit={handleForgotPassword}>
+              <h2>Reset Password</h2>
+              <p className="small">Enter your account's email address and we'll send you a link to choose a new password.</p>
+              <input type="email" name="email" placeholder="Email" required />
+              <button type="submit" className="primary full-width">Send reset link</button>
+              <p className="auth-switch">
+                <a href="#" onClick={(e) => { e.preventDefault(); setAuthMode('login'); setMessage('') }}>Back to sign in</a>
+              </p>
+            </form>
+          ) : authMode === 'invite' ? (
+            invite ? (
+              <form onSubmit={handleAcceptInvite}>
+                <h2>Join {invite.organizationName}</h2>
+                <p className="small">You're signing up as {invite.email}. Choose a password to accept the invitation.</p>
+                <input type="text" name="fullName" placeholder="Full Name (optional)" defaultValue={invite.fullName || ''} />
+                <input type="password" name="password" placeholder="Password (min 8 characters)" minLength={8} required />
+                <input type="password" name="confirmPassword" placeholder="Confirm Password" required />
+                <button type="submit" className="primary full-width">Accept invitation</button>
+              </form>
+            ) : (
+              <p className="auth-switch">
+                {!message && <>Loading invitation... </>}
+                <a href="/" onClick={() => setMessage('')}>Back to sign in</a>
+              </p>
+            )
+          ) : authMode === 'reset' ? (
+            <form onSubmit={handleResetPassword}>
+              <h2>Choose a New Password</h2>
+              <input type="password" name="password" placeholder="New password (min 8 characters)" minLength={8} required />
+              <input type="password" name="confirmPassword" placeholder="Confirm new password" required />
+              <button type="submit" className="primary full-width">Change password</button>
+              <p className="auth-switch">
+                <a href="/" onClick={() => setMessage('')}>Back to sign in</a>
+              </p>
+            </form>
           ) : (
             <form onSubmit={handleSignup}>
               <h2>Create Account</h2>
               <input type="text" name="fullName" placeholder="Full Name (optional)" />
+              <input type="text" name="companyName" placeholder="Company Name" required />
               <input type="email" name="email" placeholder="Email" required />
               <input type="password" name="password" placeholder="Password (min 8 characters)" required />
               <input type="password" name="confirmPassword" placeholder="Confirm Password" required />
@@ -351,6 +813,10 @@ export default function App() {
     )
   }
 
+  if (subscriptionLapse && !user.isSuperAdmin) {
+    return <SubscriptionRequired lapse={subscriptionLapse} user={user} upgradeUrl={user.upgradeUrl} onLogout={handleLogout} />
+  }
+
   // Main app
   return (
     <div>
@@ -371,15 +837,25 @@ export default function App() {
                 <span className="status">Xero not connected</span>
               )
             ) : (
-              <span className="status">Connected: {tenantName}</span>
+              connections.length > 1
+                ? <TenantSwitcher connections={connections} tenantId={tenantId} onSwitch={switchTenant} disabled={loading} />
+                : <span className="status">Connected: {tenantName}</span>
             )}
 
+            {user.isSuperAdmin && <a href="/superadmin" className="btn-link">Super admin</a>}
             <span className="user-email">{user.email}</span>
+            <button onClick={()=>setShowSecurity(true)}>Security</button>
             <button onClick={handleLogout}>Logout</button>
 
+            {connected && (
+              <button onClick={()=>setView(v => v === 'items' ? 'changelog' : 'items')}>
+                {view === 'items' ? 'Change log' : 'Back to items'}
+              </button>
+            )}
+
             {connected && (
               <button className="save-btn-header" onClick={saveChanges} disabled={loading || changedCount===0}>
-                Save changes {changedCount>0 ? `(${changedCount})` : ''}
+                {user.requiresApproval ? 'Submit for approval' : 'Save changes'} {changedCount>0 ? `(${changedCount})` : ''}
               </button>
             )}
           </div>
@@ -387,9 +863,11 @@ export default function App() {
       </header>
 
       <div className="container">
+        <VerifyEmailNotice user={user} />
         {!connected ? (
           <div className="welcome-box">
             <h2>Welcome to Prodit!</h2>
+            {message && <p className="small">{message}</p>}
             {user.isAdmin ? (
               <>
                 <p>To get started, connect your Xero organization.</p>
@@ -402,19 +880,39 @@ export default function App() {
               </>
             )}
           </div>
+        ) : view === 'changelog' ? (
+          <ChangeLog onReverted={refreshPage} />
         ) : (
           <>
             <div className="controls-section">
-              <input className="stretch" type="text" placeholder="Search by code, name or description (2+ chars)" value={query} onChange={e=>{ setQuery(e.target.value); setPage(1) }} />
+              <div className="search-row">
+                <input className="stretch" type="text" placeholder="Search by code, name or description" value={query} onChange={e=>{ setQuery(e.target.value); setPage(1) }} />
+                <a className="btn-link" href={itemsExportUrl({ query: q.trim(), filters: debouncedFilters })} title={q.trim() || countActiveFilters(debouncedFilters) > 0 ? 'Download items matching the current search and filters' : 'Download the full item catalog'}>Download CSV</a>
+                <button className="btn-secondary import-btn" onClick={()=>importInput.current?.click()} disabled={loading || changedCount>0} title={changedCount>0 ? 'Save your pending edits before importing' : 'Update items from a CSV keyed on Code or ItemID'}>Import CSV</button>
+                <input ref={importInput} type="file" accept=".csv,text/csv" style={{display:'none'}} onChange={handleImportFile} />
+                <button className="btn-secondary import-btn" onClick={()=>setShowBulkPrice(true)} disabled={loading}>Bulk adjust prices</button>
+                <button className="btn-secondary import-btn" onClick={()=>setShowDrafts(true)} disabled={loading}>Drafts</button>
+                <button className="btn-secondary import-btn" onClick={()=>setShowScheduled(true)} disabled={loading}>Scheduled</button>
+                <button className="btn-secondary import-btn" onClick={()=>setShowFilters(v => !v)}>Filters{countActiveFilters(filters) > 0 ? ` (${countActiveFilters(filters)})` : ''}</button>
+                <button className="btn-secondary import-btn" onClick={()=>setShowNewItem(true)} disabled={loading || user?.requiresApproval || user?.fieldPermissions?.code === false || user?.fieldPermissions?.name === false} title={user?.requiresApproval ? 'New items are created by an admin' : 'Add a new product or service to Xero'}>New item</button>
+              </div>
+              {showFilters && (
+                <ItemFilters filters={filters} accountOptions={accountOptions} taxOptions={taxOptions} onChange={f=>{ setFilters(f); setPage(1) }} />
+              )}
               <div className="pagination">
                 <button onClick={()=>setPage(p=>Math.max(1,p-1))} disabled={page<=1 || loading}>Previous</button>
-                <button className="primary" disabled>Page {page}</button>
-                <button onClick={()=>setPage(p=>p+1)} disabled={loading}>Next</button>
+                <button className="primary" disabled>Page {page} of {totalPages}</button>
+                <button onClick={()=>setPage(p=>Math.min(totalPages,p+1))} disabled={page>=totalPages || loading}>Next</button>
+                <span className="badge">{total} item(s)</span>
+                {draft && <span className="badge">Draft: {draft.name}</span>}
+                <button onClick={refreshFromXero} disabled={loading} title="Re-read every item from Xero">Refresh from Xero</button>
                 <span className="small">Only modified rows are posted in a batch. Code is included for validation.</span>
               </div>
               {message && <span className="small message-inline">{message}</span>}
             </div>
 
+            <ChangeRequestNotices refreshKey={requestsKey} onResolved={refreshPage} />
+
             <div className="table-card">
               <table>
                 <colgroup>
@@ -427,28 +925,32 @@ export default function App() {
                   <col style={{ width: colW.saleTax }}/>
                   <col style={{ width: colW.purchase }}/>
                   <col style={{ width: colW.cost }}/>
+                  <col style={{ width: colW.margin }}/>
+                  <col style={{ width: colW.markup }}/>
                   <col style={{ width: colW.purAcct }}/>
                   <col style={{ width: colW.purTax }}/>
                   <col style={{ width: colW.status }}/>
                 </colgroup>
                 <thead>
                   <tr>
-                    <ResizableTH id="code" title="Code" />
-                    <ResizableTH id="name" title="Name" />
-                    <ResizableTH id="desc" title="Description" />
-                    <ResizableTH id="sell" title="Sell" />
-                    <ResizableTH id="sale" title="Sale price" />
-                    <ResizableTH id="saleAcct" title="Sales account" />
-                    <ResizableTH id="saleTax" title="Sales tax" />
-                    <ResizableTH id="purchase" title="Purchase" />
-                    <ResizableTH id="cost" title="Cost price" />
-                    <ResizableTH id="purAcct" title="Purchase account" />
-                    <ResizableTH id="purTax" title="Purchase tax" />
-                    <ResizableTH id="status" title="Status" />
+                    <ResizableTH id="code" title="Code" sortKey="code" />
+                    <ResizableTH id="name" title="Name" sortKey="name" />
+                    <ResizableTH id="desc" title="Description" sortKey="description" />
+                    <ResizableTH id="sell" title="Sell" sortKey="isSold" />
+                    <ResizableTH id="sale" title="Sale price" sortKey="salePrice" />
+                    <ResizableTH id="saleAcct" title="Sales account" sortKey="salesAccount" />
+                    <ResizableTH id="saleTax" title="Sales tax" sortKey="salesTax" />
+                    <ResizableTH id="purchase" title="Purchase" sortKey="isPurchased" />
+                    <ResizableTH id="cost" title="Cost price" sortKey="costPrice" />
+                    <ResizableTH id="margin" title="Margin %" sortKey="margin" />
+                    <ResizableTH id="markup" title="Markup %" sortKey="markup" />
+                    <ResizableTH id="purAcct" title="Purchase account" sortKey="purchaseAccount" />
+                    <ResizableTH id="purTax" title="Purchase tax" sortKey="purchaseTax" />
+                    <ResizableTH id="status" title="Status" sortKey="status" />
                   </tr>
                 </thead>
                 <tbody>
-                  {note && items.length===0 && (<tr><td colSpan="12"><div className="small">{note}</div></td></tr>)}
+                  {note && items.length===0 && (<tr><td colSpan="14"><div className="small">{note}</div></td></tr>)}
                   {items.map(item => {
                     const salePrice = item?.SalesDetails?.UnitPrice ?? ''
                     const costPrice = item?.PurchaseDetails?.UnitPrice ?? ''
@@ -464,22 +966,29 @@ export default function App() {
                     }
                     return (
                       <tr key={item.ItemID} className={changed[item.ItemID]?'changes':''}>
-                        <td><input type="text" value={item.Code||''} onChange={e=>setField(item,'Code',e.target.value)} disabled={!perms.code} /></td>
-                        <td><input type="text" value={item.Name||''} onChange={e=>setField(item,'Name',e.target.value)} disabled={!perms.name} /></td>
-                        <td><input type="text" value={item.Description||''} onChange={e=>setField(item,'Description',e.target.value)} disabled={!perms.description} /></td>
+                        <td {...cellProps(item,'Code')}><input type="text" value={item.Code||''} onChange={e=>setField(item,'Code',e.target.value)} disabled={!perms.code} />{cellMessage(item,'Code')}</td>
+                        <td {...cellProps(item,'Name')}><input type="text" value={item.Name||''} onChange={e=>setField(item,'Name',e.target.value)} disabled={!perms.name} />{cellMessage(item,'Name')}</td>
+                        <td {...cellProps(item,'Description')}><input type="text" value={item.Description||''} onChange={e=>setField(item,'Description',e.target.value)} disabled={!perms.description} />{cellMessage(item,'Description')}</td>
                         <td style={{textAlign:'center'}}><input type="checkbox" checked={isSold} onChange={()=>handleCheckboxChange(item,'IsSold','sell')} title="Mark this item for sale" /></td>
-                        <td><input type="number" step="0.01" value={salePrice} onChange={e=>setNested(item,'SalesDetails.UnitPrice',e.target.value)} disabled={!perms.salePrice || !isSold} title={!isSold ? 'This item is not marked for sale' : ''} /></td>
-                        <td><AccountSelect item={item} path="SalesDetails.AccountCode" value={item.SalesDetails?.AccountCode||''} disabled={!perms.salesAccount || !isSold} title={!isSold ? 'This item is not marked for sale' : ''} /></td>
-                        <td><TaxSelect item={item} path="SalesDetails.TaxType" value={item.SalesDetails?.TaxType||''} disabled={!perms.salesTax || !isSold} title={!isSold ? 'This item is not marked for sale' : ''} /></td>
+                        <td {...cellProps(item,'SalesDetails.UnitPrice')}><input type="number" step="0.01" value={salePrice} onChange={e=>setNested(item,'SalesDetails.UnitPrice',e.target.value)} disabled={!perms.salePrice || !isSold} title={!isSold ? 'This item is not marked for sale' : ''} />{cellMessage(item,'SalesDetails.UnitPrice')}</td>
+                        <td {...cellProps(item,'SalesDetails.AccountCode')}><AccountSelect item={item} path="SalesDetails.AccountCode" value={item.SalesDetails?.AccountCode||''} disabled={!perms.salesAccount || !isSold} title={!isSold ? 'This item is not marked for sale' : ''} />{cellMessage(item,'SalesDetails.AccountCode')}</td>
+                        <td {...cellProps(item,'SalesDetails.TaxType')}><TaxSelect item={item} path="SalesDetails.TaxType" value={item.SalesDetails?.TaxType||''} disabled={!perms.salesTax || !isSold} title={!isSold ? 'This item is not marked for sale' : ''} />{cellMessage(item,'SalesDetails.TaxType')}</td>
                         <td style={{textAlign:'center'}}><input type="checkbox" checked={isPurchased} onChange={()=>handleCheckboxChange(item,'IsPurchased','purchase')} title="Mark this item for purchase" /></td>
-                        <td><input type="number" step="0.01" value={costPrice} onChange={e=>setNested(item,'PurchaseDetails.UnitPrice',e.target.value)} disabled={!perms.costPrice || !isPurchased} title={!isPurchased ? 'This item is not marked for purchase' : ''} /></td>
-                        <td><AccountSelect item={item} path="PurchaseDetails.AccountCode" value={item.PurchaseDetails?.AccountCode||''} disabled={!perms.purchaseAccount || !isPurchased} title={!isPurchased ? 'This item is not marked for purchase' : ''} /></td>
-                        <td><TaxSelect item={item} path="PurchaseDetails.TaxType" value={item.PurchaseDetails?.TaxType||''} disabled={!perms.purchaseTax || !isPurchased} title={!isPurchased ? 'This item is not marked for purchase' : ''} /></td>
+                        <td {...cellProps(item,'PurchaseDetails.UnitPrice')}><input type="number" step="0.01" value={costPrice} onChange={e=>setNested(item,'PurchaseDetails.UnitPrice',e.target.value)} disabled={!perms.costPrice || !isPurchased} title={!isPurchased ? 'This item is not marked for purchase' : ''} />{cellMessage(item,'PurchaseDetails.UnitPrice')}</td>
+                        <td className={marginBelowMinimum(item) ? 'cell-warning' : ''} title={marginBelowMinimum(item) ? `Below the ${user.minMarginPercent}% minimum margin` : ''}>
+                          <PercentInput value={grossMargin(salePrice, costPrice)} onCommit={m=>setTargetPrice(item, { margin: m })} disabled={!perms.salePrice || !isSold || costPrice === ''} title={costPrice === '' ? 'Needs a cost price' : 'Type a target margin to set the sale price'} />
+                        </td>
+                        <td>
+                          <PercentInput value={markup(salePrice, costPrice)} onCommit={m=>setTargetPrice(item, { markup: m })} disabled={!perms.salePrice || !isSold || costPrice === ''} title={costPrice === '' ? 'Needs a cost price' : 'Type a target markup to set the sale price'} />
+                        </td>
+                        <td {...cellProps(item,'PurchaseDetails.AccountCode')}><AccountSelect item={item} path="PurchaseDetails.AccountCode" value={item.PurchaseDetails?.AccountCode||''} disabled={!perms.purchaseAccount || !isPurchased} title={!isPurchased ? 'This item is not marked for purchase' : ''} />{cellMessage(item,'PurchaseDetails.AccountCode')}</td>
+                        <td {...cellProps(item,'PurchaseDetails.TaxType')}><TaxSelect item={item} path="PurchaseDetails.TaxType" value={item.PurchaseDetails?.TaxType||''} disabled={!perms.purchaseTax || !isPurchased} title={!isPurchased ? 'This item is not marked for purchase' : ''} />{cellMessage(item,'PurchaseDetails.TaxType')}</td>
                         <td>
                           <select value={item.Status||'ACTIVE'} onChange={e=>setField(item,'Status',e.target.value)} disabled={!perms.status}>
                             <option value="ACTIVE">ACTIVE</option>
                             <option value="ARCHIVED">ARCHIVED</option>
                           </select>
+                          <button type="button" className="btn-sm btn-secondary history-btn" onClick={()=>setHistoryItem(item)}>History</button>
                           {tracked && <div className="small">Tracked item. Quantity and cost are read only in Xero.</div>}
                           {!isSold && <div className="small" style={{color:'#888'}}>⚠️ Not marked for sale</div>}
                           {!isPurchased && <div className="small" style={{color:'#888'}}>⚠️ Not marked for purchase</div>}
@@ -487,15 +996,23 @@ export default function App() {
                       </tr>
                     )
                   })}
-                  {items.length===0 && !note && (<tr><td colSpan="12"><div className="small">No items. Try another search or page.</div></td></tr>)}
+                  {items.length===0 && !note && (<tr><td colSpan="14"><div className="small">No items. Try another search or page.</div></td></tr>)}
                 </tbody>
                 <tfoot>
                   <tr>
-                    <td colSpan="12">
+                    <td colSpan="14">
                       <div className="table-footer">
                         <button className="save-btn" onClick={saveChanges} disabled={loading || changedCount===0}>
-                          Save changes {changedCount>0 ? `(${changedCount})` : ''}
+                          {user.requiresApproval ? 'Submit for approval' : 'Save changes'} {changedCount>0 ? `(${changedCount})` : ''}
+                        </button>
+                        <button className="btn-secondary" onClick={saveAsDraft} disabled={loading || changedCount===0}>
+                          {draft ? 'Update draft' : 'Save draft'}
                         </button>
+                        {!user.requiresApproval && (
+                          <button className="btn-secondary" onClick={()=>setShowScheduled(true)} disabled={loading || changedCount===0 || Object.keys(fieldErrors).length > 0} title="Apply these changes to Xero at a later date and time">
+                            Schedule...
+                          </button>
+                        )}
                         <span className="small">{items.length} rows loaded • {changedCount} modified</span>
                       </div>
                     </td>
@@ -506,6 +1023,30 @@ export default function App() {
           </>
         )}
       </div>
+      {historyItem && (
+        <ItemHistoryDrawer item={historyItem} onClose={()=>setHistoryItem(null)} onReverted={refreshPage} />
+      )}
+      {showBulkPrice && (
+        <BulkPriceDialog query={q.trim()} filters={debouncedFilters} perms={user?.fieldPermissions || {}} canApplyDirectly={!user?.requiresApproval} onAddToPending={addBulkChanges} onApplied={bulkApplied} onClose={()=>setShowBulkPrice(false)} />
+      )}
+      {showNewItem && (
+        <NewItemDialog perms={user?.fieldPermissions || {}} accountOptions={accountOptions} taxOptions={taxOptions} knownCodes={Object.values(itemCodes.current).map(c => String(c||'').toLowerCase())} onCreated={itemCreated} onClose={()=>setShowNewItem(false)} />
+      )}
+      {showDrafts && (
+        <DraftsDialog currentDraftId={draft?.id} onOpen={openDraft} onPublished={draftPublished} onClose={()=>setShowDrafts(false)} />
+      )}
+      {showScheduled && (
+        <ScheduledChangesDialog pendingItems={pendingEntries()} canSchedule={!user?.requiresApproval} onScheduled={changesScheduled} onClose={()=>setShowScheduled(false)} />
+      )}
+      {choosingTenant && connections.length > 1 && (
+        <TenantPicker connections={connections} tenantId={tenantId} onSwitch={switchTenant} onClose={()=>setChoosingTenant(false)} />
+      )}
+      {showSecurity && (
+        <SecurityDialog user={user} onClose={()=>{ setShowSecurity(false); getMe().then(me => me && setUser(me)) }} />
+      )}
+      {importPreview && (
+        <ImportPreview preview={importPreview} fileName={importFileName} loading={loading} onApply={applyImport} onClose={()=>setImportPreview(null)} />
+      )}
       <footer className="footer-note">Prodit · {BUILD_LABEL} · Multi-tenant Xero Products & Services Editor</footer>
     </div>
   )
@@ -0,0 +1,149 @@
+import React, { useState } from 'react'
+import { bulkAdjustPrices, lowMarginGuard } from './api.js'
+import { countActiveFilters } from './ItemFilters.jsx'
+
+const ROUNDING_OPTIONS = [
+  { value: 'cents', label: 'Nearest cent (0.01)' },
+  { value: 'fiveCents', label: 'Nearest 0.05' },
+  { value: 'tenCents', label: 'Nearest 0.10' },
+  { value: 'whole', label: 'Nearest whole number' },
+  { value: 'ninetyNine', label: 'Round up to .99' },
+  { value: 'none', label: 'No rounding (4 decimals)' }
+]
+
+const PREVIEW_ROWS = 50
+
+export default function BulkPriceDialog({ query, filters, perms, canApplyDirectly = true, onAddToPending, onApplied, onClose }) {
+  const [targets, setTargets] = useState({ sale: perms.salePrice !== false, cost: false })
+  const [mode, setMode] = useState('percent')
+  const [value, setValue] = useState('')
+  const [rounding, setRounding] = useState('cents')
+  const [preview, setPreview] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const filterCount = countActiveFilters(filters)
+  const params = {
+    query,
+    filters,
+    targets: Object.keys(targets).filter(t => targets[t]),
+    mode,
+    value: Number(value),
+    rounding
+  }
+
+  function changeSetting(setter) {
+    return (next) => { setter(next); setPreview(null); setError('') }
+  }
+
+  async function runPreview(e) {
+    e.preventDefault()
+    setBusy(true); setError('')
+    try { setPreview(await bulkAdjustPrices(params)) }
+    catch (err) { setError(err.message) }
+    finally { setBusy(false) }
+  }
+
+  async function applyNow() {
+    if (!confirm(`Post new prices for ${preview.items.length} item(s) straight to Xero?`)) return
+    setBusy(true); setError('')
+    try { onApplied(await lowMarginGuard()(allowLowMargin => bulkAdjustPrices({ ...params, apply: true, allowLowMargin }))) }
+    catch (err) { setError(err.message) }
+    finally { setBusy(false) }
+  }
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card">
+        <div className="card-header">
+          <h3>Bulk price adjustment</h3>
+          <button type="button" className="btn-sm btn-secondary" onClick={onClose} disabled={busy}>Close</button>
+        </div>
+
+        <p className="small">
+          Applies to {query || filterCount > 0
+            ? <>every item matching {query && <strong>“{query}”</strong>}{query && filterCount > 0 && ' and '}{filterCount > 0 && <strong>{filterCount} active filter(s)</strong>}</>
+            : <strong>the whole catalog</strong>}, not just the visible page.
+        </p>
+
+        <form className="bulk-form" onSubmit={runPreview}>
+          <div className="bulk-targets">
+            <label className="checkbox-label">
+              <input type="checkbox" checked={targets.sale} disabled={perms.salePrice === false} onChange={e => changeSetting(setTargets)({ ...targets, sale: e.target.checked })} />
+              <span>Sale price</span>
+            </label>
+            <label className="checkbox-label">
+              <input type="checkbox" checked={targets.cost} disabled={perms.costPrice === false} onChange={e => changeSetting(setTargets)({ ...targets, cost: e.target.checked })} />
+              <span>Cost price</span>
+            </label>
+          </div>
+          <select value={mode} onChange={e => changeSetting(setMode)(e.target.value)}>
+            <option value="percent">Change by percentage (%)</option>
+            <option value="amount">Change by fixed amount</option>
+          </select>
+          <input type="number" step="any" required placeholder={mode === 'percent' ? 'e.g. 5 or -10' : 'e.g. 2.50 or -1'} value={value} onChange={e => changeSetting(setValue)(e.target.value)} />
+          <select value={rounding} onChange={e => changeSetting(setRounding)(e.target.value)}>
+            {ROUNDING_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+          <button type="submit" className="btn-secondary" disabled={busy || params.targets.length === 0 || !value}>
+            {busy && !preview ? 'Calculating...' : 'Preview'}
+          </button>
+        </form>
+
+        {error && <div className="alert alert-info">{error}</div>}
+
+        {preview && (
+          <>
+            <p className="small">{preview.items.length} of {preview.matched} matching item(s) will change.</p>
+            {preview.lowMargins?.length > 0 && (
+              <div className="alert alert-info">
+                {preview.lowMargins.length} item(s) will be below the minimum margin: {preview.lowMargins.slice(0, 5).map(m => `${m.Code || m.ItemID} (${m.margin.toFixed(1)}%)`).join(', ')}{preview.lowMargins.length > 5 && ', ...'}
+              </div>
+            )}
+            {preview.items.length > 0 && (
+              <div className="users-table-wrapper import-table-wrapper">
+                <table className="users-table bulk-table">
+                  <thead>
+                    <tr><th>Code</th><th>Name</th><th>Changes</th></tr>
+                  </thead>
+                  <tbody>
+                    {preview.items.slice(0, PREVIEW_ROWS).map(it => (
+                      <tr key={it.ItemID}>
+                        <td>{it.Code}</td>
+                        <td>{it.Name}</td>
+                        <td>
+                          {it.changes.map(c => (
+                            <div key={c.field} className="import-change">
+                              <code className="inline">{c.field}</code> {c.from} → <strong>{c.to}</strong>
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {preview.items.length > PREVIEW_ROWS && <p className="small">Showing the first {PREVIEW_ROWS}.</p>}
+
+            <div className="button-group" style={{ marginTop: '1.5rem' }}>
+              <button type="button" className="save-btn" onClick={() => onAddToPending(preview.items)} disabled={busy || preview.items.length === 0}>
+                Add to pending changes
+              </button>
+              {canApplyDirectly && (
+                <button type="button" className="btn-secondary" onClick={applyNow} disabled={busy || preview.items.length === 0}>
+                  Apply directly in Xero
+                </button>
+              )}
+            </div>
+            <p className="small">
+              {canApplyDirectly
+                ? 'Pending changes can be reviewed in the grid and saved with the normal Save button. Applying directly posts every change to Xero in batches.'
+                : 'Pending changes can be reviewed in the grid and submitted for admin approval.'}
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
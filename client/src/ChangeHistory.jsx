@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react'
+import { getItemHistory, getChangeLog, revertChange, lowMarginGuard } from './api.js'
+
+const SOURCE_LABELS = { grid: 'Editor', import: 'CSV import', bulk: 'Bulk adjust', revert: 'Revert', create: 'Created', draft: 'Draft', approval: 'Approved request', schedule: 'Scheduled' }
+const LOG_PAGE_SIZE = 50
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—'
+  return String(value)
+}
+
+function ChangeEntry({ entry, showItem, busy, onRevert }) {
+  return (
+    <div className={`history-entry ${entry.revertedAt ? 'history-reverted' : ''}`}>
+      <div className="history-meta">
+        <span>{new Date(entry.createdAt).toLocaleString()}</span>
+        <span>{entry.userEmail || 'Unknown user'}</span>
+        <span className="badge">{SOURCE_LABELS[entry.source] || entry.source}</span>
+        {entry.revertedAt && <span className="badge badge-inactive">Reverted {new Date(entry.revertedAt).toLocaleDateString()}</span>}
+      </div>
+      {showItem && (
+        <div className="history-item"><strong>{entry.itemCode || entry.itemId}</strong> {entry.itemName && <span className="small">— {entry.itemName}</span>}</div>
+      )}
+      {entry.changes.map(c => (
+        <div key={c.field} className="import-change">
+          <code className="inline">{c.field}</code> {formatValue(c.from)} → <strong>{formatValue(c.to)}</strong>
+        </div>
+      ))}
+      {!entry.revertedAt && entry.source !== 'create' && (
+        <button type="button" className="btn-sm btn-secondary" onClick={() => onRevert(entry)} disabled={busy}>Revert this change</button>
+      )}
+    </div>
+  )
+}
+
+function useRevert(onReverted, setError) {
+  const [busy, setBusy] = useState(false)
+  async function revert(entry) {
+    if (!confirm(`Restore the previous values for ${entry.itemCode || 'this item'} in Xero?`)) return false
+    setBusy(true); setError('')
+    try { await lowMarginGuard()(allowLowMargin => revertChange(entry.id, { allowLowMargin })); onReverted?.(); return true }
+    catch (err) { setError(err.message); return false }
+    finally { setBusy(false) }
+  }
+  return [busy, revert]
+}
+
+export function ItemHistoryDrawer({ item, onClose, onReverted }) {
+  const [history, setHistory] = useState(null)
+  const [error, setError] = useState('')
+
+  async function load() {
+    try { setHistory((await getItemHistory(item.ItemID)).history || []) }
+    catch (err) { setError(err.message); setHistory([]) }
+  }
+  const [busy, revert] = useRevert(onReverted, setError)
+
+  useEffect(() => { load() }, [item.ItemID])
+
+  return (
+    <div className="drawer-backdrop" onClick={onClose}>
+      <aside className="drawer" onClick={e => e.stopPropagation()}>
+        <div className="card-header">
+          <h3>History — {item.Code}</h3>
+          <button type="button" className="btn-sm btn-secondary" onClick={onClose}>Close</button>
+        </div>
+        {error && <div className="alert alert-info">{error}</div>}
+        {history === null && <p className="small">Loading...</p>}
+        {history && history.length === 0 && <p className="small">No changes have been recorded for this item.</p>}
+        {history && history.map(entry => (
+          <ChangeEntry key={entry.id} entry={entry} busy={busy} onRevert={async e => { if (await revert(e)) load() }} />
+        ))}
+      </aside>
+    </div>
+  )
+}
+
+export default function ChangeLog({ onReverted }) {
+  const [changes, setChanges] = useState([])
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  async function load(offset = 0) {
+    setLoading(true)
+    try {
+      const data = await getChangeLog({ limit: LOG_PAGE_SIZE, offset })
+      setChanges(prev => offset === 0 ? data.changes : [...prev, ...data.changes])
+      setHasMore(data.hasMore)
+    } catch (err) { setError(err.message) }
+    finally { setLoading(false) }
+  }
+  const [busy, revert] = useRevert(onReverted, setError)
+
+  useEffect(() => { load() }, [])
+
+  return (
+    <div className="admin-card">
+      <div className="card-header">
+        <h3>Change log</h3>
+        <button type="button" className="btn-sm btn-secondary" onClick={() => load()} disabled={loading}>Refresh</button>
+      </div>
+      {error && <div className="alert alert-info">{error}</div>}
+      {!loading && changes.length === 0 && <p className="small">No item changes have been recorded yet.</p>}
+      {changes.map(entry => (
+        <ChangeEntry key={entry.id} entry={entry} showItem busy={busy} onRevert={async e => { if (await revert(e)) load() }} />
+      ))}
+      {hasMore && (
+        <button type="button" className="btn-secondary" onClick={() => load(changes.length)} disabled={loading}>
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react'
+import { getChangeRequestQueue, reviewChangeRequest, getMyChangeRequests, acknowledgeChangeRequests, lowMarginGuard } from './api.js'
+
+const STATUS_FILTERS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' }
+]
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—'
+  return String(value)
+}
+
+function describeFailed(results) {
+  return results.map(r => `${r.Code || r.ItemID}: ${r.errors.map(e => e.message).join(', ')}`).join('; ')
+}
+
+function RequestItems({ items, showErrors }) {
+  return (
+    <div className="users-table-wrapper">
+      <table className="users-table bulk-table">
+        <thead>
+          <tr><th>Code</th><th>Name</th><th>Changes</th></tr>
+        </thead>
+        <tbody>
+          {items.map(it => (
+            <tr key={it.itemId}>
+              <td>{it.code}</td>
+              <td>{it.name}</td>
+              <td>
+                {it.changes.map(c => (
+                  <div key={c.field} className="import-change">
+                    <code className="inline">{c.field}</code> {formatValue(c.from)} → <strong>{formatValue(c.to)}</strong>
+                  </div>
+                ))}
+                {showErrors && it.errors?.length > 0 && (
+                  <div className="small">Not saved last time: {it.errors.map(e => e.message).join(', ')}</div>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function RequestCard({ request, onReviewed }) {
+  const [comment, setComment] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  async function review(approve) {
+    if (approve && !confirm(`Post ${request.items.length} item change(s) from ${request.userEmail} to Xero?`)) return
+    setBusy(true); setError('')
+    try { onReviewed(await lowMarginGuard()(allowLowMargin => reviewChangeRequest(request.id, { approve, comment, allowLowMargin })), approve) }
+    catch (err) { setError(err.message) }
+    finally { setBusy(false) }
+  }
+
+  return (
+    <div className="history-entry">
+      <div className="history-meta">
+        <span>{new Date(request.createdAt).toLocaleString()}</span>
+        <span>{request.userEmail || 'Unknown user'}</span>
+        <span className="badge">{request.items.length} item(s)</span>
+        {request.status !== 'pending' && (
+          <span className={`badge ${request.status === 'approved' ? 'badge-success' : 'badge-inactive'}`}>
+            {request.status === 'approved' ? 'Approved' : 'Rejected'} by {request.reviewedByEmail} {new Date(request.reviewedAt).toLocaleDateString()}
+          </span>
+        )}
+      </div>
+      <RequestItems items={request.items} showErrors={request.status === 'pending'} />
+      {request.reviewComment && <p className="small">Comment: {request.reviewComment}</p>}
+      {request.status === 'pending' && (
+        <div className="request-review">
+          <textarea rows={2} placeholder="Comment for the requester (required when rejecting)" value={comment} onChange={e=>setComment(e.target.value)} disabled={busy} />
+          <div className="button-group">
+            <button type="button" className="btn-sm btn-primary" onClick={()=>review(true)} disabled={busy}>Approve and post to Xero</button>
+            <button type="button" className="btn-sm btn-danger" onClick={()=>review(false)} disabled={busy || !comment.trim()}>Reject</button>
+          </div>
+          {error && <div className="alert alert-info">{error}</div>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function ApprovalQueue() {
+  const [status, setStatus] = useState('pending')
+  const [requests, setRequests] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [message, setMessage] = useState('')
+
+  async function load() {
+    setLoading(true)
+    try { setRequests((await getChangeRequestQueue({ status })).requests || []) }
+    catch (err) { setMessage(err.message) }
+    finally { setLoading(false) }
+  }
+
+  useEffect(() => { load() }, [status])
+
+  function reviewed(result, approved) {
+    if (!approved) setMessage('Request rejected.')
+    else if (result.success) setMessage(`Request approved. ${result.updated} item(s) updated in Xero.`)
+    else setMessage(`${result.updated} item(s) updated in Xero, but ${result.failed.length} failed, so the request is still pending with just those: ${describeFailed(result.failed)}`)
+    load()
+  }
+
+  return (
+    <div className="admin-card">
+      <div className="card-header">
+        <h3>Change requests</h3>
+        <div className="button-group">
+          <select value={status} onChange={e=>setStatus(e.target.value)}>
+            {STATUS_FILTERS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+          </select>
+          <button type="button" className="btn-sm btn-secondary" onClick={load} disabled={loading}>Refresh</button>
+        </div>
+      </div>
+      {message && <div className="alert alert-info">{message}</div>}
+      {!loading && requests.length === 0 && <p className="small">No {status || ''} change requests.</p>}
+      {requests.map(r => <RequestCard key={r.id} request={r} onReviewed={reviewed} />)}
+    </div>
+  )
+}
+
+// Tells a requester how their change requests were decided, until they dismiss it
+export function ChangeRequestNotices({ refreshKey, onResolved }) {
+  const [requests, setRequests] = useState([])
+
+  useEffect(() => {
+    getMyChangeRequests().then(data => setRequests(data.requests || [])).catch(() => setRequests([]))
+  }, [refreshKey])
+
+  const pending = requests.filter(r => r.status === 'pending')
+  const resolved = requests.filter(r => r.status !== 'pending' && !r.acknowledgedAt)
+  if (pending.length === 0 && resolved.length === 0) return null
+
+  async function dismiss() {
+    await acknowledgeChangeRequests(resolved.map(r => r.id))
+    setRequests(prev => prev.map(r => resolved.includes(r) ? { ...r, acknowledgedAt: new Date().toISOString() } : r))
+    if (resolved.some(r => r.status === 'approved')) onResolved?.()
+  }
+
+  return (
+    <div className="alert alert-info request-notices">
+      {pending.length > 0 && <div>{pending.length} change request(s) waiting for admin approval.</div>}
+      {resolved.map(r => (
+        <div key={r.id}>
+          Your request from {new Date(r.createdAt).toLocaleDateString()} ({r.items.length} item(s)) was <strong>{r.status}</strong>
+          {r.reviewedByEmail && ` by ${r.reviewedByEmail}`}{r.reviewComment && `: “${r.reviewComment}”`}
+        </div>
+      ))}
+      {resolved.length > 0 && <button type="button" className="btn-sm btn-secondary" onClick={dismiss}>Dismiss</button>}
+    </div>
+  )
+}
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react'
+import { listDrafts, getDraft, deleteDraft, previewDraft, publishDraft, lowMarginGuard } from './api.js'
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—'
+  return String(value)
+}
+
+function DraftPreview({ preview }) {
+  return (
+    <>
+      <p className="small">
+        {preview.items.length} item(s) will change.
+        {preview.unchanged > 0 && ` ${preview.unchanged} already match Xero.`}
+        {preview.missing.length > 0 && ` ${preview.missing.length} no longer exist in Xero and will be skipped.`}
+      </p>
+      {preview.items.length > 0 && (
+        <div className="users-table-wrapper import-table-wrapper">
+          <table className="users-table bulk-table">
+            <thead>
+              <tr><th>Code</th><th>Name</th><th>Changes</th></tr>
+            </thead>
+            <tbody>
+              {preview.items.map(it => (
+                <tr key={it.ItemID}>
+                  <td>{it.Code}</td>
+                  <td>{it.Name}</td>
+                  <td>
+                    {it.changes.map(c => (
+                      <div key={c.field} className="import-change">
+                        <code className="inline">{c.field}</code> {formatValue(c.from)} → <strong>{formatValue(c.to)}</strong>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default function DraftsDialog({ currentDraftId, onOpen, onPublished, onClose }) {
+  const [drafts, setDrafts] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  async function load() {
+    try { setDrafts((await listDrafts()).drafts || []) }
+    catch (err) { setError(err.message); setDrafts([]) }
+  }
+
+  useEffect(() => { load() }, [])
+
+  async function run(action) {
+    setBusy(true); setError('')
+    try { await action() }
+    catch (err) { setError(err.message) }
+    finally { setBusy(false) }
+  }
+
+  const open = (draft) => run(async () => onOpen((await getDraft(draft.id)).draft))
+  const showPreview = (draft) => run(async () => setPreview(await previewDraft(draft.id)))
+
+  function publish(draft) {
+    if (!confirm(`Publish "${draft.name}" to Xero?`)) return
+    run(async () => { onPublished(draft, await lowMarginGuard()(allowLowMargin => publishDraft(draft.id, { allowLowMargin }))) })
+  }
+
+  function remove(draft) {
+    if (!confirm(`Delete the draft "${draft.name}"?`)) return
+    run(async () => { await deleteDraft(draft.id); setPreview(null); await load() })
+  }
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card">
+        <div className="card-header">
+          <h3>{preview ? `Draft preview — ${preview.draft.name}` : 'Saved drafts'}</h3>
+          <div className="button-group">
+            {preview && <button type="button" className="btn-sm btn-secondary" onClick={()=>setPreview(null)} disabled={busy}>Back to drafts</button>}
+            <button type="button" className="btn-sm btn-secondary" onClick={onClose} disabled={busy}>Close</button>
+          </div>
+        </div>
+
+        {error && <div className="alert alert-info">{error}</div>}
+
+        {preview ? (
+          <>
+            <DraftPreview preview={preview} />
+            <div className="button-group" style={{ marginTop: '1.5rem' }}>
+              <button type="button" className="save-btn" onClick={()=>publish(preview.draft)} disabled={busy || preview.items.length === 0}>Publish to Xero</button>
+              <button type="button" className="btn-secondary" onClick={()=>open(preview.draft)} disabled={busy}>Open in editor</button>
+            </div>
+          </>
+        ) : (
+          <>
+            {drafts === null && <p className="small">Loading...</p>}
+            {drafts && drafts.length === 0 && <p className="small">No saved drafts. Use “Save draft” in the editor to keep pending edits for later.</p>}
+            {drafts && drafts.length > 0 && (
+              <div className="users-table-wrapper">
+                <table className="users-table">
+                  <thead>
+                    <tr><th>Name</th><th>Items</th><th>Last saved</th><th>Status</th><th></th></tr>
+                  </thead>
+                  <tbody>
+                    {drafts.map(d => (
+                      <tr key={d.id}>
+                        <td>{d.name}{d.id === currentDraftId && <span className="badge"> Open</span>}</td>
+                        <td>{d.itemCount}</td>
+                        <td>{new Date(d.updatedAt).toLocaleString()}</td>
+                        <td>{d.publishedAt ? <span className="badge">Published {new Date(d.publishedAt).toLocaleDateString()}</span> : <span className="badge badge-inactive">Unpublished</span>}</td>
+                        <td>
+                          <div className="button-group">
+                            <button type="button" className="btn-sm btn-secondary" onClick={()=>open(d)} disabled={busy}>Open</button>
+                            <button type="button" className="btn-sm btn-secondary" onClick={()=>showPreview(d)} disabled={busy}>Preview</button>
+                            <button type="button" className="btn-sm btn-secondary" onClick={()=>remove(d)} disabled={busy}>Delete</button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
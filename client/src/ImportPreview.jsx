@@ -0,0 +1,89 @@
+import React, { useState } from 'react'
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—'
+  return String(value)
+}
+
+export default function ImportPreview({ preview, fileName, loading, onApply, onClose }) {
+  const [showUnchanged, setShowUnchanged] = useState(false)
+  const { rows = [], summary = {}, ignoredColumns = [] } = preview || {}
+  const visibleRows = showUnchanged ? rows : rows.filter(r => r.status !== 'unchanged')
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card">
+        <div className="card-header">
+          <h3>Import preview {fileName ? <span className="small">— {fileName}</span> : null}</h3>
+          <button type="button" className="btn-sm btn-secondary" onClick={onClose} disabled={loading}>Close</button>
+        </div>
+
+        <div className="import-summary">
+          <span className="badge">{summary.total || 0} rows</span>
+          <span className="badge badge-success">{summary.changed || 0} to update</span>
+          <span className="badge">{summary.unchanged || 0} unchanged</span>
+          <span className={`badge ${summary.errors ? 'badge-inactive' : ''}`}>{summary.errors || 0} with problems</span>
+          <label className="checkbox-label">
+            <input type="checkbox" checked={showUnchanged} onChange={e => setShowUnchanged(e.target.checked)} />
+            <span>Show unchanged rows</span>
+          </label>
+        </div>
+
+        {ignoredColumns.length > 0 && (
+          <p className="small">Ignored columns: {ignoredColumns.join(', ')}</p>
+        )}
+        {summary.errors > 0 && (
+          <p className="small">Rows with problems are skipped. Fix them in the spreadsheet and import again to include them.</p>
+        )}
+
+        <div className="users-table-wrapper import-table-wrapper">
+          <table className="users-table import-table">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Code</th>
+                <th>Name</th>
+                <th>Result</th>
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.length === 0 && (
+                <tr><td colSpan="5"><span className="small">Nothing to show.</span></td></tr>
+              )}
+              {visibleRows.map(r => (
+                <tr key={r.row} className={r.status === 'error' ? 'import-row-error' : ''}>
+                  <td>{r.row}</td>
+                  <td>{r.code || '-'}</td>
+                  <td>{r.name || '-'}</td>
+                  <td>
+                    {r.status === 'changed' && <span className="badge badge-success">Update</span>}
+                    {r.status === 'unchanged' && <span className="badge">No change</span>}
+                    {r.status === 'error' && <span className="badge badge-inactive">Skipped</span>}
+                  </td>
+                  <td>
+                    {r.changes.map(c => (
+                      <div key={c.field} className="import-change">
+                        <code className="inline">{c.field}</code> {formatValue(c.from)} → <strong>{formatValue(c.to)}</strong>
+                      </div>
+                    ))}
+                    {r.errors.map(e => (
+                      <div key={`${e.field}-${e.message}`} className="import-error">⚠️ {e.field}: {e.message}</div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="button-group" style={{ marginTop: '1.5rem' }}>
+          <button type="button" className="save-btn" onClick={onApply} disabled={loading || !summary.changed}>
+            Apply {summary.changed || 0} update(s) to Xero
+          </button>
+          <button type="button" className="btn-secondary" onClick={onClose} disabled={loading}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  )
+}
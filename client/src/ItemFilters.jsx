@@ -0,0 +1,95 @@
+import React from 'react'
+
+export const EMPTY_FILTERS = {
+  status: '', isSold: '', isPurchased: '', tracked: '',
+  salesAccount: '', purchaseAccount: '', salesTax: '', purchaseTax: '',
+  salePriceMin: '', salePriceMax: '', costPriceMin: '', costPriceMax: '',
+  missing: []
+}
+
+const MISSING_OPTIONS = [
+  { value: 'salePrice', label: 'Sale price' },
+  { value: 'salesAccount', label: 'Sales account' },
+  { value: 'salesTax', label: 'Sales tax' },
+  { value: 'costPrice', label: 'Cost price' },
+  { value: 'purchaseAccount', label: 'Purchase account' },
+  { value: 'purchaseTax', label: 'Purchase tax' }
+]
+
+export function countActiveFilters(filters) {
+  return Object.entries(filters).filter(([key, value]) => key === 'missing' ? value.length > 0 : value !== '').length
+}
+
+function YesNoSelect({ label, value, onChange }) {
+  return (
+    <label>{label}
+      <select value={value} onChange={e=>onChange(e.target.value)}>
+        <option value="">Any</option>
+        <option value="true">Yes</option>
+        <option value="false">No</option>
+      </select>
+    </label>
+  )
+}
+
+function OptionSelect({ label, value, options, onChange }) {
+  return (
+    <label>{label}
+      <select value={value} onChange={e=>onChange(e.target.value)}>
+        <option value="">Any</option>
+        {options.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+      </select>
+    </label>
+  )
+}
+
+export default function ItemFilters({ filters, accountOptions, taxOptions, onChange }) {
+  const set = (key) => (value) => onChange({ ...filters, [key]: value })
+
+  function toggleMissing(value, checked) {
+    onChange({ ...filters, missing: checked ? [...filters.missing, value] : filters.missing.filter(v => v !== value) })
+  }
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-grid">
+        <label>Status
+          <select value={filters.status} onChange={e=>set('status')(e.target.value)}>
+            <option value="">Any</option>
+            <option value="ACTIVE">Active</option>
+            <option value="ARCHIVED">Archived</option>
+          </select>
+        </label>
+        <YesNoSelect label="Sold" value={filters.isSold} onChange={set('isSold')} />
+        <YesNoSelect label="Purchased" value={filters.isPurchased} onChange={set('isPurchased')} />
+        <YesNoSelect label="Tracked inventory" value={filters.tracked} onChange={set('tracked')} />
+        <OptionSelect label="Sales account" value={filters.salesAccount} options={accountOptions} onChange={set('salesAccount')} />
+        <OptionSelect label="Sales tax" value={filters.salesTax} options={taxOptions} onChange={set('salesTax')} />
+        <OptionSelect label="Purchase account" value={filters.purchaseAccount} options={accountOptions} onChange={set('purchaseAccount')} />
+        <OptionSelect label="Purchase tax" value={filters.purchaseTax} options={taxOptions} onChange={set('purchaseTax')} />
+        <label>Sale price
+          <span className="filter-range">
+            <input type="number" step="0.01" placeholder="Min" value={filters.salePriceMin} onChange={e=>set('salePriceMin')(e.target.value)} />
+            <input type="number" step="0.01" placeholder="Max" value={filters.salePriceMax} onChange={e=>set('salePriceMax')(e.target.value)} />
+          </span>
+        </label>
+        <label>Cost price
+          <span className="filter-range">
+            <input type="number" step="0.01" placeholder="Min" value={filters.costPriceMin} onChange={e=>set('costPriceMin')(e.target.value)} />
+            <input type="number" step="0.01" placeholder="Max" value={filters.costPriceMax} onChange={e=>set('costPriceMax')(e.target.value)} />
+          </span>
+        </label>
+      </div>
+      <div className="filter-missing">
+        <span className="small">Missing:</span>
+        {MISSING_OPTIONS.map(opt => (
+          <label key={opt.value} className="checkbox-label">
+            <input type="checkbox" checked={filters.missing.includes(opt.value)} onChange={e=>toggleMissing(opt.value, e.target.checked)} />
+            <span>{opt.label}</span>
+          </label>
+        ))}
+        <button type="button" className="btn-sm btn-secondary" onClick={()=>onChange(EMPTY_FILTERS)} disabled={countActiveFilters(filters) === 0}>Clear filters</button>
+      </div>
+    </div>
+  )
+}
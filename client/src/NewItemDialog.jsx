@@ -0,0 +1,117 @@
+import React, { useState } from 'react'
+import { createItem } from './api.js'
+import { validateNewItem } from '../../items.js'
+
+const EMPTY_ITEM = {
+  Code: '', Name: '', Description: '',
+  IsSold: true, salePrice: '', salesAccount: '', salesTax: '',
+  IsPurchased: true, costPrice: '', purchaseAccount: '', purchaseTax: ''
+}
+
+// Build the Xero Item payload, leaving out blank fields and details for sides the item is not used on
+function buildItem(form) {
+  const item = { Code: form.Code.trim(), Name: form.Name.trim(), IsSold: form.IsSold, IsPurchased: form.IsPurchased }
+  if (form.Description.trim()) item.Description = form.Description.trim()
+
+  const details = (price, account, tax) => {
+    const out = {}
+    if (price !== '') out.UnitPrice = Number(price)
+    if (account) out.AccountCode = account
+    if (tax) out.TaxType = tax
+    return Object.keys(out).length ? out : null
+  }
+  const sales = form.IsSold && details(form.salePrice, form.salesAccount, form.salesTax)
+  const purchase = form.IsPurchased && details(form.costPrice, form.purchaseAccount, form.purchaseTax)
+  if (sales) item.SalesDetails = sales
+  if (purchase) item.PurchaseDetails = purchase
+  return item
+}
+
+// Form keys for the Item paths validateNewItem reports errors on
+const FORM_KEYS = {
+  'SalesDetails.UnitPrice': 'salePrice', 'SalesDetails.AccountCode': 'salesAccount', 'SalesDetails.TaxType': 'salesTax',
+  'PurchaseDetails.UnitPrice': 'costPrice', 'PurchaseDetails.AccountCode': 'purchaseAccount', 'PurchaseDetails.TaxType': 'purchaseTax'
+}
+
+function validate(form, knownCodes) {
+  const errors = {}
+  const isCodeTaken = code => knownCodes.includes(code.toLowerCase())
+  for (const { field, message } of validateNewItem(buildItem(form), { isCodeTaken })) {
+    const key = FORM_KEYS[field] || field
+    if (!errors[key]) errors[key] = message
+  }
+  return errors
+}
+
+export default function NewItemDialog({ perms, accountOptions, taxOptions, knownCodes, onCreated, onClose }) {
+  const [form, setForm] = useState(EMPTY_ITEM)
+  const [errors, setErrors] = useState({})
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  function set(key, value) {
+    setForm(prev => ({ ...prev, [key]: value }))
+    setErrors(prev => ({ ...prev, [key]: undefined }))
+  }
+
+  async function submit(e) {
+    e.preventDefault()
+    const found = validate(form, knownCodes)
+    setErrors(found)
+    if (Object.keys(found).length > 0) return
+    setBusy(true); setError('')
+    try { onCreated((await createItem(buildItem(form))).Item) }
+    catch (err) { setError(err.message) }
+    finally { setBusy(false) }
+  }
+
+  const fieldError = key => errors[key] && <span className="field-error">{errors[key]}</span>
+  const select = (key, options, disabled) => (
+    <select value={form[key]} onChange={e=>set(key, e.target.value)} disabled={disabled}>
+      <option value=""></option>
+      {options.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+    </select>
+  )
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card new-item-card">
+        <div className="card-header">
+          <h3>New item</h3>
+          <button type="button" className="btn-sm btn-secondary" onClick={onClose} disabled={busy}>Close</button>
+        </div>
+
+        <form onSubmit={submit}>
+          <div className="new-item-grid">
+            <label>Code {fieldError('Code')}<input type="text" value={form.Code} onChange={e=>set('Code', e.target.value)} autoFocus /></label>
+            <label>Name {fieldError('Name')}<input type="text" value={form.Name} onChange={e=>set('Name', e.target.value)} /></label>
+            <label className="span-2">Description {fieldError('Description')}<input type="text" value={form.Description} onChange={e=>set('Description', e.target.value)} disabled={perms.description === false} /></label>
+
+            <label className="checkbox-label span-2">
+              <input type="checkbox" checked={form.IsSold} onChange={e=>set('IsSold', e.target.checked)} />
+              <span>I sell this item</span>
+            </label>
+            <label>Sale price {fieldError('salePrice')}<input type="number" step="0.01" value={form.salePrice} onChange={e=>set('salePrice', e.target.value)} disabled={!form.IsSold || perms.salePrice === false} /></label>
+            <label>Sales account{select('salesAccount', accountOptions, !form.IsSold || perms.salesAccount === false)}</label>
+            <label>Sales tax{select('salesTax', taxOptions, !form.IsSold || perms.salesTax === false)}</label>
+            <span />
+
+            <label className="checkbox-label span-2">
+              <input type="checkbox" checked={form.IsPurchased} onChange={e=>set('IsPurchased', e.target.checked)} />
+              <span>I purchase this item</span>
+            </label>
+            <label>Cost price {fieldError('costPrice')}<input type="number" step="0.01" value={form.costPrice} onChange={e=>set('costPrice', e.target.value)} disabled={!form.IsPurchased || perms.costPrice === false} /></label>
+            <label>Purchase account{select('purchaseAccount', accountOptions, !form.IsPurchased || perms.purchaseAccount === false)}</label>
+            <label>Purchase tax{select('purchaseTax', taxOptions, !form.IsPurchased || perms.purchaseTax === false)}</label>
+          </div>
+
+          {error && <div className="alert alert-info">{error}</div>}
+
+          <div className="button-group" style={{ marginTop: '1.5rem' }}>
+            <button type="submit" className="save-btn" disabled={busy}>{busy ? 'Creating...' : 'Create in Xero'}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,28 @@
+import React, { useState } from 'react'
+
+// A computed percentage (margin or markup) that can be overtyped with a target.
+// The typed value is only committed on Enter or when the input loses focus, so the price
+// isn't recalculated on every keystroke. Escape abandons the edit.
+export default function PercentInput({ value, onCommit, disabled, title }) {
+  const [text, setText] = useState(null) // null while not being edited
+  const shown = text ?? (value === null ? '' : value.toFixed(1))
+
+  function commit() {
+    if (text !== null && text.trim() !== '' && Number.isFinite(Number(text))) onCommit(Number(text))
+    setText(null)
+  }
+
+  return (
+    <input
+      type="number"
+      step="0.1"
+      value={shown}
+      placeholder="—"
+      onChange={e=>setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={e=>{ if (e.key === 'Enter') e.currentTarget.blur(); if (e.key === 'Escape') setText(null) }}
+      disabled={disabled}
+      title={title}
+    />
+  )
+}
@@ -0,0 +1,40 @@
+import React, { useEffect, useState } from 'react'
+import { getOrgSettings, saveOrgSettings } from './api.js'
+
+// Organization pricing rules: the minimum gross margin that saves warn about
+export default function PricingSettings() {
+  const [minMargin, setMinMargin] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    getOrgSettings()
+      .then(s => setMinMargin(s.minMarginPercent ?? ''))
+      .catch(err => setMessage(err.message))
+  }, [])
+
+  async function save(e) {
+    e.preventDefault()
+    setBusy(true); setMessage('')
+    try {
+      const saved = await saveOrgSettings({ minMarginPercent: minMargin === '' ? null : Number(minMargin) })
+      setMinMargin(saved.minMarginPercent ?? '')
+      setMessage(saved.minMarginPercent === null ? 'Minimum margin warning turned off.' : `Saves below ${saved.minMarginPercent}% gross margin will now warn.`)
+    } catch (err) { setMessage(err.message) }
+    finally { setBusy(false) }
+  }
+
+  return (
+    <div className="admin-card">
+      <h3>Pricing rules</h3>
+      <form onSubmit={save} className="pricing-settings">
+        <label>Minimum gross margin (%)
+          <input type="number" step="0.1" min="0" max="99.9" value={minMargin} onChange={e=>setMinMargin(e.target.value)} placeholder="No minimum" />
+        </label>
+        <button type="submit" className="btn-primary" disabled={busy}>{busy ? 'Saving...' : 'Save'}</button>
+      </form>
+      <p className="small">Anyone saving prices that leave an item below this margin is asked to confirm first. Leave blank to turn the warning off.</p>
+      {message && <div className="alert alert-info">{message}</div>}
+    </div>
+  )
+}
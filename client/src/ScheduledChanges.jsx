@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react'
+import { listScheduledChanges, scheduleChanges, cancelScheduledChange, lowMarginGuard } from './api.js'
+
+const STATUS_BADGES = {
+  scheduled: { label: 'Scheduled', className: 'badge' },
+  running: { label: 'Running', className: 'badge' },
+  completed: { label: 'Completed', className: 'badge badge-success' },
+  failed: { label: 'Failed', className: 'badge badge-inactive' },
+  cancelled: { label: 'Cancelled', className: 'badge badge-inactive' }
+}
+
+// Value for a datetime-local input, in the browser's time zone
+function localInputValue(date) {
+  const pad = n => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+function startOfTomorrow() {
+  const d = new Date()
+  d.setDate(d.getDate() + 1)
+  d.setHours(0, 0, 0, 0)
+  return d
+}
+
+function JobOutcome({ job }) {
+  if (job.status === 'cancelled') return <span className="small">Cancelled by {job.cancelledByEmail || 'unknown'}</span>
+  if (job.status === 'scheduled' || job.status === 'running') return null
+  const result = job.result || {}
+  return (
+    <div className="small">
+      {job.finishedAt && <div>Ran {new Date(job.finishedAt).toLocaleString()}. {result.updated ?? 0} item(s) updated.</div>}
+      {result.missing > 0 && <div>{result.missing} item(s) no longer exist in Xero.</div>}
+      {job.error && <div className="field-error">{job.error}</div>}
+      {(result.failed || []).map(f => (
+        <div key={f.ItemID || f.Code}>{f.Code || f.ItemID}: {f.errors.map(e => e.message).join(', ')}</div>
+      ))}
+    </div>
+  )
+}
+
+export default function ScheduledChangesDialog({ pendingItems, canSchedule, onScheduled, onClose }) {
+  const [jobs, setJobs] = useState(null)
+  const [name, setName] = useState('')
+  const [runAt, setRunAt] = useState(() => localInputValue(startOfTomorrow()))
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  async function load() {
+    try { setJobs((await listScheduledChanges()).jobs || []) }
+    catch (err) { setError(err.message); setJobs([]) }
+  }
+
+  useEffect(() => { load() }, [])
+
+  async function run(action) {
+    setBusy(true); setError('')
+    try { await action() }
+    catch (err) { setError(err.message) }
+    finally { setBusy(false) }
+  }
+
+  function schedule(e) {
+    e.preventDefault()
+    run(async () => {
+      const result = await lowMarginGuard()(allowLowMargin => scheduleChanges({ name: name.trim(), runAt: new Date(runAt).toISOString(), items: pendingItems, allowLowMargin }))
+      setName('')
+      onScheduled(result.job)
+      await load()
+    })
+  }
+
+  function cancel(job) {
+    if (!confirm(`Cancel "${job.name}"? Its changes will not be applied.`)) return
+    run(async () => { await cancelScheduledChange(job.id); await load() })
+  }
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card">
+        <div className="card-header">
+          <h3>Scheduled changes</h3>
+          <div className="button-group">
+            <button type="button" className="btn-sm btn-secondary" onClick={load} disabled={busy}>Refresh</button>
+            <button type="button" className="btn-sm btn-secondary" onClick={onClose} disabled={busy}>Close</button>
+          </div>
+        </div>
+
+        {canSchedule && pendingItems.length > 0 && (
+          <form className="schedule-form" onSubmit={schedule}>
+            <p className="small">Apply your {pendingItems.length} pending item change(s) to Xero automatically at a set time. They are checked again when they run.</p>
+            <div className="schedule-fields">
+              <label>Name<input type="text" value={name} onChange={e=>setName(e.target.value)} placeholder="e.g. July price rise" required /></label>
+              <label>Apply at<input type="datetime-local" value={runAt} onChange={e=>setRunAt(e.target.value)} min={localInputValue(new Date())} required /></label>
+              <button type="submit" className="save-btn" disabled={busy || !name.trim() || !runAt}>Schedule</button>
+            </div>
+          </form>
+        )}
+
+        {error && <div className="alert alert-info">{error}</div>}
+
+        {jobs === null && <p className="small">Loading...</p>}
+        {jobs && jobs.length === 0 && <p className="small">Nothing scheduled. Make your edits in the grid, then use “Schedule” to apply them later.</p>}
+        {jobs && jobs.length > 0 && (
+          <div className="users-table-wrapper">
+            <table className="users-table">
+              <thead>
+                <tr><th>Name</th><th>Items</th><th>Runs at</th><th>Scheduled by</th><th>Status</th><th></th></tr>
+              </thead>
+              <tbody>
+                {jobs.map(job => (
+                  <tr key={job.id}>
+                    <td>{job.name}<JobOutcome job={job} /></td>
+                    <td>{job.itemCount}</td>
+                    <td>{new Date(job.runAt).toLocaleString()}</td>
+                    <td>{job.userEmail}</td>
+                    <td><span className={STATUS_BADGES[job.status]?.className || 'badge'}>{STATUS_BADGES[job.status]?.label || job.status}</span></td>
+                    <td>
+                      {job.status === 'scheduled' && <button type="button" className="btn-sm btn-secondary" onClick={()=>cancel(job)} disabled={busy}>Cancel</button>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
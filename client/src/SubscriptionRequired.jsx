@@ -0,0 +1,22 @@
+import React from 'react'
+
+// Shown instead of the editor once the organization's trial or subscription has lapsed (the server answers 402)
+export default function SubscriptionRequired({ lapse, user, upgradeUrl, onLogout }) {
+  const trialEnded = lapse.subscriptionStatus === 'trial' || lapse.subscriptionStatus === 'expired'
+  return (
+    <div className="auth-container">
+      <div className="auth-box subscription-required">
+        <h1>Prodit</h1>
+        <h2>{trialEnded ? 'Your free trial has ended' : 'Your subscription is no longer active'}</h2>
+        <p>
+          {trialEnded && lapse.trialEndDate ? `The trial ended on ${new Date(lapse.trialEndDate).toLocaleDateString()}. ` : ''}
+          Upgrade to keep editing your Xero products and services. Your items, drafts and change history are kept.
+        </p>
+        {upgradeUrl
+          ? <a href={upgradeUrl} className="btn-link full-width">Upgrade now</a>
+          : <p className="small">{user.isAdmin ? 'Contact us to upgrade your organization.' : 'Ask your administrator to upgrade your organization.'}</p>}
+        <button type="button" className="btn-secondary full-width" onClick={onLogout}>Logout</button>
+      </div>
+    </div>
+  )
+}
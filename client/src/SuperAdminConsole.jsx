@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from 'react'
+import { logout, listOrganizations, extendOrganizationTrial, cancelOrganization, deleteOrganization, getAuditLogs } from './api.js'
+
+const AUDIT_PAGE_SIZE = 50
+
+const VIEW_TITLES = {
+  organizations: 'Organizations',
+  audit: 'Audit Log'
+}
+
+const STATUS_BADGES = {
+  trial: 'badge',
+  active: 'badge badge-success',
+  expired: 'badge badge-inactive',
+  cancelled: 'badge badge-inactive'
+}
+
+const ACTION_LABELS = {
+  extend_trial: 'Extended trial',
+  cancel_subscription: 'Cancelled subscription',
+  delete_org: 'Deleted organization'
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : '—'
+}
+
+function describeDetails(details) {
+  if (!details) return ''
+  const parts = []
+  if (details.companyName) parts.push(details.companyName)
+  if (details.days) parts.push(`+${details.days} days, trial ends ${formatDate(details.trialEndDate)}`)
+  if (details.previousStatus) parts.push(`was ${details.previousStatus}`)
+  if (details.ownerEmail) parts.push(`owner ${details.ownerEmail}`)
+  return parts.join(' · ')
+}
+
+function OrganizationRow({ org, busy, onExtend, onCancel, onDelete }) {
+  const [days, setDays] = useState('14')
+  return (
+    <tr>
+      <td>
+        <div>{org.companyName}</div>
+        <div className="small">{org.ownerEmail} · {org.accountType}</div>
+      </td>
+      <td><span className={STATUS_BADGES[org.subscriptionStatus] || 'badge'}>{org.subscriptionStatus}</span></td>
+      <td>{formatDate(org.trialEndDate)}</td>
+      <td>{org.userCount}</td>
+      <td>{org.xeroInstanceCount}</td>
+      <td>{formatDate(org.createdAt)}</td>
+      <td>
+        <div className="action-buttons">
+          <input type="number" className="superadmin-days" min="1" max="365" value={days} onChange={e=>setDays(e.target.value)} aria-label="Days to extend" />
+          <button type="button" className="btn-sm btn-secondary" onClick={()=>onExtend(org, Number(days))} disabled={busy || !days}>Extend trial</button>
+          <button type="button" className="btn-sm btn-secondary" onClick={()=>onCancel(org)} disabled={busy || org.subscriptionStatus === 'cancelled'}>Cancel</button>
+          <button type="button" className="btn-sm btn-danger" onClick={()=>onDelete(org)} disabled={busy}>Delete</button>
+        </div>
+      </td>
+    </tr>
+  )
+}
+
+function OrganizationsPanel() {
+  const [organizations, setOrganizations] = useState(null)
+  const [filter, setFilter] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState('')
+
+  async function load() {
+    try { setOrganizations((await listOrganizations()).organizations) }
+    catch (err) { setMessage(err.message); setOrganizations([]) }
+  }
+
+  useEffect(() => { load() }, [])
+
+  async function run(action, success) {
+    setBusy(true); setMessage('')
+    try { await action(); setMessage(success); await load() }
+    catch (err) { setMessage(err.message) }
+    finally { setBusy(false) }
+  }
+
+  function extend(org, days) {
+    run(() => extendOrganizationTrial(org.id, days), `Extended the trial for ${org.companyName} by ${days} day(s).`)
+  }
+
+  function cancel(org) {
+    if (!confirm(`Cancel the subscription for ${org.companyName}? Its users lose access at once.`)) return
+    run(() => cancelOrganization(org.id), `Cancelled ${org.companyName}.`)
+  }
+
+  function remove(org) {
+    if (!confirm(`Delete ${org.companyName}? Its ${org.userCount} user(s) will no longer be able to sign in.`)) return
+    run(() => deleteOrganization(org.id), `Deleted ${org.companyName}.`)
+  }
+
+  const term = filter.trim().toLowerCase()
+  const shown = (organizations || []).filter(org => !term
+    || org.companyName.toLowerCase().includes(term)
+    || org.ownerEmail.toLowerCase().includes(term))
+
+  return (
+    <div className="admin-card">
+      <div className="card-header">
+        <h3>Organizations</h3>
+        <div className="button-group">
+          <input type="search" placeholder="Filter by name or owner" value={filter} onChange={e=>setFilter(e.target.value)} />
+          <button type="button" className="btn-sm btn-secondary" onClick={load} disabled={busy}>Refresh</button>
+        </div>
+      </div>
+      {message && <div className="alert alert-info">{message}</div>}
+      {organizations === null && <p className="small">Loading...</p>}
+      {organizations && shown.length === 0 && <p className="small">No organizations found.</p>}
+      {shown.length > 0 && (
+        <div className="users-table-wrapper">
+          <table className="users-table">
+            <thead>
+              <tr><th>Organization</th><th>Status</th><th>Trial ends</th><th>Users</th><th>Xero</th><th>Created</th><th>Actions</th></tr>
+            </thead>
+            <tbody>
+              {shown.map(org => (
+                <OrganizationRow key={org.id} org={org} busy={busy} onExtend={extend} onCancel={cancel} onDelete={remove} />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function AuditLogPanel() {
+  const [logs, setLogs] = useState([])
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  async function load(offset = 0) {
+    setLoading(true)
+    try {
+      const data = await getAuditLogs({ limit: AUDIT_PAGE_SIZE, offset })
+      setLogs(prev => offset === 0 ? data.logs : [...prev, ...data.logs])
+      setHasMore(data.hasMore)
+    } catch (err) { setError(err.message) }
+    finally { setLoading(false) }
+  }
+
+  useEffect(() => { load() }, [])
+
+  return (
+    <div className="admin-card">
+      <div className="card-header">
+        <h3>Audit log</h3>
+        <button type="button" className="btn-sm btn-secondary" onClick={() => load()} disabled={loading}>Refresh</button>
+      </div>
+      {error && <div className="alert alert-info">{error}</div>}
+      {!loading && logs.length === 0 && <p className="small">No super admin actions have been recorded yet.</p>}
+      {logs.length > 0 && (
+        <div className="users-table-wrapper">
+          <table className="users-table">
+            <thead>
+              <tr><th>When</th><th>Who</th><th>Action</th><th>Target</th><th>IP address</th></tr>
+            </thead>
+            <tbody>
+              {logs.map(log => (
+                <tr key={log.id}>
+                  <td>{new Date(log.createdAt).toLocaleString()}</td>
+                  <td>{log.superAdminEmail}</td>
+                  <td>{ACTION_LABELS[log.action] || log.action}</td>
+                  <td>
+                    <div>{log.targetType} #{log.targetId}</div>
+                    <div className="small">{describeDetails(log.details)}</div>
+                  </td>
+                  <td>{log.ipAddress || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {hasMore && (
+        <button type="button" className="btn-secondary" onClick={() => load(logs.length)} disabled={loading}>
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default function SuperAdminConsole({ user, onLogout }) {
+  const [activeView, setActiveView] = useState('organizations')
+
+  async function handleLogout() {
+    await logout()
+    onLogout()
+  }
+
+  return (
+    <div className="admin-layout">
+      <aside className="admin-sidebar">
+        <div className="admin-brand">
+          <h1>Prodit Super Admin</h1>
+        </div>
+
+        <nav className="admin-nav">
+          <div className="admin-nav-section">
+            {Object.entries(VIEW_TITLES).map(([view, title]) => (
+              <button key={view} className={`admin-nav-item ${activeView === view ? 'active' : ''}`} onClick={() => setActiveView(view)}>
+                <span>{title}</span>
+              </button>
+            ))}
+          </div>
+
+          <div className="admin-nav-section admin-nav-bottom">
+            <a href={user.isAdmin ? '/admin' : '/'} className="admin-nav-item">
+              <span>Back to app</span>
+            </a>
+          </div>
+        </nav>
+      </aside>
+
+      <div className="admin-main">
+        <header className="admin-header">
+          <div className="admin-header-content">
+            <h2>{VIEW_TITLES[activeView]}</h2>
+            <div className="admin-header-actions">
+              <span className="admin-user-badge">{user.email}</span>
+              <button onClick={handleLogout} className="btn-secondary">Logout</button>
+            </div>
+          </div>
+        </header>
+
+        <div className="admin-content">
+          {activeView === 'organizations' && <OrganizationsPanel />}
+          {activeView === 'audit' && <AuditLogPanel />}
+        </div>
+      </div>
+    </div>
+  )
+}
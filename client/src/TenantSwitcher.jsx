@@ -0,0 +1,33 @@
+import React from 'react'
+
+// Header dropdown for users with more than one connected Xero organization
+export default function TenantSwitcher({ connections, tenantId, onSwitch, disabled }) {
+  if (connections.length < 2) return null
+  return (
+    <select className="tenant-switcher" value={tenantId || ''} onChange={e=>onSwitch(e.target.value)} disabled={disabled} title="Switch Xero organization">
+      {connections.map(c => <option key={c.tenantId} value={c.tenantId}>{c.tenantName || c.tenantId}</option>)}
+    </select>
+  )
+}
+
+// Shown after connecting Xero when several organizations were authorized
+export function TenantPicker({ connections, tenantId, onSwitch, onClose }) {
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card tenant-picker">
+        <div className="card-header">
+          <h3>Choose a Xero organization</h3>
+          <button type="button" className="btn-sm btn-secondary" onClick={onClose}>Close</button>
+        </div>
+        <p className="small">You connected {connections.length} organizations. Pick the one to work on now; you can switch at any time from the header.</p>
+        <div className="tenant-picker-list">
+          {connections.map(c => (
+            <button key={c.tenantId} type="button" className={c.tenantId === tenantId ? 'btn-primary' : 'btn-secondary'} onClick={()=>onSwitch(c.tenantId)}>
+              {c.tenantName || c.tenantId}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
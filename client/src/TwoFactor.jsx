@@ -0,0 +1,216 @@
+import React, { useEffect, useState } from 'react'
+import { startTwoFactorSetup, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes, getOrgSettings, saveOrgSettings } from './api.js'
+
+// Recovery codes are only ever shown once, straight after they are generated
+function RecoveryCodes({ codes, onDone }) {
+  function download() {
+    const blob = new Blob([`Prodit recovery codes\nEach code can be used once to sign in without your authenticator app.\n\n${codes.join('\n')}\n`], { type: 'text/plain' })
+    const a = document.createElement('a')
+    a.href = URL.createObjectURL(blob)
+    a.download = 'prodit-recovery-codes.txt'
+    a.click()
+    URL.revokeObjectURL(a.href)
+  }
+
+  return (
+    <div>
+      <p className="small">Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone. They won't be shown again.</p>
+      <ul className="recovery-codes">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="button-group">
+        <button type="button" className="btn-secondary" onClick={download}>Download</button>
+        <button type="button" className="btn-primary" onClick={onDone}>I've saved them</button>
+      </div>
+    </div>
+  )
+}
+
+// Enrollment: scan the QR code, confirm with a code from the app, then save the recovery codes
+export function TwoFactorEnrollment({ onEnabled, onCancel }) {
+  const [setup, setSetup] = useState(null) // { secret, otpauthUrl, qrCode }
+  const [code, setCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    startTwoFactorSetup().then(setSetup).catch(err => setMessage(err.message))
+  }, [])
+
+  async function confirm(e) {
+    e.preventDefault()
+    setBusy(true); setMessage('')
+    try { setRecoveryCodes((await enableTwoFactor(code)).recoveryCodes) }
+    catch (err) { setMessage(err.message) }
+    finally { setBusy(false) }
+  }
+
+  if (recoveryCodes) return <RecoveryCodes codes={recoveryCodes} onDone={() => onEnabled(recoveryCodes.length)} />
+
+  return (
+    <div>
+      {!setup && !message && <p className="small">Loading...</p>}
+      {setup && (
+        <form onSubmit={confirm} className="two-factor-enroll">
+          <p className="small">Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Microsoft Authenticator.</p>
+          <img src={setup.qrCode} alt="QR code for your authenticator app" width="220" height="220" />
+          <p className="small">Can't scan it? Enter this key instead: <code>{setup.secret}</code></p>
+          <label>Code from the app
+            <input type="text" inputMode="numeric" autoComplete="one-time-code" pattern="[0-9 ]*" maxLength={7} value={code} onChange={e=>setCode(e.target.value)} placeholder="123456" required autoFocus />
+          </label>
+          <div className="button-group">
+            {onCancel && <button type="button" className="btn-secondary" onClick={onCancel} disabled={busy}>Cancel</button>}
+            <button type="submit" className="btn-primary" disabled={busy || !code.trim()}>{busy ? 'Checking...' : 'Turn on'}</button>
+          </div>
+        </form>
+      )}
+      {message && <div className="alert alert-info">{message}</div>}
+    </div>
+  )
+}
+
+// A user's own two-factor settings
+export default function TwoFactorSettings({ user }) {
+  const [status, setStatus] = useState(user.twoFactor || { enabled: false, required: false, recoveryCodesLeft: 0 })
+  const [mode, setMode] = useState(null) // 'enroll', 'disable' or 'codes' while one of those is in progress
+  const [code, setCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState('')
+
+  function start(next) {
+    setMode(next); setCode(''); setMessage('')
+  }
+
+  async function submitCode(e) {
+    e.preventDefault()
+    setBusy(true); setMessage('')
+    try {
+      if (mode === 'disable') {
+        await disableTwoFactor(code)
+        setStatus({ ...status, enabled: false, recoveryCodesLeft: 0 })
+        setMessage('Two-factor authentication is off.')
+      } else {
+        const result = await regenerateRecoveryCodes(code)
+        setRecoveryCodes(result.recoveryCodes)
+        setStatus({ ...status, recoveryCodesLeft: result.recoveryCodes.length })
+      }
+      setMode(null)
+    } catch (err) { setMessage(err.message) }
+    finally { setBusy(false) }
+  }
+
+  function enrolled(recoveryCodesLeft) {
+    setMode(null)
+    setStatus({ ...status, enabled: true, recoveryCodesLeft })
+    setMessage('Two-factor authentication is on. You will be asked for a code each time you sign in.')
+  }
+
+  return (
+    <div className="admin-card">
+      <div className="card-header">
+        <h3>Two-factor authentication</h3>
+        <span className={status.enabled ? 'badge badge-success' : 'badge badge-inactive'}>{status.enabled ? 'On' : 'Off'}</span>
+      </div>
+
+      {recoveryCodes ? (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : mode === 'enroll' ? (
+        <TwoFactorEnrollment onEnabled={enrolled} onCancel={() => setMode(null)} />
+      ) : mode ? (
+        <form onSubmit={submitCode} className="pricing-settings">
+          <label>{mode === 'disable' ? 'Enter a code to turn two-factor off' : 'Enter a code to replace your recovery codes'}
+            <input type="text" autoComplete="one-time-code" value={code} onChange={e=>setCode(e.target.value)} placeholder="Authenticator or recovery code" required autoFocus />
+          </label>
+          <button type="button" className="btn-secondary" onClick={() => setMode(null)} disabled={busy}>Cancel</button>
+          <button type="submit" className={mode === 'disable' ? 'btn-danger' : 'btn-primary'} disabled={busy}>{busy ? 'Checking...' : mode === 'disable' ? 'Turn off' : 'Replace codes'}</button>
+        </form>
+      ) : status.enabled ? (
+        <>
+          <p className="small">
+            Signing in needs a code from your authenticator app. You have {status.recoveryCodesLeft} unused recovery code(s).
+            {status.required && ' Your organization requires two-factor authentication.'}
+          </p>
+          <div className="button-group">
+            <button type="button" className="btn-secondary" onClick={() => start('codes')}>New recovery codes</button>
+            {!status.required && <button type="button" className="btn-danger" onClick={() => start('disable')}>Turn off</button>}
+          </div>
+        </>
+      ) : (
+        <>
+          <p className="small">Protect your account with a code from an authenticator app on your phone, as well as your password.</p>
+          <button type="button" className="btn-primary" onClick={() => start('enroll')}>Set up two-factor</button>
+        </>
+      )}
+
+      {message && <div className="alert alert-info">{message}</div>}
+    </div>
+  )
+}
+
+// Shown instead of the app when the organization requires two-factor and this user hasn't set it up yet
+export function TwoFactorSetupRequired({ user, onEnabled, onLogout }) {
+  return (
+    <div className="auth-container">
+      <div className="auth-box">
+        <h1>Prodit</h1>
+        <h2>Set up two-factor authentication</h2>
+        <p className="small">{user.organizationName || 'Your organization'} requires two-factor authentication for everyone who can edit its Xero items.</p>
+        <TwoFactorEnrollment onEnabled={onEnabled} />
+        <button type="button" className="btn-secondary full-width" onClick={onLogout}>Logout</button>
+      </div>
+    </div>
+  )
+}
+
+// Admin setting: require every user of the organization to use two-factor
+export function RequireTwoFactorSetting() {
+  const [required, setRequired] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    getOrgSettings()
+      .then(s => setRequired(s.requireTwoFactor))
+      .catch(err => setMessage(err.message))
+  }, [])
+
+  async function toggle(e) {
+    const next = e.target.checked
+    setBusy(true); setMessage('')
+    try {
+      const saved = await saveOrgSettings({ requireTwoFactor: next })
+      setRequired(saved.requireTwoFactor)
+      setMessage(saved.requireTwoFactor ? 'Everyone must now set up two-factor authentication the next time they use Prodit.' : 'Two-factor authentication is now optional.')
+    } catch (err) { setMessage(err.message) }
+    finally { setBusy(false) }
+  }
+
+  return (
+    <div className="admin-card">
+      <h3>Security</h3>
+      <label className="checkbox-label">
+        <input type="checkbox" checked={Boolean(required)} onChange={toggle} disabled={busy || required === null} />
+        <span>Require two-factor authentication for every user</span>
+      </label>
+      <p className="small">Users who haven't set it up are asked to before they can do anything else. Turn it on for your own account first.</p>
+      {message && <div className="alert alert-info">{message}</div>}
+    </div>
+  )
+}
+
+// The main app's Security dialog, for users who don't have the admin dashboard
+export function SecurityDialog({ user, onClose }) {
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card security-card">
+        <div className="card-header">
+          <h3>Security</h3>
+          <button type="button" className="btn-sm btn-secondary" onClick={onClose}>Close</button>
+        </div>
+        <TwoFactorSettings user={user} />
+      </div>
+    </div>
+  )
+}
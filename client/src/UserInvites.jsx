@@ -0,0 +1,64 @@
+import React, { useState } from 'react'
+import { resendInvite, revokeInvite } from './api.js'
+
+// Invitations that haven't been accepted yet, with resend and revoke
+export default function PendingInvites({ invites, onChanged }) {
+  const [busy, setBusy] = useState(false)
+  const [status, setStatus] = useState('')
+
+  async function run(action, success) {
+    setBusy(true); setStatus('')
+    try { await action(); setStatus(success); await onChanged() }
+    // A failed resend has still replaced the link, so the list is refreshed either way
+    catch (err) { setStatus(err.message); await onChanged() }
+    finally { setBusy(false) }
+  }
+
+  function resend(invite) {
+    run(() => resendInvite(invite.id), `Sent a new invitation to ${invite.email}.`)
+  }
+
+  function revoke(invite) {
+    if (!confirm(`Revoke the invitation for ${invite.email}? The link in their email will stop working.`)) return
+    run(() => revokeInvite(invite.id), `Revoked the invitation for ${invite.email}.`)
+  }
+
+  if (invites.length === 0) return null
+
+  return (
+    <div className="admin-card">
+      <div className="card-header">
+        <h3>Pending invitations</h3>
+      </div>
+      {status && <div className="alert alert-info">{status}</div>}
+      <div className="users-table-wrapper">
+        <table className="users-table">
+          <thead>
+            <tr><th>Email</th><th>Role</th><th>Invited by</th><th>Sent</th><th>Status</th><th>Actions</th></tr>
+          </thead>
+          <tbody>
+            {invites.map(invite => (
+              <tr key={invite.id}>
+                <td>{invite.email}{invite.fullName && <div className="small">{invite.fullName}</div>}</td>
+                <td>{invite.isAdmin ? <span className="badge">Admin</span> : <span className="role-user">User</span>}</td>
+                <td>{invite.invitedByEmail}</td>
+                <td>{new Date(invite.lastSentAt).toLocaleString()}</td>
+                <td>
+                  <span className={`badge ${invite.expired ? 'badge-inactive' : ''}`}>
+                    {invite.expired ? 'Expired' : `Expires ${new Date(invite.expiresAt).toLocaleDateString()}`}
+                  </span>
+                </td>
+                <td>
+                  <div className="action-buttons">
+                    <button type="button" className="btn-sm btn-secondary" onClick={() => resend(invite)} disabled={busy}>Resend</button>
+                    <button type="button" className="btn-sm btn-danger" onClick={() => revoke(invite)} disabled={busy}>Revoke</button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,25 @@
+import React, { useState } from 'react'
+import { resendVerification } from './api.js'
+
+// Reminder for users who haven't confirmed their email address yet, with a way to get a new link
+export default function VerifyEmailNotice({ user }) {
+  const [status, setStatus] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  if (user.emailVerified !== false) return null
+
+  async function resend() {
+    setBusy(true)
+    try { await resendVerification(); setStatus(`Sent a new link to ${user.email}.`) }
+    catch (err) { setStatus(err.message) }
+    finally { setBusy(false) }
+  }
+
+  return (
+    <div className="alert alert-info verify-email-notice">
+      <span>Please confirm your email address using the link we sent to {user.email}.{user.isAdmin && user.emailVerificationRequired ? ' Xero can be connected once it is confirmed.' : ''}</span>
+      <button type="button" className="btn-sm btn-secondary" onClick={resend} disabled={busy}>Resend email</button>
+      {status && <span className="small">{status}</span>}
+    </div>
+  )
+}
@@ -1,11 +1,48 @@
 // API client for Prodit
+import { describeLowMargins } from '../../margins.js';
 
-export async function register({ email, password, fullName }) {
-  const res = await fetch('/api/auth/register', {
+const TENANT_KEY = 'prodit-tenant';
+
+// The Xero organization picked in the header. It is sent with every request so the server
+// works on the organization the user is looking at.
+let selectedTenant = localStorage.getItem(TENANT_KEY) || null;
+
+export function getSelectedTenant() {
+  return selectedTenant;
+}
+
+export function setSelectedTenant(tenantId) {
+  selectedTenant = tenantId || null;
+  if (selectedTenant) localStorage.setItem(TENANT_KEY, selectedTenant);
+  else localStorage.removeItem(TENANT_KEY);
+}
+
+function withTenant(headers = {}) {
+  return selectedTenant ? { ...headers, 'X-Xero-Tenant': selectedTenant } : headers;
+}
+
+let subscriptionListener = null;
+
+// Called with the server's 402 payload whenever the organization's trial or subscription has lapsed
+export function onSubscriptionRequired(listener) {
+  subscriptionListener = listener;
+}
+
+// A 402 is handled in one place (the upgrade screen) as well as by the caller's usual error handling
+async function apiFetch(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 402 && subscriptionListener) {
+    subscriptionListener(await res.clone().json().catch(() => ({})));
+  }
+  return res;
+}
+
+export async function register({ email, password, fullName, companyName }) {
+  const res = await apiFetch('/api/auth/register', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: withTenant({ 'Content-Type': 'application/json' }),
     credentials: 'include',
-    body: JSON.stringify({ email, password, fullName })
+    body: JSON.stringify({ email, password, fullName, companyName })
   });
 
   if (!res.ok) {
@@ -17,9 +54,9 @@ export async function register({ email, password, fullName }) {
 }
 
 export async function login({ email, password }) {
-  const res = await fetch('/api/auth/login', {
+  const res = await apiFetch('/api/auth/login', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: withTenant({ 'Content-Type': 'application/json' }),
     credentials: 'include',
     body: JSON.stringify({ email, password })
   });
@@ -33,8 +70,9 @@ export async function login({ email, password }) {
 }
 
 export async function logout() {
-  const res = await fetch('/api/auth/logout', {
+  const res = await apiFetch('/api/auth/logout', {
     method: 'POST',
+    headers: withTenant(),
     credentials: 'include'
   });
 
@@ -42,52 +80,570 @@ export async function logout() {
 }
 
 export async function getMe() {
-  const res = await fetch('/api/auth/me', { credentials: 'include' });
+  const res = await apiFetch('/api/auth/me', { credentials: 'include', headers: withTenant() });
   if (!res.ok) return null;
   return res.json();
 }
 
 export async function getStatus() {
-  const res = await fetch('/api/status', { credentials: 'include' });
+  const res = await apiFetch('/api/status', { credentials: 'include', headers: withTenant() });
   if (!res.ok) return { connected: false };
   return res.json();
 }
 
-export async function searchItems({ query = '', page = 1, limit = 50 }) {
+export async function getConnections() {
+  const res = await apiFetch('/api/connections', { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`Connections failed: ${res.status}`);
+  return res.json();
+}
+
+// Structured item filters (see ItemFilters) as query-string values, leaving out the empty ones
+function filterParams(filters = {}) {
+  const params = {};
+  for (const [key, value] of Object.entries(filters)) {
+    const param = Array.isArray(value) ? value.join(',') : value;
+    if (param !== '' && param !== undefined && param !== null) params[key] = String(param);
+  }
+  return params;
+}
+
+export async function searchItems({ query = '', filters = {}, page = 1, limit = 50, sort, direction }) {
   const url = new URL('/api/items/search', window.location.origin);
   url.searchParams.set('query', query);
   url.searchParams.set('page', page);
   url.searchParams.set('limit', limit);
+  if (sort) url.searchParams.set('sort', sort);
+  if (direction) url.searchParams.set('direction', direction);
+  for (const [key, value] of Object.entries(filterParams(filters))) url.searchParams.set(key, value);
 
-  const res = await fetch(url, { credentials: 'include' });
+  const res = await apiFetch(url, { credentials: 'include', headers: withTenant() });
   if (!res.ok) throw new Error(`Search failed: ${res.status}`);
   return res.json();
 }
 
-export async function updateItems(items) {
-  const res = await fetch('/api/items/update', {
+export async function syncItems() {
+  const res = await apiFetch('/api/items/sync', {
+    method: 'POST',
+    headers: withTenant(),
+    credentials: 'include'
+  });
+
+  if (!res.ok) {
+    const detail = await res.json().catch(() => ({}));
+    throw new Error(`Sync failed: ${res.status} ${detail?.detail ? JSON.stringify(detail.detail) : ''}`);
+  }
+
+  return res.json();
+}
+
+export function itemsExportUrl({ query = '', filters = {} } = {}) {
+  const url = new URL('/api/items/export', window.location.origin);
+  if (query) url.searchParams.set('query', query);
+  for (const [key, value] of Object.entries(filterParams(filters))) url.searchParams.set(key, value);
+  if (selectedTenant) url.searchParams.set('tenant', selectedTenant); // Plain links can't send headers
+  return url.toString();
+}
+
+export async function previewImport(csv) {
+  const res = await apiFetch('/api/items/import/preview', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: withTenant({ 'Content-Type': 'application/json' }),
     credentials: 'include',
-    body: JSON.stringify({ Items: items })
+    body: JSON.stringify({ csv })
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    if (error.detail) throw new Error(`Import preview failed: ${res.status} ${JSON.stringify(error.detail)}`);
+    throw new Error(error.error || `Import preview failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function bulkAdjustPrices({ query = '', filters = {}, targets, mode, value, rounding, apply = false, allowLowMargin = false }) {
+  const res = await apiFetch('/api/items/bulk-price', {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ query, filters: filterParams(filters), targets, mode, value, rounding, apply, allowLowMargin })
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    if (error.lowMargins) throw lowMarginError(error);
+    if (error.detail) throw new Error(`Bulk update failed: ${res.status} ${JSON.stringify(error.detail)}${error.updated ? ` (${error.updated} item(s) were already updated)` : ''}`);
+    throw new Error(error.error || `Bulk update failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+// Summarize per-item rejections returned by the server ("CODE: Field — reason; ...")
+function describeRejected(items) {
+  return items.map(it => `${it.Code || it.ItemID}: ${it.errors.map(e => `${e.field} — ${e.message}`).join(', ')}`).join('; ');
+}
+
+// The server's 409 for saves that would take items below the minimum margin
+function lowMarginError(detail) {
+  const error = new Error(detail.error);
+  error.lowMargins = detail.lowMargins;
+  error.minMarginPercent = detail.minMarginPercent;
+  return error;
+}
+
+// Wraps saves the server can hold back for the minimum margin. `send(allowLowMargin)` is tried as is; if the
+// server reports low margins the user is asked once, and once they accept, this and every later save goes
+// through with allowLowMargin. Pass accepted=true when the user already accepted the warning.
+export function lowMarginGuard(accepted = false) {
+  return async function save(send) {
+    try {
+      return await send(accepted);
+    } catch (error) {
+      if (accepted || !error.lowMargins) throw error;
+      if (!confirm(`${describeLowMargins(error.lowMargins, error.minMarginPercent)}\n\nSave anyway?`)) throw error;
+      accepted = true;
+      return send(true);
+    }
+  };
+}
+
+export async function updateItems(items, { source = 'grid', allowLowMargin = false } = {}) {
+  const res = await apiFetch('/api/items/update', {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ Items: items, source, allowLowMargin })
   });
 
   if (!res.ok) {
     const detail = await res.json().catch(() => ({}));
+    if (detail?.lowMargins) throw lowMarginError(detail);
+    if (detail?.items) {
+      const error = new Error(`Update rejected. ${describeRejected(detail.items)}`);
+      error.items = detail.items; // Per-item field errors, shown inline in the grid
+      throw error;
+    }
     throw new Error(`Update failed: ${res.status} ${detail?.detail ? JSON.stringify(detail.detail) : ''}`);
   }
 
   return res.json();
 }
 
+export async function createItem(item) {
+  const res = await apiFetch('/api/items/create', {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ Item: item })
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    if (error.items) throw new Error(`Item not created. ${describeRejected(error.items)}`);
+    if (error.detail) throw new Error(`Create failed: ${res.status} ${JSON.stringify(error.detail)}`);
+    throw new Error(error.error || `Create failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function getItemHistory(itemId) {
+  const res = await apiFetch(`/api/items/${encodeURIComponent(itemId)}/history`, { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`History failed: ${res.status}`);
+  return res.json();
+}
+
+export async function getChangeLog({ limit = 50, offset = 0 } = {}) {
+  const url = new URL('/api/history', window.location.origin);
+  url.searchParams.set('limit', limit);
+  url.searchParams.set('offset', offset);
+
+  const res = await apiFetch(url, { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`Change log failed: ${res.status}`);
+  return res.json();
+}
+
+export async function revertChange(id, { allowLowMargin = false } = {}) {
+  const res = await apiFetch(`/api/history/${id}/revert`, {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ allowLowMargin })
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    if (error.lowMargins) throw lowMarginError(error);
+    if (error.items) throw new Error(`Revert rejected. ${describeRejected(error.items)}`);
+    if (error.detail) throw new Error(`Revert failed: ${res.status} ${JSON.stringify(error.detail)}`);
+    throw new Error(error.error || `Revert failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function listDrafts() {
+  const res = await apiFetch('/api/drafts', { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`Drafts failed: ${res.status}`);
+  return res.json();
+}
+
+export async function getDraft(id) {
+  const res = await apiFetch(`/api/drafts/${id}`, { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`Draft failed: ${res.status}`);
+  return res.json();
+}
+
+export async function saveDraft({ id, name, items }) {
+  const res = await apiFetch(id ? `/api/drafts/${id}` : '/api/drafts', {
+    method: id ? 'PUT' : 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ name, items })
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Saving draft failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function deleteDraft(id) {
+  const res = await apiFetch(`/api/drafts/${id}`, {
+    method: 'DELETE',
+    headers: withTenant(),
+    credentials: 'include'
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Deleting draft failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function previewDraft(id) {
+  const res = await apiFetch(`/api/drafts/${id}/preview`, { credentials: 'include', headers: withTenant() });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    if (error.detail) throw new Error(`Draft preview failed: ${res.status} ${JSON.stringify(error.detail)}`);
+    throw new Error(error.error || `Draft preview failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function publishDraft(id, { allowLowMargin = false } = {}) {
+  const res = await apiFetch(`/api/drafts/${id}/publish`, {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ allowLowMargin })
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    if (error.lowMargins) throw lowMarginError(error);
+    if (error.items) throw new Error(`Publish rejected. ${describeRejected(error.items)}`);
+    if (error.detail) throw new Error(`Publish failed: ${res.status} ${JSON.stringify(error.detail)}${error.updated ? ` (${error.updated} item(s) were already updated)` : ''}`);
+    throw new Error(error.error || `Publish failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function listScheduledChanges() {
+  const res = await apiFetch('/api/scheduled-changes', { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`Scheduled changes failed: ${res.status}`);
+  return res.json();
+}
+
+export async function scheduleChanges({ name, runAt, items, allowLowMargin = false }) {
+  const res = await apiFetch('/api/scheduled-changes', {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ name, runAt, items, allowLowMargin })
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    if (error.lowMargins) throw lowMarginError(error);
+    if (error.items) throw new Error(`Schedule rejected. ${describeRejected(error.items)}`);
+    if (error.detail) throw new Error(`Scheduling failed: ${res.status} ${JSON.stringify(error.detail)}`);
+    throw new Error(error.error || `Scheduling failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function cancelScheduledChange(id) {
+  const res = await apiFetch(`/api/scheduled-changes/${id}/cancel`, {
+    method: 'POST',
+    headers: withTenant(),
+    credentials: 'include'
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Cancel failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function getMyChangeRequests() {
+  const res = await apiFetch('/api/change-requests', { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`Change requests failed: ${res.status}`);
+  return res.json();
+}
+
+export async function acknowledgeChangeRequests(ids) {
+  const res = await apiFetch('/api/change-requests/acknowledge', {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ ids })
+  });
+  return res.ok;
+}
+
+export async function getChangeRequestQueue({ status = 'pending' } = {}) {
+  const url = new URL('/api/admin/change-requests', window.location.origin);
+  if (status) url.searchParams.set('status', status);
+
+  const res = await apiFetch(url, { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`Change requests failed: ${res.status}`);
+  return res.json();
+}
+
+export async function reviewChangeRequest(id, { approve, comment, allowLowMargin = false }) {
+  const res = await apiFetch(`/api/admin/change-requests/${id}/${approve ? 'approve' : 'reject'}`, {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ comment, allowLowMargin })
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    if (error.lowMargins) throw lowMarginError(error);
+    if (error.detail) throw new Error(`Approval failed: ${res.status} ${JSON.stringify(error.detail)}${error.updated ? ` (${error.updated} item(s) were already updated)` : ''}`);
+    if (error.rejected) throw new Error(`${error.error}: ${error.rejected.map(r => `${r.Code || r.ItemID}: ${r.errors.map(e => e.message).join(', ')}`).join('; ')}`);
+    throw new Error(error.error || `Review failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function getOrgSettings() {
+  const res = await apiFetch('/api/admin/settings', { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`Settings failed: ${res.status}`);
+  return res.json();
+}
+
+export async function saveOrgSettings(settings) {
+  const res = await apiFetch('/api/admin/settings', {
+    method: 'PUT',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify(settings)
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Saving settings failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
 export async function getTaxRates() {
-  const res = await fetch('/api/taxrates', { credentials: 'include' });
+  const res = await apiFetch('/api/taxrates', { credentials: 'include', headers: withTenant() });
   if (!res.ok) throw new Error(`TaxRates failed: ${res.status}`);
   return res.json();
 }
 
 export async function getAccounts() {
-  const res = await fetch('/api/accounts', { credentials: 'include' });
+  const res = await apiFetch('/api/accounts', { credentials: 'include', headers: withTenant() });
   if (!res.ok) throw new Error(`Accounts failed: ${res.status}`);
   return res.json();
 }
+
+// Super admin console (every organization)
+
+export async function listOrganizations() {
+  const res = await apiFetch('/api/superadmin/organizations', { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`Organizations failed: ${res.status}`);
+  return res.json();
+}
+
+async function organizationAction(method, path, body) {
+  const res = await apiFetch(`/api/superadmin/organizations/${path}`, {
+    method,
+    headers: withTenant(body ? { 'Content-Type': 'application/json' } : {}),
+    credentials: 'include',
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Organization update failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export function extendOrganizationTrial(id, days) {
+  return organizationAction('POST', `${id}/extend-trial`, { days });
+}
+
+export function cancelOrganization(id) {
+  return organizationAction('POST', `${id}/cancel`);
+}
+
+export function deleteOrganization(id) {
+  return organizationAction('DELETE', id);
+}
+
+export async function getAuditLogs({ limit = 50, offset = 0 } = {}) {
+  const url = new URL('/api/superadmin/audit-logs', window.location.origin);
+  url.searchParams.set('limit', limit);
+  url.searchParams.set('offset', offset);
+
+  const res = await apiFetch(url, { credentials: 'include', headers: withTenant() });
+  if (!res.ok) throw new Error(`Audit log failed: ${res.status}`);
+  return res.json();
+}
+
+export async function resendVerification() {
+  const res = await apiFetch('/api/auth/resend-verification', {
+    method: 'POST',
+    headers: withTenant(),
+    credentials: 'include'
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Sending the email failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function requestPasswordReset(email) {
+  const res = await apiFetch('/api/auth/forgot-password', {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ email })
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Reset request failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export async function resetPassword({ token, password }) {
+  const res = await apiFetch('/api/auth/reset-password', {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify({ token, password })
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Password reset failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+// User invitations
+
+async function inviteRequest(method, path, body) {
+  const res = await apiFetch(path, {
+    method,
+    headers: withTenant(body ? { 'Content-Type': 'application/json' } : {}),
+    credentials: 'include',
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Invite request failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export function listInvites() {
+  return inviteRequest('GET', '/api/admin/invites');
+}
+
+export function inviteUser({ email, fullName, isAdmin, requiresApproval, fieldPermissions }) {
+  return inviteRequest('POST', '/api/admin/invites', { email, fullName, isAdmin, requiresApproval, fieldPermissions });
+}
+
+export function resendInvite(id) {
+  return inviteRequest('POST', `/api/admin/invites/${id}/resend`);
+}
+
+export function revokeInvite(id) {
+  return inviteRequest('DELETE', `/api/admin/invites/${id}`);
+}
+
+export function getInvite(token) {
+  return inviteRequest('GET', `/api/invites/${encodeURIComponent(token)}`);
+}
+
+export function acceptInvite(token, { password, fullName }) {
+  return inviteRequest('POST', `/api/invites/${encodeURIComponent(token)}/accept`, { password, fullName });
+}
+
+// Two-factor authentication
+
+async function twoFactorRequest(path, body = {}) {
+  const res = await apiFetch(path, {
+    method: 'POST',
+    headers: withTenant({ 'Content-Type': 'application/json' }),
+    credentials: 'include',
+    body: JSON.stringify(body)
+  });
+
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Two-factor request failed: ${res.status}`);
+  }
+
+  return res.json();
+}
+
+export function verifyLoginCode(code) {
+  return twoFactorRequest('/api/auth/login/verify', { code });
+}
+
+export function startTwoFactorSetup() {
+  return twoFactorRequest('/api/auth/2fa/setup');
+}
+
+export function enableTwoFactor(code) {
+  return twoFactorRequest('/api/auth/2fa/enable', { code });
+}
+
+export function disableTwoFactor(code) {
+  return twoFactorRequest('/api/auth/2fa/disable', { code });
+}
+
+export function regenerateRecoveryCodes(code) {
+  return twoFactorRequest('/api/auth/2fa/recovery-codes', { code });
+}
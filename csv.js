@@ -0,0 +1,78 @@
+// CSV helpers for Prodit item export/import
+
+// Text starting with one of these is run as a formula by Excel, Sheets and LibreOffice
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single value for a CSV cell (RFC 4180 quoting).
+ * Text that a spreadsheet would treat as a formula gets a leading ' (numbers, e.g. negative prices, are left alone).
+ */
+export function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(str)) {
+    str = `'${str}`;
+  }
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Build one CSV line (with trailing CRLF) from an array of values
+ */
+export function toCsvRow(values) {
+  return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+// Undo toCsvValue's formula escaping so an exported file imports back unchanged
+function unescapeFormula(cell) {
+  return cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted cells, escaped quotes, embedded newlines, CRLF and a leading BOM.
+ */
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') { cell += '"'; i++; }
+        else { inQuotes = false; }
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(unescapeFormula(cell)); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(unescapeFormula(cell)); cell = '';
+      rows.push(row); row = [];
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(unescapeFormula(cell));
+    rows.push(row);
+  }
+
+  // Drop fully blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsvValue, toCsvRow, parseCsv } from './csv.js';
+
+test('values with commas, quotes or newlines are quoted', () => {
+  assert.equal(toCsvValue('plain'), 'plain');
+  assert.equal(toCsvValue('a,b'), '"a,b"');
+  assert.equal(toCsvValue('say "hi"'), '"say ""hi"""');
+  assert.equal(toCsvValue('two\nlines'), '"two\nlines"');
+  assert.equal(toCsvValue(null), '');
+  assert.equal(toCsvValue(undefined), '');
+});
+
+test('text a spreadsheet would run as a formula gets a leading apostrophe', () => {
+  assert.equal(toCsvValue('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(toCsvValue('+1'), "'+1");
+  assert.equal(toCsvValue('-cmd'), "'-cmd");
+  assert.equal(toCsvValue('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(toCsvValue('\tTAB'), "'\tTAB");
+});
+
+test('numbers are never escaped, so negative prices stay numbers', () => {
+  assert.equal(toCsvValue(-12.5), '-12.5');
+  assert.equal(toCsvValue(0), '0');
+});
+
+test('rows end with CRLF', () => {
+  assert.equal(toCsvRow(['A', 1, null]), 'A,1,\r\n');
+});
+
+test('parsing handles quotes, embedded newlines, CRLF, a BOM and blank lines', () => {
+  const text = '\uFEFFCode,Name\r\n"A1","Widget, large"\r\n\r\nB2,"two\nlines"\nC3,"say ""hi"""';
+  assert.deepEqual(parseCsv(text), [
+    ['Code', 'Name'],
+    ['A1', 'Widget, large'],
+    ['B2', 'two\nlines'],
+    ['C3', 'say "hi"']
+  ]);
+});
+
+test('an exported file imports back unchanged, formula escaping included', () => {
+  const rows = [
+    ['Code', 'Name', 'Description', 'Price'],
+    ['=1+1', '+Plus', '-minus, with comma', -3.5],
+    ["'quoted", '@at', 'multi\nline "text"', 10]
+  ];
+  const csv = rows.map(toCsvRow).join('');
+  assert.deepEqual(parseCsv(csv), rows.map(row => row.map(String)));
+});
+
+test('an apostrophe that is not escaping a formula is kept', () => {
+  assert.deepEqual(parseCsv("'hello,'=x"), [["'hello", '=x']]);
+});
@@ -0,0 +1,41 @@
+// Migration: Remember the last billing event applied to each organization
+// The webhook ignores repeated deliveries and events older than this, so a late event can't undo a newer one
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+async function addBillingEvents() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000
+  });
+
+  try {
+    console.log('[Prodit] Connecting to database...');
+    const client = await pool.connect();
+    console.log('[Prodit] ✓ Connected');
+
+    console.log('[Prodit] Adding organizations.billing_event_id and billing_event_created...');
+    await client.query(`
+      ALTER TABLE organizations
+        ADD COLUMN IF NOT EXISTS billing_event_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS billing_event_created BIGINT
+    `);
+
+    console.log('[Prodit] ✓ Migration complete!');
+    client.release();
+  } catch (error) {
+    console.error('[Prodit] Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+addBillingEvents()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
@@ -0,0 +1,67 @@
+// Migration: Add approval workflow for item edits
+// Users flagged with requires_approval submit change requests that an admin approves or rejects
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+async function addChangeRequests() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000
+  });
+
+  try {
+    console.log('[Prodit] Connecting to database...');
+    const client = await pool.connect();
+    console.log('[Prodit] ✓ Connected');
+
+    console.log('[Prodit] Adding requires_approval column...');
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS requires_approval BOOLEAN DEFAULT false
+    `);
+
+    console.log('[Prodit] Creating change_requests table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS change_requests (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        xero_tenant_id VARCHAR(255) NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        user_email VARCHAR(255),
+        source VARCHAR(50) DEFAULT 'grid', -- grid, import, draft
+        items JSONB NOT NULL, -- [{ itemId, code, name, changes: [{ field, from, to }], update }]
+        status VARCHAR(20) DEFAULT 'pending', -- pending, approved, rejected
+        review_comment TEXT,
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_by_email VARCHAR(255),
+        reviewed_at TIMESTAMP,
+        acknowledged_at TIMESTAMP, -- When the requester dismissed the outcome
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_change_requests_org_status ON change_requests(organization_id, xero_tenant_id, status, created_at DESC)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_change_requests_user ON change_requests(user_id, created_at DESC)
+    `);
+
+    console.log('[Prodit] ✓ Migration complete!');
+    client.release();
+  } catch (error) {
+    console.error('[Prodit] Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+addChangeRequests()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
@@ -0,0 +1,53 @@
+// Migration: Add saved drafts of pending item edits
+// Lets users keep named changesets in Postgres across reloads and publish them later
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+async function addItemDrafts() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000
+  });
+
+  try {
+    console.log('[Prodit] Connecting to database...');
+    const client = await pool.connect();
+    console.log('[Prodit] ✓ Connected');
+
+    console.log('[Prodit] Creating item_drafts table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS item_drafts (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        xero_tenant_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        items JSONB NOT NULL DEFAULT '[]', -- [{ itemId, code, changes }]
+        published_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_item_drafts_user_tenant ON item_drafts(user_id, xero_tenant_id, updated_at DESC)
+    `);
+
+    console.log('[Prodit] ✓ Migration complete!');
+    client.release();
+  } catch (error) {
+    console.error('[Prodit] Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+addItemDrafts()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
@@ -0,0 +1,60 @@
+// Migration: Add item change history
+// Records every item update Prodit posts to Xero (who, when, and each field's before/after value)
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+async function addItemHistory() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000
+  });
+
+  try {
+    console.log('[Prodit] Connecting to database...');
+    const client = await pool.connect();
+    console.log('[Prodit] ✓ Connected');
+
+    console.log('[Prodit] Creating item_history table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS item_history (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        xero_tenant_id VARCHAR(255) NOT NULL,
+        item_id VARCHAR(255) NOT NULL,
+        item_code VARCHAR(255),
+        item_name VARCHAR(255),
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        user_email VARCHAR(255),
+        source VARCHAR(50) DEFAULT 'grid', -- grid, import, bulk, revert, create, draft, approval, schedule
+        changes JSONB NOT NULL, -- [{ field, from, to }]
+        reverts_id INTEGER REFERENCES item_history(id) ON DELETE SET NULL,
+        reverted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_item_history_org_tenant ON item_history(organization_id, xero_tenant_id, created_at DESC)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_item_history_item_id ON item_history(item_id)
+    `);
+
+    console.log('[Prodit] ✓ Migration complete!');
+    client.release();
+  } catch (error) {
+    console.error('[Prodit] Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+addItemHistory()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
@@ -0,0 +1,76 @@
+// Migration: Add local item mirror
+// Keeps a synced copy of each Xero tenant's items so search, counts, paging and sorting run in Postgres
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+async function addItemMirror() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000
+  });
+
+  try {
+    console.log('[Prodit] Connecting to database...');
+    const client = await pool.connect();
+    console.log('[Prodit] ✓ Connected');
+
+    console.log('[Prodit] Creating item_mirror table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS item_mirror (
+        xero_tenant_id VARCHAR(255) NOT NULL,
+        item_id VARCHAR(255) NOT NULL,
+        code VARCHAR(255),
+        name VARCHAR(255),
+        description TEXT,
+        is_sold BOOLEAN DEFAULT true,
+        is_purchased BOOLEAN DEFAULT true,
+        is_tracked BOOLEAN DEFAULT false,
+        sales_unit_price NUMERIC(18, 4),
+        sales_account_code VARCHAR(50),
+        sales_tax_type VARCHAR(100),
+        purchase_unit_price NUMERIC(18, 4),
+        purchase_account_code VARCHAR(50),
+        purchase_tax_type VARCHAR(100),
+        status VARCHAR(50),
+        xero_updated_at TIMESTAMP,
+        data JSONB NOT NULL, -- Full Xero Item as last seen
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (xero_tenant_id, item_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_item_mirror_tenant_name ON item_mirror(xero_tenant_id, LOWER(name))
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_item_mirror_tenant_code ON item_mirror(xero_tenant_id, LOWER(code))
+    `);
+
+    console.log('[Prodit] Creating item_mirror_sync table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS item_mirror_sync (
+        xero_tenant_id VARCHAR(255) PRIMARY KEY,
+        last_modified TIMESTAMP, -- Newest UpdatedDateUTC seen, sent as If-Modified-Since
+        last_synced_at TIMESTAMP,
+        last_full_sync_at TIMESTAMP
+      )
+    `);
+
+    console.log('[Prodit] ✓ Migration complete!');
+    client.release();
+  } catch (error) {
+    console.error('[Prodit] Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+addItemMirror()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
@@ -0,0 +1,39 @@
+// Migration: Add a per-organization minimum margin
+// Saves that would leave an item below this gross margin % warn before posting to Xero
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+async function addMarginSettings() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000
+  });
+
+  try {
+    console.log('[Prodit] Connecting to database...');
+    const client = await pool.connect();
+    console.log('[Prodit] ✓ Connected');
+
+    console.log('[Prodit] Adding organizations.min_margin_percent...');
+    await client.query(`
+      ALTER TABLE organizations ADD COLUMN IF NOT EXISTS min_margin_percent NUMERIC(5, 2)
+    `);
+
+    console.log('[Prodit] ✓ Migration complete!');
+    client.release();
+  } catch (error) {
+    console.error('[Prodit] Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+addMarginSettings()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
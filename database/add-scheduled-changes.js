@@ -0,0 +1,68 @@
+// Migration: Add scheduled item changes
+// Sets of item changes that a background worker posts to Xero at a chosen date and time
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+async function addScheduledChanges() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000
+  });
+
+  try {
+    console.log('[Prodit] Connecting to database...');
+    const client = await pool.connect();
+    console.log('[Prodit] ✓ Connected');
+
+    console.log('[Prodit] Creating scheduled_changes table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS scheduled_changes (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        user_email VARCHAR(255),
+        xero_tenant_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        items JSONB NOT NULL DEFAULT '[]', -- [{ itemId, code, changes }]
+        run_at TIMESTAMP NOT NULL,
+        allow_low_margin BOOLEAN NOT NULL DEFAULT false, -- the user accepted prices below the minimum margin
+        status VARCHAR(20) NOT NULL DEFAULT 'scheduled', -- scheduled, running, completed, failed, cancelled
+        result JSONB, -- { updated, failed: [{ ItemID, Code, errors }], missing, unchanged }
+        error TEXT,
+        cancelled_by_email VARCHAR(255),
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Tables created before the minimum margin was checked when jobs run
+    await client.query(`
+      ALTER TABLE scheduled_changes ADD COLUMN IF NOT EXISTS allow_low_margin BOOLEAN NOT NULL DEFAULT false
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_scheduled_changes_due ON scheduled_changes(status, run_at)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_scheduled_changes_tenant ON scheduled_changes(xero_tenant_id, run_at DESC)
+    `);
+
+    console.log('[Prodit] ✓ Migration complete!');
+    client.release();
+  } catch (error) {
+    console.error('[Prodit] Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+addScheduledChanges()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
@@ -0,0 +1,52 @@
+// Migration: Add TOTP two-factor authentication
+// The TOTP secret is stored encrypted (like Xero tokens) and recovery codes only as SHA-256 hashes.
+// Organizations can require every user to enroll.
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+async function addTwoFactor() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000
+  });
+
+  try {
+    console.log('[Prodit] Connecting to database...');
+    const client = await pool.connect();
+    console.log('[Prodit] ✓ Connected');
+
+    console.log('[Prodit] Adding two-factor columns to users...');
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS totp_secret_encrypted TEXT,
+        ADD COLUMN IF NOT EXISTS totp_secret_iv TEXT,
+        ADD COLUMN IF NOT EXISTS totp_secret_tag TEXT,
+        ADD COLUMN IF NOT EXISTS totp_last_step BIGINT,
+        ADD COLUMN IF NOT EXISTS totp_recovery_codes JSONB NOT NULL DEFAULT '[]',
+        ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP
+    `);
+
+    console.log('[Prodit] Adding organizations.require_two_factor...');
+    await client.query(`
+      ALTER TABLE organizations ADD COLUMN IF NOT EXISTS require_two_factor BOOLEAN NOT NULL DEFAULT false
+    `);
+
+    console.log('[Prodit] ✓ Migration complete!');
+    client.release();
+  } catch (error) {
+    console.error('[Prodit] Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+addTwoFactor()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
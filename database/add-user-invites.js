@@ -0,0 +1,59 @@
+// Migration: Add user invitations
+// Admins invite people by email; the invitee sets their own password from the emailed link
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+async function addUserInvites() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000
+  });
+
+  try {
+    console.log('[Prodit] Connecting to database...');
+    const client = await pool.connect();
+    console.log('[Prodit] ✓ Connected');
+
+    console.log('[Prodit] Creating user_invites table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_invites (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        full_name VARCHAR(255),
+        is_admin BOOLEAN DEFAULT false,
+        requires_approval BOOLEAN DEFAULT false,
+        field_permissions JSONB,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        invited_by_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        invited_by_email VARCHAR(255),
+        expires_at TIMESTAMP NOT NULL,
+        last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        accepted_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_invites_org ON user_invites(organization_id, created_at DESC)
+    `);
+
+    console.log('[Prodit] ✓ Migration complete!');
+    client.release();
+  } catch (error) {
+    console.error('[Prodit] Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+addUserInvites()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
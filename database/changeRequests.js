@@ -0,0 +1,99 @@
+// Change requests (item edits awaiting admin approval)
+import { getPool } from './db.js';
+
+/**
+ * Create a pending change request
+ * @param {Object} data
+ * @param {Array<Object>} data.items - [{ itemId, code, name, changes: [{ field, from, to }], update }]
+ */
+export async function createChangeRequest({ organizationId, tenantId, userId, userEmail, source, items }) {
+  const pool = getPool();
+  const result = await pool.query(`
+    INSERT INTO change_requests (organization_id, xero_tenant_id, user_id, user_email, source, items)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [organizationId, tenantId, userId, userEmail, source, JSON.stringify(items)]);
+  return result.rows[0];
+}
+
+/**
+ * List an organization's change requests for a tenant, oldest pending first
+ * @param {string} [status] - 'pending', 'approved' or 'rejected' (all when omitted)
+ */
+export async function listChangeRequests(organizationId, tenantId, status = null) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT * FROM change_requests
+    WHERE organization_id = $1 AND xero_tenant_id = $2 AND ($3::varchar IS NULL OR status = $3)
+    ORDER BY (status = 'pending') DESC, created_at ${status === 'pending' ? 'ASC' : 'DESC'}, id
+    LIMIT 200
+  `, [organizationId, tenantId, status]);
+  return result.rows;
+}
+
+/**
+ * List a user's own change requests, newest first
+ */
+export async function listUserChangeRequests(userId, tenantId, limit = 50) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT * FROM change_requests
+    WHERE user_id = $1 AND xero_tenant_id = $2
+    ORDER BY created_at DESC, id DESC
+    LIMIT $3
+  `, [userId, tenantId, limit]);
+  return result.rows;
+}
+
+/**
+ * Get a single change request scoped to an organization
+ */
+export async function getChangeRequest(organizationId, requestId) {
+  const pool = getPool();
+  const result = await pool.query(
+    'SELECT * FROM change_requests WHERE id = $1 AND organization_id = $2',
+    [requestId, organizationId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Approve or reject a pending change request (returns nothing if it was already resolved)
+ */
+export async function resolveChangeRequest(requestId, { status, comment, reviewerId, reviewerEmail }) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE change_requests
+    SET status = $2, review_comment = $3, reviewed_by = $4, reviewed_by_email = $5, reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'pending'
+    RETURNING *
+  `, [requestId, status, comment || null, reviewerId, reviewerEmail]);
+  return result.rows[0];
+}
+
+/**
+ * Replace the items of a pending change request (after a partly failed approval only the failed ones remain)
+ */
+export async function setChangeRequestItems(requestId, items) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE change_requests
+    SET items = $2
+    WHERE id = $1 AND status = 'pending'
+    RETURNING *
+  `, [requestId, JSON.stringify(items)]);
+  return result.rows[0];
+}
+
+/**
+ * Mark a user's resolved change requests as seen
+ */
+export async function acknowledgeChangeRequests(userId, requestIds) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE change_requests
+    SET acknowledged_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND id = ANY($2::int[]) AND status <> 'pending'
+  `, [userId, requestIds]);
+  return result.rowCount;
+}
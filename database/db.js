@@ -49,29 +49,67 @@ export async function findUserByEmail(email) {
   return result.rows[0] || null;
 }
 
+// Includes deactivated users, who still hold their email address
+export async function emailExists(email) {
+  const result = await pool.query('SELECT 1 FROM users WHERE email = $1', [email]);
+  return result.rowCount > 0;
+}
+
 export async function findUserById(id) {
-  const query = 'SELECT id, email, full_name, organization_id, is_admin, is_super_admin, email_verified, created_at, last_login FROM users WHERE id = $1 AND is_active = true';
+  const query = 'SELECT id, email, full_name, organization_id, is_admin, is_super_admin, email_verified, totp_enabled, created_at, last_login FROM users WHERE id = $1 AND is_active = true';
   const result = await pool.query(query, [id]);
   return result.rows[0] || null;
 }
 
-export async function getAllUsers() {
-  const query = 'SELECT id, email, full_name, is_admin, created_at, last_login, is_active FROM users ORDER BY created_at DESC';
-  const result = await pool.query(query);
+// Admin user management only ever sees and touches users of the admin's own organization
+
+export async function getAllUsers(organizationId) {
+  const query = 'SELECT id, email, full_name, is_admin, field_permissions, requires_approval, totp_enabled, created_at, last_login, is_active FROM users WHERE organization_id = $1 ORDER BY created_at DESC';
+  const result = await pool.query(query, [organizationId]);
   return result.rows;
 }
 
-export async function updateUserActiveStatus(userId, isActive) {
-  const query = 'UPDATE users SET is_active = $1 WHERE id = $2';
-  await pool.query(query, [isActive, userId]);
+export async function updateUserActiveStatus(userId, isActive, organizationId) {
+  const query = 'UPDATE users SET is_active = $1 WHERE id = $2 AND organization_id = $3';
+  const result = await pool.query(query, [isActive, userId, organizationId]);
+  return result.rowCount > 0;
 }
 
-export async function deleteUser(userId) {
-  const query = 'DELETE FROM users WHERE id = $1';
-  const result = await pool.query(query, [userId]);
+export async function deleteUser(userId, organizationId) {
+  const query = 'DELETE FROM users WHERE id = $1 AND organization_id = $2';
+  const result = await pool.query(query, [userId, organizationId]);
   return result.rowCount > 0;
 }
 
+export async function getUserFieldPermissions(userId) {
+  const query = 'SELECT field_permissions FROM users WHERE id = $1';
+  const result = await pool.query(query, [userId]);
+  return result.rows[0]?.field_permissions || null;
+}
+
+export async function getUserRequiresApproval(userId) {
+  const query = 'SELECT requires_approval FROM users WHERE id = $1';
+  const result = await pool.query(query, [userId]);
+  return Boolean(result.rows[0]?.requires_approval);
+}
+
+export async function updateUserPassword(userId, passwordHash) {
+  const query = 'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2';
+  await pool.query(query, [passwordHash, userId]);
+}
+
+// Sign a user out everywhere (e.g. after a password change), optionally keeping the current session.
+// Sign-ins still waiting for their two-factor code go too.
+export async function deleteUserSessions(userId, exceptSessionId = null) {
+  const query = `
+    DELETE FROM session
+    WHERE COALESCE(sess->>'userId', sess->'pendingTwoFactor'->>'userId')::integer = $1
+      AND ($2::varchar IS NULL OR sid <> $2)
+  `;
+  const result = await pool.query(query, [userId, exceptSessionId]);
+  return result.rowCount;
+}
+
 export async function updateUserLastLogin(userId) {
   const query = 'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1';
   await pool.query(query, [userId]);
@@ -120,124 +158,3 @@ export function decryptTokens(encrypted, iv, tag) {
 
   return JSON.parse(decrypted.toString('utf8'));
 }
-
-export async function saveXeroConnection({ userId, tenantId, tenantName, tokens, isSystemConnection = false }) {
-  const { encrypted, iv, tag } = encryptTokens(tokens);
-
-  const query = `
-    INSERT INTO xero_connections (user_id, tenant_id, tenant_name, encrypted_tokens, encryption_iv, encryption_tag, is_system_connection, last_synced)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
-    ON CONFLICT (user_id, tenant_id)
-    DO UPDATE SET
-      tenant_name = EXCLUDED.tenant_name,
-      encrypted_tokens = EXCLUDED.encrypted_tokens,
-      encryption_iv = EXCLUDED.encryption_iv,
-      encryption_tag = EXCLUDED.encryption_tag,
-      is_system_connection = EXCLUDED.is_system_connection,
-      last_synced = CURRENT_TIMESTAMP
-    RETURNING id, tenant_id, tenant_name
-  `;
-
-  const result = await pool.query(query, [userId, tenantId, tenantName, encrypted, iv, tag, isSystemConnection]);
-  return result.rows[0];
-}
-
-export async function getXeroConnection(userId, tenantId = null) {
-  let query, params;
-
-  if (tenantId) {
-    query = `
-      SELECT * FROM xero_connections
-      WHERE user_id = $1 AND tenant_id = $2
-      ORDER BY last_synced DESC
-      LIMIT 1
-    `;
-    params = [userId, tenantId];
-  } else {
-    // Get most recently synced connection for user
-    query = `
-      SELECT * FROM xero_connections
-      WHERE user_id = $1
-      ORDER BY last_synced DESC
-      LIMIT 1
-    `;
-    params = [userId];
-  }
-
-  const result = await pool.query(query, params);
-  if (!result.rows[0]) return null;
-
-  const row = result.rows[0];
-  const tokens = decryptTokens(row.encrypted_tokens, row.encryption_iv, row.encryption_tag);
-
-  return {
-    id: row.id,
-    userId: row.user_id,
-    tenantId: row.tenant_id,
-    tenantName: row.tenant_name,
-    tokens,
-    lastSynced: row.last_synced
-  };
-}
-
-export async function getAllXeroConnections(userId) {
-  const query = `
-    SELECT id, tenant_id, tenant_name, last_synced, created_at
-    FROM xero_connections
-    WHERE user_id = $1
-    ORDER BY last_synced DESC
-  `;
-
-  const result = await pool.query(query, [userId]);
-  return result.rows;
-}
-
-export async function deleteXeroConnection(userId, tenantId) {
-  const query = 'DELETE FROM xero_connections WHERE user_id = $1 AND tenant_id = $2';
-  const result = await pool.query(query, [userId, tenantId]);
-  return result.rowCount > 0;
-}
-
-export async function updateXeroTokens(userId, tenantId, tokens) {
-  const { encrypted, iv, tag } = encryptTokens(tokens);
-
-  const query = `
-    UPDATE xero_connections
-    SET encrypted_tokens = $1, encryption_iv = $2, encryption_tag = $3, last_synced = CURRENT_TIMESTAMP
-    WHERE user_id = $4 AND tenant_id = $5
-  `;
-
-  await pool.query(query, [encrypted, iv, tag, userId, tenantId]);
-}
-
-// ===== SYSTEM-WIDE XERO CONNECTION (for admin) =====
-
-export async function getSystemXeroConnection() {
-  const query = `
-    SELECT * FROM xero_connections
-    WHERE is_system_connection = true
-    ORDER BY last_synced DESC
-    LIMIT 1
-  `;
-
-  const result = await pool.query(query);
-  if (!result.rows[0]) return null;
-
-  const row = result.rows[0];
-  const tokens = decryptTokens(row.encrypted_tokens, row.encryption_iv, row.encryption_tag);
-
-  return {
-    id: row.id,
-    userId: row.user_id,
-    tenantId: row.tenant_id,
-    tenantName: row.tenant_name,
-    tokens,
-    lastSynced: row.last_synced
-  };
-}
-
-export async function deleteSystemXeroConnection() {
-  const query = 'DELETE FROM xero_connections WHERE is_system_connection = true';
-  const result = await pool.query(query);
-  return result.rowCount > 0;
-}
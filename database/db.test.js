@@ -0,0 +1,45 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase } from './testDatabase.js';
+import { deleteUserSessions } from './db.js';
+
+let db;
+
+before(async () => { db = await createTestDatabase(); });
+beforeEach(() => db.reset());
+after(() => db.close());
+
+async function addSession(sid, sess) {
+  await db.query(`INSERT INTO session (sid, sess, expire) VALUES ($1, $2, CURRENT_TIMESTAMP + INTERVAL '1 day')`, [sid, sess]);
+}
+
+async function remainingSessions() {
+  const { rows } = await db.query('SELECT sid FROM session ORDER BY sid');
+  return rows.map(row => row.sid);
+}
+
+test("signing a user out removes their sessions and leaves other users' alone", async () => {
+  await addSession('a', { userId: 1 });
+  await addSession('b', { userId: 1 });
+  await addSession('c', { userId: 2 });
+
+  assert.equal(await deleteUserSessions(1), 2);
+  assert.deepEqual(await remainingSessions(), ['c']);
+});
+
+test('the current session can be kept', async () => {
+  await addSession('a', { userId: 1 });
+  await addSession('b', { userId: 1 });
+
+  assert.equal(await deleteUserSessions(1, 'b'), 1);
+  assert.deepEqual(await remainingSessions(), ['b']);
+});
+
+test('sign-ins waiting for a two-factor code are removed too', async () => {
+  await addSession('a', { pendingTwoFactor: { userId: 1, expiresAt: Date.now() + 60000, attempts: 0 } });
+  await addSession('b', { pendingTwoFactor: { userId: 2, expiresAt: Date.now() + 60000, attempts: 0 } });
+  await addSession('c', { cookie: {} });
+
+  assert.equal(await deleteUserSessions(1), 1);
+  assert.deepEqual(await remainingSessions(), ['b', 'c']);
+});
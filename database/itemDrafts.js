@@ -0,0 +1,86 @@
+// Saved drafts of pending item edits
+import { getPool } from './db.js';
+
+/**
+ * List a user's drafts for a tenant, newest first (without the item changes)
+ */
+export async function listDrafts(userId, tenantId) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT id, name, jsonb_array_length(items) AS item_count, published_at, created_at, updated_at
+    FROM item_drafts
+    WHERE user_id = $1 AND xero_tenant_id = $2
+    ORDER BY updated_at DESC, id DESC
+  `, [userId, tenantId]);
+  return result.rows;
+}
+
+/**
+ * Get a single draft owned by a user
+ */
+export async function getDraft(userId, draftId) {
+  const pool = getPool();
+  const result = await pool.query(
+    'SELECT * FROM item_drafts WHERE id = $1 AND user_id = $2',
+    [draftId, userId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Create a draft
+ * @param {Object} data
+ * @param {Array<Object>} data.items - [{ itemId, code, changes }]
+ */
+export async function createDraft({ organizationId, userId, tenantId, name, items }) {
+  const pool = getPool();
+  const result = await pool.query(`
+    INSERT INTO item_drafts (organization_id, user_id, xero_tenant_id, name, items)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [organizationId, userId, tenantId, name, JSON.stringify(items)]);
+  return result.rows[0];
+}
+
+/**
+ * Rename a draft and/or replace its items (a published draft becomes unpublished again when edited)
+ */
+export async function updateDraft(userId, draftId, { name, items }) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE item_drafts
+    SET name = COALESCE($3, name),
+        items = COALESCE($4, items),
+        published_at = CASE WHEN $4::jsonb IS NULL THEN published_at ELSE NULL END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [draftId, userId, name ?? null, items ? JSON.stringify(items) : null]);
+  return result.rows[0];
+}
+
+/**
+ * Mark a draft as published
+ */
+export async function markDraftPublished(draftId) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE item_drafts
+    SET published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [draftId]);
+  return result.rows[0];
+}
+
+/**
+ * Delete a draft owned by a user
+ */
+export async function deleteDraft(userId, draftId) {
+  const pool = getPool();
+  const result = await pool.query(
+    'DELETE FROM item_drafts WHERE id = $1 AND user_id = $2 RETURNING id',
+    [draftId, userId]
+  );
+  return result.rowCount > 0;
+}
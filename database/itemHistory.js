@@ -0,0 +1,92 @@
+// Item change history
+import { getPool } from './db.js';
+
+/**
+ * Record one history entry per changed item
+ * @param {Object} data
+ * @param {number} data.organizationId - Organization that owns the Xero tenant
+ * @param {string} data.tenantId - Xero tenant the items belong to
+ * @param {number} data.userId - User who made the change
+ * @param {string} data.userEmail - Email of that user (kept if the user is later deleted)
+ * @param {string} data.source - 'grid', 'import', 'bulk', 'revert', 'create', 'draft', 'approval' or 'schedule'
+ * @param {Array<Object>} data.entries - [{ itemId, itemCode, itemName, changes: [{ field, from, to }] }]
+ * @param {number} [data.revertsId] - History entry this change reverts
+ * @returns {Promise<Array<Object>>} Inserted rows
+ */
+export async function recordItemChanges({ organizationId, tenantId, userId, userEmail, source, entries, revertsId = null }) {
+  if (!entries.length) return [];
+  const pool = getPool();
+
+  const values = [];
+  const placeholders = entries.map((entry, i) => {
+    const base = i * 10;
+    values.push(
+      organizationId, tenantId, entry.itemId, entry.itemCode || null, entry.itemName || null,
+      userId, userEmail, source, JSON.stringify(entry.changes), revertsId
+    );
+    return `(${Array.from({ length: 10 }, (_, j) => `$${base + j + 1}`).join(', ')})`;
+  });
+
+  const result = await pool.query(`
+    INSERT INTO item_history (
+      organization_id, xero_tenant_id, item_id, item_code, item_name,
+      user_id, user_email, source, changes, reverts_id
+    ) VALUES ${placeholders.join(', ')}
+    RETURNING *
+  `, values);
+
+  return result.rows;
+}
+
+/**
+ * Get the history of a single item, newest first
+ */
+export async function getItemHistory(organizationId, tenantId, itemId) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT * FROM item_history
+    WHERE organization_id = $1 AND xero_tenant_id = $2 AND item_id = $3
+    ORDER BY created_at DESC, id DESC
+  `, [organizationId, tenantId, itemId]);
+  return result.rows;
+}
+
+/**
+ * Get the organization-wide change log for a tenant, newest first
+ */
+export async function getChangeLog(organizationId, tenantId, limit = 50, offset = 0) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT * FROM item_history
+    WHERE organization_id = $1 AND xero_tenant_id = $2
+    ORDER BY created_at DESC, id DESC
+    LIMIT $3 OFFSET $4
+  `, [organizationId, tenantId, limit, offset]);
+  return result.rows;
+}
+
+/**
+ * Get a single history entry scoped to an organization
+ */
+export async function getHistoryEntry(organizationId, entryId) {
+  const pool = getPool();
+  const result = await pool.query(
+    'SELECT * FROM item_history WHERE id = $1 AND organization_id = $2',
+    [entryId, organizationId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Mark a history entry as reverted
+ */
+export async function markHistoryReverted(entryId) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE item_history
+    SET reverted_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [entryId]);
+  return result.rows[0];
+}
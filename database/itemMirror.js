@@ -0,0 +1,217 @@
+// Local mirror of Xero items (search, counts, paging and sorting without calling Xero)
+import { getPool } from './db.js';
+import { parseXeroDate } from '../items.js';
+
+const UPSERT_BATCH_SIZE = 200;
+const MIRROR_COLUMNS = [
+  'xero_tenant_id', 'item_id', 'code', 'name', 'description', 'is_sold', 'is_purchased', 'is_tracked',
+  'sales_unit_price', 'sales_account_code', 'sales_tax_type',
+  'purchase_unit_price', 'purchase_account_code', 'purchase_tax_type',
+  'status', 'xero_updated_at', 'data'
+];
+
+/**
+ * Sortable columns, keyed by the field names the client uses
+ */
+export const MIRROR_SORT_COLUMNS = {
+  code: 'LOWER(code)',
+  name: 'LOWER(name)',
+  description: 'LOWER(description)',
+  isSold: 'is_sold',
+  salePrice: 'sales_unit_price',
+  salesAccount: 'sales_account_code',
+  salesTax: 'sales_tax_type',
+  isPurchased: 'is_purchased',
+  costPrice: 'purchase_unit_price',
+  purchaseAccount: 'purchase_account_code',
+  purchaseTax: 'purchase_tax_type',
+  margin: '(sales_unit_price - purchase_unit_price) / NULLIF(sales_unit_price, 0)',
+  markup: '(sales_unit_price - purchase_unit_price) / NULLIF(purchase_unit_price, 0)',
+  status: 'status'
+};
+
+/**
+ * "Missing value" filters, keyed by the field names the client uses.
+ * Sales/purchase details only count as missing on items that are sold/purchased.
+ */
+export const MIRROR_MISSING_FILTERS = {
+  salePrice: 'is_sold AND sales_unit_price IS NULL',
+  salesAccount: 'is_sold AND sales_account_code IS NULL',
+  salesTax: 'is_sold AND sales_tax_type IS NULL',
+  costPrice: 'is_purchased AND purchase_unit_price IS NULL',
+  purchaseAccount: 'is_purchased AND purchase_account_code IS NULL',
+  purchaseTax: 'is_purchased AND purchase_tax_type IS NULL'
+};
+
+// Turn structured filters into SQL conditions, appending their values to `params`
+function filterConditions(filters, params) {
+  const conditions = [];
+  const add = (sql, value) => { params.push(value); conditions.push(sql.replaceAll('?', `$${params.length}`)); };
+
+  if (filters.status) add('status = ?', filters.status);
+  if (typeof filters.isSold === 'boolean') add('is_sold = ?', filters.isSold);
+  if (typeof filters.isPurchased === 'boolean') add('is_purchased = ?', filters.isPurchased);
+  if (typeof filters.tracked === 'boolean') add('is_tracked = ?', filters.tracked);
+  if (filters.salesAccount) add('sales_account_code = ?', filters.salesAccount);
+  if (filters.purchaseAccount) add('purchase_account_code = ?', filters.purchaseAccount);
+  if (filters.salesTax) add('sales_tax_type = ?', filters.salesTax);
+  if (filters.purchaseTax) add('purchase_tax_type = ?', filters.purchaseTax);
+  if (filters.taxType) add('(sales_tax_type = ? OR purchase_tax_type = ?)', filters.taxType);
+  if (filters.salePriceMin !== undefined) add('sales_unit_price >= ?', filters.salePriceMin);
+  if (filters.salePriceMax !== undefined) add('sales_unit_price <= ?', filters.salePriceMax);
+  if (filters.costPriceMin !== undefined) add('purchase_unit_price >= ?', filters.costPriceMin);
+  if (filters.costPriceMax !== undefined) add('purchase_unit_price <= ?', filters.costPriceMax);
+  for (const key of filters.missing || []) {
+    if (MIRROR_MISSING_FILTERS[key]) conditions.push(`(${MIRROR_MISSING_FILTERS[key]})`);
+  }
+
+  return conditions;
+}
+
+function toMirrorRow(tenantId, item) {
+  return [
+    tenantId,
+    item.ItemID,
+    item.Code || null,
+    item.Name || null,
+    item.Description || null,
+    item.IsSold !== false,
+    item.IsPurchased !== false,
+    Boolean(item.IsTrackedAsInventory),
+    item.SalesDetails?.UnitPrice ?? null,
+    item.SalesDetails?.AccountCode || null,
+    item.SalesDetails?.TaxType || null,
+    item.PurchaseDetails?.UnitPrice ?? null,
+    item.PurchaseDetails?.AccountCode || null,
+    item.PurchaseDetails?.TaxType || null,
+    item.Status || 'ACTIVE',
+    parseXeroDate(item.UpdatedDateUTC),
+    JSON.stringify(item)
+  ];
+}
+
+/**
+ * Insert or update mirrored items for a tenant
+ */
+export async function upsertMirrorItems(tenantId, items) {
+  const pool = getPool();
+
+  for (let i = 0; i < items.length; i += UPSERT_BATCH_SIZE) {
+    const batch = items.slice(i, i + UPSERT_BATCH_SIZE);
+    const values = [];
+    const placeholders = batch.map((item, row) => {
+      values.push(...toMirrorRow(tenantId, item));
+      const base = row * MIRROR_COLUMNS.length;
+      return `(${MIRROR_COLUMNS.map((_, j) => `$${base + j + 1}`).join(', ')})`;
+    });
+
+    await pool.query(`
+      INSERT INTO item_mirror (${MIRROR_COLUMNS.join(', ')})
+      VALUES ${placeholders.join(', ')}
+      ON CONFLICT (xero_tenant_id, item_id)
+      DO UPDATE SET
+        ${MIRROR_COLUMNS.slice(2).map(c => `${c} = EXCLUDED.${c}`).join(',\n        ')},
+        synced_at = CURRENT_TIMESTAMP
+    `, values);
+  }
+}
+
+/**
+ * Remove mirrored items that no longer exist in Xero (after a full sync)
+ */
+export async function pruneMirrorItems(tenantId, keepItemIds) {
+  const pool = getPool();
+  const result = await pool.query(
+    'DELETE FROM item_mirror WHERE xero_tenant_id = $1 AND NOT (item_id = ANY($2::varchar[]))',
+    [tenantId, keepItemIds]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Forget everything mirrored for a tenant, e.g. when it moves to another organization
+ */
+export async function clearMirror(tenantId) {
+  const pool = getPool();
+  await pool.query('DELETE FROM item_mirror WHERE xero_tenant_id = $1', [tenantId]);
+  await pool.query('DELETE FROM item_mirror_sync WHERE xero_tenant_id = $1', [tenantId]);
+}
+
+/**
+ * Search mirrored items with total count, paging, sorting and structured filters
+ * (see filterConditions for the supported filter keys)
+ * @returns {Promise<{ items: Array<Object>, total: number }>}
+ */
+export async function searchMirrorItems(tenantId, { query = '', filters = {}, page = 1, limit = 50, sort = 'name', direction = 'asc' } = {}) {
+  const pool = getPool();
+  const params = [tenantId];
+  let where = 'xero_tenant_id = $1';
+
+  if (query) {
+    params.push(`%${query.toLowerCase().replace(/[\\%_]/g, ch => `\\${ch}`)}%`);
+    where += ` AND (LOWER(code) LIKE $2 OR LOWER(name) LIKE $2 OR LOWER(description) LIKE $2)`;
+  }
+  for (const condition of filterConditions(filters, params)) {
+    where += ` AND ${condition}`;
+  }
+
+  const sortColumn = MIRROR_SORT_COLUMNS[sort] || MIRROR_SORT_COLUMNS.name;
+  const sortDirection = direction === 'desc' ? 'DESC' : 'ASC';
+
+  params.push(limit, (page - 1) * limit);
+  const result = await pool.query(`
+    SELECT data, COUNT(*) OVER() AS total
+    FROM item_mirror
+    WHERE ${where}
+    ORDER BY ${sortColumn} ${sortDirection} NULLS LAST, LOWER(name) ASC, item_id ASC
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+
+  let total = result.rows[0] ? Number(result.rows[0].total) : 0;
+  if (result.rows.length === 0 && page > 1) {
+    // Past the last page: still report the real total
+    const count = await pool.query(`SELECT COUNT(*) FROM item_mirror WHERE ${where}`, params.slice(0, params.length - 2));
+    total = Number(count.rows[0].count);
+  }
+
+  return { items: result.rows.map(r => r.data), total };
+}
+
+/**
+ * Find mirrored items using any of the given codes (case-insensitive)
+ * @returns {Promise<Array<{ item_id: string, code: string }>>}
+ */
+export async function findMirrorItemsByCodes(tenantId, codes) {
+  if (codes.length === 0) return [];
+  const pool = getPool();
+  const result = await pool.query(
+    'SELECT item_id, code FROM item_mirror WHERE xero_tenant_id = $1 AND LOWER(code) = ANY($2::varchar[])',
+    [tenantId, codes.map(c => String(c).toLowerCase())]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the sync bookkeeping row for a tenant
+ */
+export async function getMirrorSyncState(tenantId) {
+  const pool = getPool();
+  const result = await pool.query('SELECT * FROM item_mirror_sync WHERE xero_tenant_id = $1', [tenantId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Record a completed sync
+ */
+export async function saveMirrorSyncState(tenantId, { lastModified, full }) {
+  const pool = getPool();
+  await pool.query(`
+    INSERT INTO item_mirror_sync (xero_tenant_id, last_modified, last_synced_at, last_full_sync_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP, CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE NULL END)
+    ON CONFLICT (xero_tenant_id)
+    DO UPDATE SET
+      last_modified = GREATEST(item_mirror_sync.last_modified, EXCLUDED.last_modified),
+      last_synced_at = CURRENT_TIMESTAMP,
+      last_full_sync_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE item_mirror_sync.last_full_sync_at END
+  `, [tenantId, lastModified, Boolean(full)]);
+}
@@ -0,0 +1,51 @@
+// Migration: Move Xero connections made before multi-tenancy into xero_instances
+// Each admin's connections go to the admin's organization. A tenant already in xero_instances keeps its organization.
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+async function moveXeroConnections() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    connectionTimeoutMillis: 10000
+  });
+
+  try {
+    console.log('[Prodit] Connecting to database...');
+    const client = await pool.connect();
+    console.log('[Prodit] ✓ Connected');
+
+    console.log('[Prodit] Copying xero_connections into xero_instances...');
+    const result = await client.query(`
+      INSERT INTO xero_instances (
+        organization_id, xero_tenant_id, xero_tenant_name,
+        encrypted_tokens, encryption_iv, encryption_tag, connected_at, last_accessed
+      )
+      SELECT DISTINCT ON (xc.tenant_id)
+        u.organization_id, xc.tenant_id, xc.tenant_name,
+        xc.encrypted_tokens, xc.encryption_iv, xc.encryption_tag, xc.created_at, xc.last_synced
+      FROM xero_connections xc
+      INNER JOIN users u ON u.id = xc.user_id
+      WHERE u.is_admin = true AND u.organization_id IS NOT NULL
+      ORDER BY xc.tenant_id, xc.last_synced DESC
+      ON CONFLICT (xero_tenant_id) DO NOTHING
+    `);
+    console.log(`[Prodit] ✓ Moved ${result.rowCount} connection(s)`);
+
+    console.log('[Prodit] ✓ Migration complete!');
+    client.release();
+  } catch (error) {
+    console.error('[Prodit] Migration failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+moveXeroConnections()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
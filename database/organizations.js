@@ -36,6 +36,18 @@ export async function getOrganizationById(orgId) {
   return result.rows[0];
 }
 
+/**
+ * Get the organization billed under a Stripe customer
+ */
+export async function getOrganizationByStripeCustomer(customerId) {
+  const pool = getPool();
+  const result = await pool.query(
+    'SELECT * FROM organizations WHERE stripe_customer_id = $1 AND deleted_at IS NULL',
+    [customerId]
+  );
+  return result.rows[0];
+}
+
 /**
  * Get all organizations (for super admin)
  */
@@ -98,26 +110,66 @@ export function canAccessSystem(organization) {
 }
 
 /**
- * Extend organization trial
+ * The subscription status after a trial extension: paying organizations stay active,
+ * everything else (a trial, a lapsed trial, expired or cancelled) is back on trial
+ */
+export function trialStatusAfterExtension(status) {
+  return status === 'active' ? 'active' : 'trial';
+}
+
+/**
+ * Extend organization trial (an expired or cancelled organization is reopened)
  */
 export async function extendTrial(orgId, additionalDays) {
   const pool = getPool();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT subscription_status FROM organizations WHERE id = $1 FOR UPDATE', [orgId]);
+    if (!current.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const result = await client.query(`
+      UPDATE organizations
+      SET
+        trial_end_date = GREATEST(trial_end_date, CURRENT_TIMESTAMP) + make_interval(days => $2),
+        subscription_status = $3
+      WHERE id = $1
+      RETURNING *
+    `, [orgId, additionalDays, trialStatusAfterExtension(current.rows[0].subscription_status)]);
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
 
-  const result = await pool.query(`
-    UPDATE organizations
-    SET trial_end_date = GREATEST(trial_end_date, CURRENT_TIMESTAMP) + INTERVAL '${additionalDays} days'
-    WHERE id = $1
-    RETURNING *
-  `, [orgId]);
-
-  return result.rows[0];
+// Billing events can arrive twice or out of order. Given the event ({ id, created }) behind an update, the
+// update also records it and only applies when the event is newer than the last one applied to the organization.
+function billingEventGuard(billingEvent, firstParam) {
+  if (!billingEvent) return { set: '', where: '', params: [] };
+  const id = `$${firstParam}`;
+  const created = `$${firstParam + 1}`;
+  return {
+    set: `, billing_event_id = ${id}, billing_event_created = ${created}`,
+    where: ` AND (billing_event_created IS NULL OR billing_event_created < ${created}
+      OR (billing_event_created = ${created} AND billing_event_id IS DISTINCT FROM ${id}))`,
+    params: [billingEvent.id, billingEvent.created]
+  };
 }
 
 /**
  * Activate organization subscription
+ * @param {Object} [billingEvent] - The billing event behind the change; returns undefined when it is stale
  */
-export async function activateSubscription(orgId, stripeCustomerId, stripeSubscriptionId) {
+export async function activateSubscription(orgId, stripeCustomerId, stripeSubscriptionId, billingEvent = null) {
   const pool = getPool();
+  const guard = billingEventGuard(billingEvent, 4);
 
   const result = await pool.query(`
     UPDATE organizations
@@ -126,26 +178,28 @@ export async function activateSubscription(orgId, stripeCustomerId, stripeSubscr
       subscription_start_date = CURRENT_TIMESTAMP,
       subscription_end_date = CURRENT_TIMESTAMP + INTERVAL '1 year',
       stripe_customer_id = $2,
-      stripe_subscription_id = $3
-    WHERE id = $1
+      stripe_subscription_id = $3${guard.set}
+    WHERE id = $1${guard.where}
     RETURNING *
-  `, [orgId, stripeCustomerId, stripeSubscriptionId]);
+  `, [orgId, stripeCustomerId, stripeSubscriptionId, ...guard.params]);
 
   return result.rows[0];
 }
 
 /**
  * Cancel organization subscription
+ * @param {Object} [billingEvent] - The billing event behind the change; returns undefined when it is stale
  */
-export async function cancelSubscription(orgId) {
+export async function cancelSubscription(orgId, billingEvent = null) {
   const pool = getPool();
+  const guard = billingEventGuard(billingEvent, 2);
 
   const result = await pool.query(`
     UPDATE organizations
-    SET subscription_status = 'cancelled'
-    WHERE id = $1
+    SET subscription_status = 'cancelled'${guard.set}
+    WHERE id = $1${guard.where}
     RETURNING *
-  `, [orgId]);
+  `, [orgId, ...guard.params]);
 
   return result.rows[0];
 }
@@ -166,18 +220,51 @@ export async function deleteOrganization(orgId) {
   return result.rows[0];
 }
 
+/**
+ * Require (or stop requiring) every user of the organization to use two-factor authentication
+ */
+export async function setRequireTwoFactor(orgId, required) {
+  const pool = getPool();
+
+  const result = await pool.query(`
+    UPDATE organizations
+    SET require_two_factor = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [orgId, required]);
+
+  return result.rows[0];
+}
+
+/**
+ * Set the minimum gross margin % that saves warn about (null turns the warning off)
+ */
+export async function setMinimumMargin(orgId, minMarginPercent) {
+  const pool = getPool();
+
+  const result = await pool.query(`
+    UPDATE organizations
+    SET min_margin_percent = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [orgId, minMarginPercent]);
+
+  return result.rows[0];
+}
+
 // ===== XERO INSTANCE MANAGEMENT =====
 
 /**
- * Create or update Xero instance for organization
+ * Create or update Xero instance for organization. A Xero tenant belongs to one organization at a time,
+ * so reconnecting a tenant that another organization disconnected moves it to this one.
  */
 export async function saveXeroInstance({ organizationId, tenantId, tenantName, encryptedTokens, iv, tag }) {
   const pool = getPool();
 
   // Check if instance exists
   const existing = await pool.query(
-    'SELECT id FROM xero_instances WHERE organization_id = $1 AND xero_tenant_id = $2',
-    [organizationId, tenantId]
+    'SELECT id FROM xero_instances WHERE xero_tenant_id = $1',
+    [tenantId]
   );
 
   if (existing.rows.length > 0) {
@@ -185,15 +272,18 @@ export async function saveXeroInstance({ organizationId, tenantId, tenantName, e
     const result = await pool.query(`
       UPDATE xero_instances
       SET
-        xero_tenant_name = $1,
-        encrypted_tokens = $2,
-        encryption_iv = $3,
-        encryption_tag = $4,
+        organization_id = $1,
+        xero_tenant_name = $2,
+        encrypted_tokens = $3,
+        encryption_iv = $4,
+        encryption_tag = $5,
         connection_status = 'connected',
+        connected_at = CASE WHEN connection_status = 'connected' THEN connected_at ELSE CURRENT_TIMESTAMP END,
+        disconnected_at = NULL,
         last_accessed = CURRENT_TIMESTAMP
-      WHERE organization_id = $5 AND xero_tenant_id = $6
+      WHERE xero_tenant_id = $6
       RETURNING *
-    `, [tenantName, encryptedTokens, iv, tag, organizationId, tenantId]);
+    `, [organizationId, tenantName, encryptedTokens, iv, tag, tenantId]);
     return result.rows[0];
   } else {
     // Create new
@@ -208,17 +298,31 @@ export async function saveXeroInstance({ organizationId, tenantId, tenantName, e
   }
 }
 
+/**
+ * Get the Xero instance for a tenant, whichever organization it belongs to
+ */
+export async function findXeroInstanceByTenant(tenantId) {
+  const pool = getPool();
+  const result = await pool.query(
+    'SELECT * FROM xero_instances WHERE xero_tenant_id = $1',
+    [tenantId]
+  );
+  return result.rows[0];
+}
+
 /**
  * Get Xero instance for organization
+ * @param {string|null} tenantId - A specific connected tenant; without it the most recently connected one
  */
-export async function getXeroInstance(organizationId) {
+export async function getXeroInstance(organizationId, tenantId = null) {
   const pool = getPool();
   const result = await pool.query(
     `SELECT * FROM xero_instances
      WHERE organization_id = $1 AND connection_status = 'connected'
+       AND ($2::varchar IS NULL OR xero_tenant_id = $2)
      ORDER BY connected_at DESC
      LIMIT 1`,
-    [organizationId]
+    [organizationId, tenantId]
   );
   return result.rows[0];
 }
@@ -0,0 +1,82 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase } from './testDatabase.js';
+import { trialStatusAfterExtension, extendTrial, createOrganization, getOrganizationById, logAuditAction, getAuditLogs } from './organizations.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let db;
+
+before(async () => { db = await createTestDatabase(); });
+beforeEach(() => db.reset());
+after(() => db.close());
+
+async function organizationWith(status, trialEndOffsetDays) {
+  const org = await createOrganization({ companyName: 'Acme', ownerEmail: 'owner@acme.test' });
+  await db.query(
+    `UPDATE organizations SET subscription_status = $2, trial_end_date = CURRENT_TIMESTAMP + make_interval(days => $3) WHERE id = $1`,
+    [org.id, status, trialEndOffsetDays]
+  );
+  return getOrganizationById(org.id);
+}
+
+test('extending a trial reopens expired and cancelled organizations', () => {
+  assert.equal(trialStatusAfterExtension('expired'), 'trial');
+  assert.equal(trialStatusAfterExtension('cancelled'), 'trial');
+});
+
+test('extending a trial keeps trials on trial, including ones whose date has passed', () => {
+  assert.equal(trialStatusAfterExtension('trial'), 'trial');
+});
+
+test('extending a trial leaves paying organizations active', () => {
+  assert.equal(trialStatusAfterExtension('active'), 'active');
+});
+
+test('a running trial is extended from its current end date', async () => {
+  const org = await organizationWith('trial', 5);
+  const extended = await extendTrial(org.id, 10);
+  assert.equal(extended.subscription_status, 'trial');
+  const added = new Date(extended.trial_end_date) - new Date(org.trial_end_date);
+  assert.equal(Math.round(added / DAY_MS), 10);
+});
+
+test('a lapsed trial is extended from today, not from the old end date', async () => {
+  const org = await organizationWith('expired', -30);
+  const extended = await extendTrial(org.id, 7);
+  assert.equal(extended.subscription_status, 'trial');
+  // The database's clock, read back the same way as trial_end_date
+  const { rows: [{ now }] } = await db.query('SELECT CURRENT_TIMESTAMP::timestamp AS now');
+  const fromNow = new Date(extended.trial_end_date) - new Date(now);
+  assert.ok(Math.abs(fromNow - 7 * DAY_MS) < DAY_MS / 24, `expected about 7 days from now, got ${fromNow / DAY_MS}`);
+});
+
+test('a cancelled organization is back on trial and can use Prodit again', async () => {
+  const org = await organizationWith('cancelled', -1);
+  const extended = await extendTrial(org.id, 14);
+  assert.equal(extended.subscription_status, 'trial');
+  assert.equal((await getOrganizationById(org.id)).subscription_status, 'trial');
+});
+
+test('an active subscription stays active when its trial date is extended', async () => {
+  const org = await organizationWith('active', -100);
+  assert.equal((await extendTrial(org.id, 3)).subscription_status, 'active');
+});
+
+test('extending an unknown organization changes nothing', async () => {
+  assert.equal(await extendTrial(999, 3), null);
+});
+
+test('audit log entries are stored with their details and listed newest first', async () => {
+  const org = await createOrganization({ companyName: 'Acme', ownerEmail: 'owner@acme.test' });
+  const entry = { superAdminId: null, superAdminEmail: 'ops@prodit.test', targetType: 'organization', targetId: org.id, ipAddress: '10.0.0.1' };
+  await logAuditAction({ ...entry, action: 'extend_trial', details: { days: 7 } });
+  await db.query(`UPDATE audit_logs SET created_at = created_at - INTERVAL '1 minute'`);
+  await logAuditAction({ ...entry, action: 'cancel_subscription', details: { previousStatus: 'trial' } });
+
+  const logs = await getAuditLogs(10, 0);
+  assert.deepEqual(logs.map(l => l.action), ['cancel_subscription', 'extend_trial']);
+  assert.deepEqual(logs[1].details, { days: 7 });
+  assert.equal(logs[1].super_admin_email, 'ops@prodit.test');
+  assert.equal(logs[1].target_id, org.id);
+  assert.equal((await getAuditLogs(1, 1))[0].action, 'extend_trial');
+});
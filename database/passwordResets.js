@@ -0,0 +1,53 @@
+// Password reset tokens (single use, expiring). Only a hash of each token is stored.
+import crypto from 'crypto';
+import { getPool } from './db.js';
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a reset token for a user, replacing any earlier unused ones
+ * @returns {Promise<string>} The raw token to email (never stored)
+ */
+export async function createPasswordResetToken(userId) {
+  const pool = getPool();
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [userId]);
+  await pool.query(`
+    INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))
+  `, [userId, hashToken(token), RESET_TOKEN_TTL_MINUTES]);
+
+  return token;
+}
+
+/**
+ * When the user's latest reset token was issued, to throttle repeat requests
+ */
+export async function getLastPasswordResetRequest(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    'SELECT MAX(created_at) AS created_at FROM password_reset_tokens WHERE user_id = $1',
+    [userId]
+  );
+  return result.rows[0]?.created_at || null;
+}
+
+/**
+ * Mark a token used, if it is valid
+ * @returns {Promise<number|null>} The user the token belongs to, or null when it is unknown, used or expired
+ */
+export async function consumePasswordResetToken(token) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE password_reset_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id
+  `, [hashToken(token)]);
+  return result.rows[0]?.user_id || null;
+}
@@ -0,0 +1,110 @@
+// Scheduled item changes (posted to Xero by the background worker once run_at passes)
+import { getPool } from './db.js';
+
+/**
+ * Schedule a set of item changes
+ * @param {Object} data
+ * @param {Array<Object>} data.items - [{ itemId, code, changes }]
+ * @param {Date} data.runAt - When the changes should be applied
+ * @param {boolean} [data.allowLowMargin] - The user accepted prices below the minimum margin
+ */
+export async function createScheduledChange({ organizationId, tenantId, userId, userEmail, name, items, runAt, allowLowMargin = false }) {
+  const pool = getPool();
+  const result = await pool.query(`
+    INSERT INTO scheduled_changes (organization_id, xero_tenant_id, user_id, user_email, name, items, run_at, allow_low_margin)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [organizationId, tenantId, userId, userEmail, name, JSON.stringify(items), runAt, allowLowMargin]);
+  return result.rows[0];
+}
+
+/**
+ * List an organization's scheduled changes for a tenant, upcoming first, then the most recently run
+ * @param {number|null} userId - Only this user's jobs (all users' when null)
+ */
+export async function listScheduledChanges(organizationId, tenantId, userId = null) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT * FROM scheduled_changes
+    WHERE organization_id = $1 AND xero_tenant_id = $2 AND ($3::integer IS NULL OR user_id = $3)
+    ORDER BY (status IN ('scheduled', 'running')) DESC,
+      CASE WHEN status IN ('scheduled', 'running') THEN run_at END ASC,
+      run_at DESC, id DESC
+    LIMIT 200
+  `, [organizationId, tenantId, userId]);
+  return result.rows;
+}
+
+/**
+ * Get a single scheduled change belonging to an organization
+ */
+export async function getScheduledChange(id, organizationId) {
+  const pool = getPool();
+  const result = await pool.query('SELECT * FROM scheduled_changes WHERE id = $1 AND organization_id = $2', [id, organizationId]);
+  return result.rows[0];
+}
+
+/**
+ * Cancel a job that hasn't started yet
+ * @returns {Promise<Object|undefined>} The cancelled job, or undefined when it was no longer scheduled
+ */
+export async function cancelScheduledChange(id, cancelledByEmail) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE scheduled_changes
+    SET status = 'cancelled', cancelled_by_email = $2, finished_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'scheduled'
+    RETURNING *
+  `, [id, cancelledByEmail]);
+  return result.rows[0];
+}
+
+/**
+ * Mark due jobs as running and return them. Rows are locked while claimed, so two server
+ * processes polling at once never pick up the same job.
+ */
+export async function claimDueScheduledChanges(limit = 5) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE scheduled_changes
+    SET status = 'running', started_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT id FROM scheduled_changes
+      WHERE status = 'scheduled' AND run_at <= CURRENT_TIMESTAMP
+      ORDER BY run_at, id
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [limit]);
+  return result.rows;
+}
+
+/**
+ * Record how a job finished
+ * @param {string} status - 'completed' or 'failed'
+ */
+export async function finishScheduledChange(id, { status, result = null, error = null }) {
+  const pool = getPool();
+  const updated = await pool.query(`
+    UPDATE scheduled_changes
+    SET status = $2, result = $3, error = $4, finished_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [id, status, result ? JSON.stringify(result) : null, error]);
+  return updated.rows[0];
+}
+
+/**
+ * Fail jobs stuck in 'running' for longer than `staleMinutes` (their server stopped mid-run),
+ * since it's unknown which of their items reached Xero
+ */
+export async function failStaleScheduledChanges(staleMinutes = 30) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE scheduled_changes
+    SET status = 'failed', error = 'The server stopped while these changes were being applied. Check the change log before rescheduling.', finished_at = CURRENT_TIMESTAMP
+    WHERE status = 'running' AND started_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+  `, [staleMinutes]);
+  return result.rowCount;
+}
@@ -0,0 +1,122 @@
+// In-memory Postgres (PGlite) for the node:test suites. It takes the place of the pg pool that
+// initDatabase() creates, so the database modules and routes run their real SQL without a server.
+import { PGlite } from '@electric-sql/pglite';
+import { initDatabase } from './db.js';
+
+// The tables the tests touch, as the migrations leave them
+const SCHEMA = `
+  CREATE TABLE organizations (
+    id SERIAL PRIMARY KEY,
+    company_name VARCHAR(255) NOT NULL,
+    owner_email VARCHAR(255) NOT NULL,
+    account_type VARCHAR(50) DEFAULT 'company',
+    trial_start_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    trial_end_date TIMESTAMP DEFAULT (CURRENT_TIMESTAMP + INTERVAL '14 days'),
+    subscription_status VARCHAR(50) DEFAULT 'trial',
+    subscription_start_date TIMESTAMP,
+    subscription_end_date TIMESTAMP,
+    stripe_customer_id VARCHAR(255),
+    stripe_subscription_id VARCHAR(255),
+    min_margin_percent NUMERIC(5, 2),
+    require_two_factor BOOLEAN NOT NULL DEFAULT false,
+    billing_event_id VARCHAR(255),
+    billing_event_created BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP
+  );
+
+  CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    full_name VARCHAR(255),
+    is_admin BOOLEAN DEFAULT false,
+    is_super_admin BOOLEAN DEFAULT false,
+    organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+    email_verified BOOLEAN DEFAULT false,
+    email_verification_token VARCHAR(255),
+    email_verification_expires TIMESTAMP,
+    field_permissions JSONB DEFAULT '{}'::jsonb,
+    requires_approval BOOLEAN DEFAULT false,
+    totp_enabled BOOLEAN NOT NULL DEFAULT false,
+    totp_secret_encrypted TEXT,
+    totp_secret_iv TEXT,
+    totp_secret_tag TEXT,
+    totp_last_step BIGINT,
+    totp_recovery_codes JSONB NOT NULL DEFAULT '[]',
+    totp_enabled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login TIMESTAMP,
+    is_active BOOLEAN DEFAULT true
+  );
+
+  CREATE TABLE xero_instances (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    xero_tenant_id VARCHAR(255) UNIQUE NOT NULL,
+    xero_tenant_name VARCHAR(255),
+    connection_status VARCHAR(50) DEFAULT 'connected',
+    encrypted_tokens TEXT,
+    encryption_iv VARCHAR(255),
+    encryption_tag VARCHAR(255),
+    connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    disconnected_at TIMESTAMP,
+    last_accessed TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE audit_logs (
+    id SERIAL PRIMARY KEY,
+    super_admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    super_admin_email VARCHAR(255) NOT NULL,
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50),
+    target_id INTEGER,
+    details JSONB,
+    ip_address VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE session (
+    sid VARCHAR NOT NULL COLLATE "default",
+    sess JSON NOT NULL,
+    expire TIMESTAMP(6) NOT NULL,
+    CONSTRAINT session_pkey PRIMARY KEY (sid)
+  );
+`;
+
+// pg sends plain objects as JSON text; PGlite needs that done for it
+function toParam(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Start an empty database and point getPool() at it
+ * @returns {Promise<{ query: Function, reset: Function, close: Function }>} `query` has pg's (text, params) => { rows, rowCount } shape
+ */
+export async function createTestDatabase() {
+  const db = new PGlite();
+  await db.exec(SCHEMA);
+
+  const query = async (text, params = []) => {
+    const result = await db.query(text, params.map(toParam));
+    return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+  };
+
+  const pool = initDatabase();
+  pool.query = query;
+  pool.connect = async () => ({ query, release() {} });
+
+  return {
+    query,
+    // Empty every table between tests
+    reset: () => db.exec('TRUNCATE audit_logs, session, xero_instances, users, organizations RESTART IDENTITY CASCADE'),
+    close: () => db.close()
+  };
+}
@@ -0,0 +1,93 @@
+// Per-user TOTP two-factor settings. The secret is encrypted with the same key as Xero tokens;
+// recovery codes are stored only as hashes and each one is removed when it is used.
+import { getPool, encryptTokens, decryptTokens } from './db.js';
+
+/**
+ * A user's two-factor state
+ * @returns {Promise<Object|null>} { enabled, secret, lastStep, recoveryCodesLeft }, or null for an unknown user
+ */
+export async function getTwoFactor(userId) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT totp_enabled, totp_secret_encrypted, totp_secret_iv, totp_secret_tag, totp_last_step,
+           jsonb_array_length(totp_recovery_codes) AS recovery_codes_left
+    FROM users WHERE id = $1
+  `, [userId]);
+
+  const row = result.rows[0];
+  if (!row) return null;
+  return {
+    enabled: row.totp_enabled,
+    secret: row.totp_enabled ? decryptTokens(row.totp_secret_encrypted, row.totp_secret_iv, row.totp_secret_tag).secret : null,
+    lastStep: row.totp_last_step === null ? null : Number(row.totp_last_step),
+    recoveryCodesLeft: row.recovery_codes_left
+  };
+}
+
+/**
+ * Turn two-factor on with a confirmed secret and a fresh set of hashed recovery codes
+ */
+export async function enableTwoFactor(userId, secret, recoveryCodeHashes, lastStep) {
+  const pool = getPool();
+  const { encrypted, iv, tag } = encryptTokens({ secret });
+  await pool.query(`
+    UPDATE users
+    SET totp_enabled = true, totp_secret_encrypted = $2, totp_secret_iv = $3, totp_secret_tag = $4,
+        totp_last_step = $5, totp_recovery_codes = $6, totp_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [userId, encrypted, iv, tag, lastStep, JSON.stringify(recoveryCodeHashes)]);
+}
+
+/**
+ * Turn two-factor off and forget the secret and recovery codes.
+ * With an organizationId (an admin resetting someone else) only users of that organization are touched.
+ * @returns {Promise<boolean>} false when no matching user was found
+ */
+export async function disableTwoFactor(userId, organizationId = null) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE users
+    SET totp_enabled = false, totp_secret_encrypted = NULL, totp_secret_iv = NULL, totp_secret_tag = NULL,
+        totp_last_step = NULL, totp_recovery_codes = '[]', totp_enabled_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND ($2::integer IS NULL OR organization_id = $2)
+  `, [userId, organizationId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Record the time step of an accepted code. Only moves forward, so two requests racing with the
+ * same code can't both succeed.
+ * @returns {Promise<boolean>} false when this step (or a later one) was already used
+ */
+export async function useTotpStep(userId, step) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE users SET totp_last_step = $2
+    WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+  `, [userId, step]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Use up a recovery code
+ * @returns {Promise<boolean>} false when the code isn't one of the user's unused codes
+ */
+export async function useRecoveryCode(userId, codeHash) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE users SET totp_recovery_codes = totp_recovery_codes - $2::text
+    WHERE id = $1 AND totp_enabled = true AND totp_recovery_codes ? $2
+  `, [userId, codeHash]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Replace all recovery codes with a new set
+ */
+export async function replaceRecoveryCodes(userId, recoveryCodeHashes) {
+  const pool = getPool();
+  await pool.query(
+    'UPDATE users SET totp_recovery_codes = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND totp_enabled = true',
+    [userId, JSON.stringify(recoveryCodeHashes)]
+  );
+}
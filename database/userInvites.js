@@ -0,0 +1,138 @@
+// Invitations to join an organization. Only a hash of each invite token is stored.
+import crypto from 'crypto';
+import { getPool } from './db.js';
+
+const INVITE_TTL_DAYS = 7;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Store a pending invite
+ * @returns {Promise<{ invite: Object, token: string }>} The raw token goes in the emailed link and is never stored
+ */
+export async function createInvite({ organizationId, email, fullName, isAdmin, requiresApproval, fieldPermissions, invitedById, invitedByEmail }) {
+  const pool = getPool();
+  const token = newToken();
+  const result = await pool.query(`
+    INSERT INTO user_invites (
+      organization_id, email, full_name, is_admin, requires_approval, field_permissions,
+      token_hash, invited_by_id, invited_by_email, expires_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP + make_interval(days => $10))
+    RETURNING *
+  `, [organizationId, email, fullName, isAdmin, requiresApproval, JSON.stringify(fieldPermissions), hashToken(token), invitedById, invitedByEmail, INVITE_TTL_DAYS]);
+  return { invite: result.rows[0], token };
+}
+
+/**
+ * Invites that are neither accepted nor revoked (expired ones included, so they can be resent)
+ */
+export async function listPendingInvites(organizationId) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT * FROM user_invites
+    WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+    ORDER BY created_at DESC
+  `, [organizationId]);
+  return result.rows;
+}
+
+/**
+ * A pending invite for an email address, if the organization already has one
+ */
+export async function findPendingInviteByEmail(organizationId, email) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT * FROM user_invites
+    WHERE organization_id = $1 AND email = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+    LIMIT 1
+  `, [organizationId, email]);
+  return result.rows[0];
+}
+
+/**
+ * Issue a new link for a pending invite (the old link stops working) and restart its expiry
+ * @returns {Promise<{ invite: Object, token: string }|null>} null when the invite is no longer pending
+ */
+export async function renewInvite(organizationId, id) {
+  const pool = getPool();
+  const token = newToken();
+  const result = await pool.query(`
+    UPDATE user_invites
+    SET token_hash = $3, expires_at = CURRENT_TIMESTAMP + make_interval(days => $4), last_sent_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+    RETURNING *
+  `, [id, organizationId, hashToken(token), INVITE_TTL_DAYS]);
+  return result.rows[0] ? { invite: result.rows[0], token } : null;
+}
+
+/**
+ * Revoke a pending invite so its link stops working
+ */
+export async function revokeInvite(organizationId, id) {
+  const pool = getPool();
+  const result = await pool.query(`
+    UPDATE user_invites
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+    RETURNING *
+  `, [id, organizationId]);
+  return result.rows[0];
+}
+
+/**
+ * Look up a usable invite from the token in its link, with the organization's name
+ */
+export async function findInviteByToken(token) {
+  const pool = getPool();
+  const result = await pool.query(`
+    SELECT i.*, o.company_name
+    FROM user_invites i
+    INNER JOIN organizations o ON o.id = i.organization_id AND o.deleted_at IS NULL
+    WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+  `, [hashToken(token)]);
+  return result.rows[0];
+}
+
+/**
+ * Create the invited user and mark the invite accepted, in one transaction. Following the link proves
+ * the address, so the user starts out verified.
+ * @returns {Promise<Object|null>} The new user row, or null when the invite is no longer usable
+ */
+export async function acceptInvite(token, { passwordHash, fullName }) {
+  const pool = getPool();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const found = await client.query(`
+      SELECT * FROM user_invites
+      WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      FOR UPDATE
+    `, [hashToken(token)]);
+    const invite = found.rows[0];
+    if (!invite) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const created = await client.query(`
+      INSERT INTO users (email, password_hash, full_name, organization_id, is_admin, field_permissions, requires_approval, email_verified)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, true)
+      RETURNING id, email, full_name, organization_id, is_admin, created_at
+    `, [invite.email, passwordHash, fullName || invite.full_name, invite.organization_id, invite.is_admin, JSON.stringify(invite.field_permissions), invite.requires_approval]);
+
+    await client.query('UPDATE user_invites SET accepted_at = CURRENT_TIMESTAMP WHERE id = $1', [invite.id]);
+    await client.query('COMMIT');
+    return created.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
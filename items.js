@@ -0,0 +1,331 @@
+// Item field helpers for Prodit
+// Shared description of the Xero Item fields Prodit edits and how they map to user field permissions
+
+/**
+ * Default field permissions for users (everything editable)
+ */
+export const DEFAULT_FIELD_PERMISSIONS = {
+  code: true,
+  name: true,
+  description: true,
+  salePrice: true,
+  salesAccount: true,
+  salesTax: true,
+  costPrice: true,
+  purchaseAccount: true,
+  purchaseTax: true,
+  status: true
+};
+
+/**
+ * Editable Item fields in grid order.
+ * `permission` is the field_permissions key guarding the field (null = not restricted).
+ */
+export const ITEM_FIELDS = [
+  { path: 'Code', permission: 'code' },
+  { path: 'Name', permission: 'name' },
+  { path: 'Description', permission: 'description' },
+  { path: 'IsSold', permission: null },
+  { path: 'IsPurchased', permission: null },
+  { path: 'SalesDetails.UnitPrice', permission: 'salePrice' },
+  { path: 'SalesDetails.AccountCode', permission: 'salesAccount' },
+  { path: 'SalesDetails.TaxType', permission: 'salesTax' },
+  { path: 'PurchaseDetails.UnitPrice', permission: 'costPrice' },
+  { path: 'PurchaseDetails.AccountCode', permission: 'purchaseAccount' },
+  { path: 'PurchaseDetails.TaxType', permission: 'purchaseTax' },
+  { path: 'Status', permission: 'status' }
+];
+
+/**
+ * Merge stored permissions over the defaults so missing keys stay allowed
+ */
+export function resolveFieldPermissions(stored) {
+  return { ...DEFAULT_FIELD_PERMISSIONS, ...(stored || {}) };
+}
+
+/**
+ * Check whether a field is allowed by a resolved permissions object
+ */
+export function isFieldAllowed(field, permissions) {
+  return !field.permission || permissions[field.permission] !== false;
+}
+
+/**
+ * Read a dotted path (e.g. "SalesDetails.UnitPrice") from an item
+ */
+export function getPath(item, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), item);
+}
+
+/**
+ * Return a copy of `item` with a dotted path set (creates the parent object if needed)
+ */
+export function setPath(item, path, value) {
+  const [head, ...rest] = path.split('.');
+  if (rest.length === 0) return { ...item, [head]: value };
+  return { ...item, [head]: setPath(item?.[head] || {}, rest.join('.'), value) };
+}
+
+/**
+ * Find the field definition for a dotted path
+ */
+export function findField(path) {
+  return ITEM_FIELDS.find(f => f.path === path) || null;
+}
+
+/**
+ * Convert a raw text value (e.g. from a CSV cell) into the type Xero expects for a field.
+ * Returns { value } on success or { error } when the text cannot be used.
+ */
+export function coerceFieldValue(path, raw) {
+  const text = String(raw ?? '').trim();
+
+  if (path.endsWith('.UnitPrice')) {
+    const num = Number(text.replace(/[$,\s]/g, ''));
+    if (!Number.isFinite(num)) return { error: 'Must be a number' };
+    return { value: num };
+  }
+
+  if (path === 'IsSold' || path === 'IsPurchased') {
+    const lower = text.toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(lower)) return { value: true };
+    if (['false', 'no', 'n', '0'].includes(lower)) return { value: false };
+    return { error: 'Must be true or false' };
+  }
+
+  if (path === 'Status') {
+    const upper = text.toUpperCase();
+    if (upper !== 'ACTIVE' && upper !== 'ARCHIVED') return { error: 'Must be ACTIVE or ARCHIVED' };
+    return { value: upper };
+  }
+
+  return { value: text };
+}
+
+/**
+ * Compare a current Xero value with a proposed value (numbers compared numerically, blanks treated alike)
+ */
+export function fieldValuesEqual(current, next) {
+  if (typeof next === 'number') return Number(current) === next && current !== null && current !== undefined && current !== '';
+  if (typeof next === 'boolean') return (current !== false) === next; // Xero omits IsSold/IsPurchased when true
+  return String(current ?? '') === String(next ?? '');
+}
+
+/**
+ * Price rounding options for bulk adjustments
+ */
+export const PRICE_ROUNDING = {
+  none: price => Math.round(price * 10000) / 10000, // Xero keeps up to 4 decimal places
+  cents: price => Math.round(price * 100) / 100,
+  fiveCents: price => Math.round(price * 20) / 20,
+  tenCents: price => Math.round(price * 10) / 10,
+  whole: price => Math.round(price),
+  ninetyNine: price => (price <= 0 ? 0 : Math.max(0.99, Math.round((Math.ceil(price) - 0.01) * 100) / 100)) // e.g. 12.40 -> 12.99
+};
+
+/**
+ * Apply a percentage or fixed-amount change to a price, then round it.
+ * Returns null when the item has no price to adjust.
+ */
+export function adjustPrice(price, { mode, value, rounding = 'cents' }) {
+  if (price === null || price === undefined || price === '' || !Number.isFinite(Number(price))) return null;
+  const current = Number(price);
+  const raw = mode === 'percent' ? current * (1 + value / 100) : current + value;
+  const round = PRICE_ROUNDING[rounding] || PRICE_ROUNDING.cents;
+  return round(Math.max(0, raw));
+}
+
+/**
+ * List the editable fields an update would change, with their previous values
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+export function diffItemUpdate(previous, update) {
+  const changes = [];
+  for (const { path } of ITEM_FIELDS) {
+    const next = getPath(update, path);
+    if (next === undefined) continue;
+    const current = getPath(previous, path);
+    if (fieldValuesEqual(current, next)) continue;
+    changes.push({ field: path, from: current ?? null, to: next });
+  }
+  return changes;
+}
+
+/**
+ * Parse a Xero JSON date ("/Date(1573755038314+0000)/") or ISO string into a Date (null if absent)
+ */
+export function parseXeroDate(value) {
+  if (!value) return null;
+  const match = /\/Date\((-?\d+)/.exec(value);
+  const date = match ? new Date(Number(match[1])) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Unchecking Sell/Purchase makes Xero clear these details, so it needs permission on each of them
+const FLAG_DEPENDENCIES = {
+  IsSold: ['salePrice', 'salesAccount', 'salesTax'],
+  IsPurchased: ['costPrice', 'purchaseAccount', 'purchaseTax']
+};
+
+/**
+ * Reduce an update to ItemID plus the editable fields Prodit knows about (drops anything else)
+ */
+export function sanitizeItemUpdate(update) {
+  let clean = { ItemID: update.ItemID };
+  for (const { path } of ITEM_FIELDS) {
+    const value = getPath(update, path);
+    if (value !== undefined) clean = setPath(clean, path, value);
+  }
+  return clean;
+}
+
+/**
+ * Check an update against the user's field permissions and the item's current Xero values.
+ * Only fields whose value actually changes are checked, so unchanged values (such as the Code
+ * the grid always sends) are allowed through.
+ * @returns {Array<{ field: string, message: string }>} Empty when the update is allowed
+ */
+export function checkItemPermissions(update, previous, permissions) {
+  const errors = [];
+  for (const change of diffItemUpdate(previous || {}, update)) {
+    const field = findField(change.field);
+    if (!isFieldAllowed(field, permissions)) {
+      errors.push({ field: change.field, message: 'You do not have permission to edit this field' });
+      continue;
+    }
+    const dependencies = FLAG_DEPENDENCIES[change.field];
+    if (dependencies && change.to === false && dependencies.some(key => permissions[key] === false)) {
+      errors.push({ field: change.field, message: 'Unchecking this clears prices, accounts and tax you do not have permission to edit' });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check a new item: Code and Name are required, then the usual Xero field rules apply
+ * @param {Object} item - Item to create
+ * @param {Object} [context] - Same lookups as validateItemUpdate (accounts, taxRates, isCodeTaken)
+ * @returns {Array<{ field: string, message: string }>} Empty when the item can be created
+ */
+export function validateNewItem(item, context = {}) {
+  const errors = [];
+  if (item.Code === undefined) errors.push({ field: 'Code', message: 'Code is required' });
+  if (item.Name === undefined) errors.push({ field: 'Name', message: 'Name is required' });
+  return [...errors, ...validateItemUpdate(item, { ...context, previous: null })];
+}
+
+/**
+ * Xero's length limits for item text fields
+ */
+export const XERO_FIELD_LIMITS = {
+  Code: 30,
+  Name: 50,
+  Description: 4000
+};
+
+// Xero stores unit prices to 4 decimal places
+const PRICE_DECIMALS = 4;
+
+// Account types Xero accepts on the sales and purchase side of an item
+const SALES_ACCOUNT_TYPES = ['REVENUE', 'SALES', 'OTHERINCOME'];
+const PURCHASE_ACCOUNT_TYPES = ['DIRECTCOSTS', 'EXPENSE', 'OVERHEADS', 'INVENTORY', 'CURRENT', 'FIXED', 'NONCURRENT', 'PREPAYMENT'];
+
+function decimalPlaces(value) {
+  const [, fraction = ''] = String(value).split('.');
+  return fraction.replace(/e.*$/i, '').length;
+}
+
+/**
+ * Which items use each code, for validateItemUpdate's isCodeTaken. Codes compare case-insensitively,
+ * as Xero treats them.
+ * @returns {{ add: Function, isCodeTaken: Function }} add(code, itemId) records a use;
+ *   isCodeTaken(code, itemId) is true when an item other than itemId uses the code
+ */
+export function codeOwners() {
+  const owners = new Map(); // lower-case code -> ItemIDs using it
+  return {
+    add(code, itemId) {
+      const key = String(code).trim().toLowerCase();
+      owners.set(key, new Set([...(owners.get(key) || []), itemId]));
+    },
+    isCodeTaken: (code, itemId) => [...(owners.get(String(code).trim().toLowerCase()) || [])].some(id => id !== itemId)
+  };
+}
+
+/**
+ * Check an update against Xero's field rules before it is posted.
+ * Shared by the server (authoritative) and the client (inline errors while editing).
+ * @param {Object} update - Partial item (ItemID plus changed fields)
+ * @param {Object} context
+ * @param {Object} [context.previous] - Current Xero values; when given only changed fields are checked
+ * @param {Array<Object>} [context.accounts] - Active accounts ({ Code, Type }); account checks are skipped without them
+ * @param {Array<Object>} [context.taxRates] - Tax rates ({ TaxType, Status, CanApplyToRevenue, CanApplyToExpenses })
+ * @param {Function} [context.isCodeTaken] - (code, itemId) => true when another item already uses the code
+ * @returns {Array<{ field: string, message: string }>} Empty when the update is valid
+ */
+export function validateItemUpdate(update, { previous = null, accounts = null, taxRates = null, isCodeTaken = null } = {}) {
+  const fields = previous
+    ? diffItemUpdate(previous, update).map(c => c.field)
+    : ITEM_FIELDS.map(f => f.path).filter(path => getPath(update, path) !== undefined);
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  for (const path of fields) {
+    const value = getPath(update, path);
+    const limit = XERO_FIELD_LIMITS[path];
+
+    if (limit !== undefined) {
+      const text = String(value ?? '');
+      if ((path === 'Code' || path === 'Name') && !text.trim()) fail(path, `${path} is required`);
+      else if (text.length > limit) fail(path, `${path} must be ${limit} characters or fewer (currently ${text.length})`);
+      else if (path === 'Code' && isCodeTaken?.(text.trim(), update.ItemID)) fail(path, `Code ${text.trim()} is already used by another item`);
+      continue;
+    }
+
+    if (path.endsWith('.UnitPrice')) {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) fail(path, 'Must be a positive number');
+      else if (decimalPlaces(value) > PRICE_DECIMALS) fail(path, `Use at most ${PRICE_DECIMALS} decimal places`);
+      continue;
+    }
+
+    if (path.endsWith('.AccountCode') && value && accounts) {
+      const account = accounts.find(a => String(a.Code || '') === String(value));
+      const allowed = path.startsWith('Sales') ? SALES_ACCOUNT_TYPES : PURCHASE_ACCOUNT_TYPES;
+      if (!account) fail(path, `Account ${value} does not exist or is not active`);
+      else if (account.Type && !allowed.includes(account.Type)) fail(path, `Account ${value} (${account.Type}) cannot be used for ${path.startsWith('Sales') ? 'sales' : 'purchases'}`);
+      continue;
+    }
+
+    if (path.endsWith('.TaxType') && value && taxRates) {
+      const rate = taxRates.find(t => t.TaxType === value);
+      const sales = path.startsWith('Sales');
+      if (!rate || rate.Status !== 'ACTIVE') fail(path, `Tax type ${value} does not exist or is not active`);
+      else if ((sales ? rate.CanApplyToRevenue : rate.CanApplyToExpenses) === false) fail(path, `${rate.Name || value} cannot be used on ${sales ? 'sales' : 'purchases'}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Work out which field a Xero validation message is about ("Account code '999' is not valid", ...).
+ * When the message doesn't say sales or purchase, the side the update actually touched is used.
+ * @returns {string|null} Field path, or null when the message is about the item as a whole
+ */
+export function xeroErrorField(message, update = {}) {
+  const text = String(message || '').toLowerCase();
+  const sideFor = suffix => {
+    if (/purchase|cost/.test(text)) return `PurchaseDetails.${suffix}`;
+    if (/\bsales?\b|selling/.test(text)) return `SalesDetails.${suffix}`;
+    const touched = ['SalesDetails', 'PurchaseDetails'].filter(side => getPath(update, `${side}.${suffix}`) !== undefined);
+    return touched.length === 1 ? `${touched[0]}.${suffix}` : null;
+  };
+
+  if (/account/.test(text)) return sideFor('AccountCode');
+  if (/tax/.test(text)) return sideFor('TaxType');
+  if (/price|amount/.test(text)) return sideFor('UnitPrice');
+  if (/\bcode\b/.test(text)) return 'Code';
+  if (/\bname\b/.test(text)) return 'Name';
+  if (/description/.test(text)) return 'Description';
+  return null;
+}
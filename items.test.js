@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateItemUpdate, validateNewItem, codeOwners, checkItemPermissions, resolveFieldPermissions, adjustPrice, xeroErrorField } from './items.js';
+
+const accounts = [{ Code: '200', Type: 'REVENUE' }, { Code: '300', Type: 'DIRECTCOSTS' }];
+const taxRates = [
+  { TaxType: 'OUTPUT', Name: 'GST on Income', Status: 'ACTIVE', CanApplyToRevenue: true, CanApplyToExpenses: false },
+  { TaxType: 'INPUT', Name: 'GST on Expenses', Status: 'ACTIVE', CanApplyToRevenue: false, CanApplyToExpenses: true },
+  { TaxType: 'OLD', Name: 'Old rate', Status: 'DELETED' }
+];
+const previous = { ItemID: 'i1', Code: 'W1', Name: 'Widget', SalesDetails: { UnitPrice: 10, AccountCode: '200' } };
+const fields = errors => errors.map(e => e.field);
+
+test('a valid update passes', () => {
+  const update = { ItemID: 'i1', Name: 'Big widget', SalesDetails: { UnitPrice: 12.5, AccountCode: '200', TaxType: 'OUTPUT' } };
+  assert.deepEqual(validateItemUpdate(update, { previous, accounts, taxRates }), []);
+});
+
+test('text limits and required Code and Name', () => {
+  const errors = validateItemUpdate({ ItemID: 'i1', Code: 'x'.repeat(31), Name: '  ' }, { previous });
+  assert.deepEqual(fields(errors), ['Code', 'Name']);
+  assert.match(errors[0].message, /30 characters or fewer \(currently 31\)/);
+});
+
+test('prices must be non-negative numbers with at most 4 decimals', () => {
+  assert.deepEqual(fields(validateItemUpdate({ ItemID: 'i1', SalesDetails: { UnitPrice: -1 } }, { previous })), ['SalesDetails.UnitPrice']);
+  assert.deepEqual(fields(validateItemUpdate({ ItemID: 'i1', SalesDetails: { UnitPrice: '12' } }, { previous })), ['SalesDetails.UnitPrice']);
+  assert.match(validateItemUpdate({ ItemID: 'i1', SalesDetails: { UnitPrice: 1.23456 } }, { previous })[0].message, /4 decimal places/);
+  assert.deepEqual(validateItemUpdate({ ItemID: 'i1', SalesDetails: { UnitPrice: 1.2345 } }, { previous }), []);
+});
+
+test('accounts must exist and suit the side of the item', () => {
+  assert.match(validateItemUpdate({ ItemID: 'i1', SalesDetails: { AccountCode: '999' } }, { previous, accounts })[0].message, /does not exist/);
+  assert.match(validateItemUpdate({ ItemID: 'i1', SalesDetails: { AccountCode: '300' } }, { previous, accounts })[0].message, /cannot be used for sales/);
+  assert.deepEqual(validateItemUpdate({ ItemID: 'i1', PurchaseDetails: { AccountCode: '300' } }, { previous, accounts }), []);
+});
+
+test('tax rates must be active and allowed on that side', () => {
+  assert.match(validateItemUpdate({ ItemID: 'i1', SalesDetails: { TaxType: 'OLD' } }, { previous, taxRates })[0].message, /not active/);
+  assert.match(validateItemUpdate({ ItemID: 'i1', SalesDetails: { TaxType: 'INPUT' } }, { previous, taxRates })[0].message, /cannot be used on sales/);
+});
+
+test('account and tax checks are skipped when the lookups are not loaded', () => {
+  assert.deepEqual(validateItemUpdate({ ItemID: 'i1', SalesDetails: { AccountCode: '999', TaxType: 'NOPE' } }, { previous }), []);
+});
+
+test('a Code already used by another item is refused', () => {
+  const isCodeTaken = (code, itemId) => code === 'TAKEN' && itemId !== 'other';
+  assert.match(validateItemUpdate({ ItemID: 'i1', Code: ' TAKEN ' }, { previous, isCodeTaken })[0].message, /already used/);
+});
+
+test('only changed fields are checked against the previous values', () => {
+  const broken = { ...previous, Name: 'x'.repeat(60) };
+  assert.deepEqual(validateItemUpdate({ ItemID: 'i1', Name: broken.Name, Code: 'W2' }, { previous: broken }), []);
+});
+
+test('new items need a Code and a Name', () => {
+  assert.deepEqual(fields(validateNewItem({})), ['Code', 'Name']);
+  assert.deepEqual(validateNewItem({ Code: 'N1', Name: 'New' }), []);
+});
+
+test('field permissions are checked only for values that change', () => {
+  const permissions = resolveFieldPermissions({ salePrice: false });
+  assert.deepEqual(checkItemPermissions({ ItemID: 'i1', Code: 'W1', SalesDetails: { UnitPrice: 10 } }, previous, permissions), []);
+  const denied = checkItemPermissions({ ItemID: 'i1', SalesDetails: { UnitPrice: 11 } }, previous, permissions);
+  assert.deepEqual(fields(denied), ['SalesDetails.UnitPrice']);
+});
+
+test('unchecking Sell needs permission on the sales fields it clears', () => {
+  const errors = checkItemPermissions({ ItemID: 'i1', IsSold: false }, previous, resolveFieldPermissions({ salesTax: false }));
+  assert.deepEqual(fields(errors), ['IsSold']);
+  assert.deepEqual(checkItemPermissions({ ItemID: 'i1', IsSold: false }, previous, resolveFieldPermissions({})), []);
+});
+
+test('bulk price adjustments round and never go below zero', () => {
+  assert.equal(adjustPrice(10, { mode: 'percent', value: 10 }), 11);
+  assert.equal(adjustPrice(10, { mode: 'amount', value: -20 }), 0);
+  assert.equal(adjustPrice(12.4, { mode: 'amount', value: 0, rounding: 'ninetyNine' }), 12.99);
+  assert.equal(adjustPrice('', { mode: 'percent', value: 10 }), null);
+});
+
+test('Xero validation messages are matched to the field they are about', () => {
+  assert.equal(xeroErrorField("Account code '999' is not a valid sales account"), 'SalesDetails.AccountCode');
+  assert.equal(xeroErrorField('Tax type is invalid', { PurchaseDetails: { TaxType: 'X' } }), 'PurchaseDetails.TaxType');
+  assert.equal(xeroErrorField('Item code must be unique'), 'Code');
+  assert.equal(xeroErrorField('Something else went wrong'), null);
+});
+
+test('a code is taken only by a different item, ignoring case and spaces', () => {
+  const owners = codeOwners();
+  owners.add('W1', 'i1');
+  assert.equal(owners.isCodeTaken('w1 ', 'i2'), true);
+  assert.equal(owners.isCodeTaken('W1', 'i1'), false);
+  assert.equal(owners.isCodeTaken('W2', 'i2'), false);
+});
+
+test('two items in one batch cannot be given the same new code', () => {
+  const owners = codeOwners();
+  owners.add('W1', 'i1');
+  owners.add('NEW', 'i1');
+  owners.add('new', 'i2');
+  const errors = validateItemUpdate({ ItemID: 'i1', Code: 'NEW' }, { previous, isCodeTaken: owners.isCodeTaken });
+  assert.deepEqual(fields(errors), ['Code']);
+});
@@ -0,0 +1,132 @@
+// Outgoing email for Prodit
+// MAIL_TRANSPORT picks how mail is delivered:
+//   smtp    - through SMTP_HOST (the default when SMTP_HOST is set)
+//   file    - written as .eml files to MAIL_DIR (default data/mail), for local testing
+//   console - printed to the server log (the default otherwise; refused in production, where it would
+//             put password reset, invite and verification links in the logs, so sends fail there instead)
+import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import path from 'path';
+
+let transport;
+
+function smtpTransport() {
+  const port = Number(process.env.SMTP_PORT || 587);
+  const smtp = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return message => smtp.sendMail(message);
+}
+
+function fileTransport() {
+  const dir = process.env.MAIL_DIR || path.join('data', 'mail');
+  const writer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return async message => {
+    const { message: raw } = await writer.sendMail(message);
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.eml`);
+    await fs.writeFile(file, raw);
+    console.log(`[Prodit] Email to ${message.to} written to ${file}`);
+  };
+}
+
+function consoleTransport() {
+  return async message => {
+    console.log(`[Prodit] Email to ${message.to}: ${message.subject}\n${message.text}`);
+  };
+}
+
+const TRANSPORTS = { smtp: smtpTransport, file: fileTransport, console: consoleTransport };
+
+function getTransport() {
+  if (transport) return transport;
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use smtp, file or console)`);
+  }
+  if (name === 'console' && process.env.NODE_ENV === 'production') {
+    throw new Error('Email is not configured: set SMTP_HOST (or MAIL_TRANSPORT) in production');
+  }
+  transport = TRANSPORTS[name]();
+  return transport;
+}
+
+/**
+ * Warn at startup when outgoing email isn't usable. The rest of Prodit still works; only the
+ * emails themselves fail until it is configured.
+ */
+export function checkMailConfig() {
+  try {
+    getTransport();
+  } catch (error) {
+    console.error(`[Prodit] WARNING: ${error.message}. Verification, password reset and invite emails will fail until this is fixed.`);
+  }
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || 'Prodit <no-reply@prodit.app>';
+  await getTransport()({ from, to, subject, text, html });
+}
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Plain text plus a minimal HTML version with one call-to-action link
+function linkEmail({ to, subject, intro, linkLabel, link, footer }) {
+  return sendMail({
+    to,
+    subject,
+    text: `${intro}\n\n${linkLabel}: ${link}\n\n${footer}`,
+    html: `<p>${escapeHtml(intro)}</p><p><a href="${escapeHtml(link)}">${escapeHtml(linkLabel)}</a></p><p style="color:#666">${escapeHtml(footer)}</p>`
+  });
+}
+
+/**
+ * Email an invitation to join an organization
+ */
+export function sendInviteEmail({ to, link, organizationName, invitedBy }) {
+  return linkEmail({
+    to,
+    subject: `You're invited to ${organizationName} on Prodit`,
+    intro: `${invitedBy} has invited you to join ${organizationName} on Prodit, where the team edits its Xero products and services. Choose a password to get started.`,
+    linkLabel: 'Accept invitation',
+    link,
+    footer: "The invitation expires in 7 days. If you weren't expecting it, you can ignore this email."
+  });
+}
+
+/**
+ * Email a single-use link for choosing a new password
+ */
+export function sendPasswordResetEmail({ to, link }) {
+  return linkEmail({
+    to,
+    subject: 'Reset your Prodit password',
+    intro: 'Someone (hopefully you) asked to reset the password for your Prodit account.',
+    linkLabel: 'Choose a new password',
+    link,
+    footer: "The link works once and expires in 1 hour. If you didn't ask for this, you can ignore this email; your password hasn't changed."
+  });
+}
+
+/**
+ * Email the link that confirms a user's address
+ */
+export function sendVerificationEmail({ to, link }) {
+  return linkEmail({
+    to,
+    subject: 'Confirm your email address for Prodit',
+    intro: 'Welcome to Prodit! Please confirm your email address so you can connect Xero and keep access to your account.',
+    linkLabel: 'Confirm email address',
+    link,
+    footer: "The link expires in 24 hours. If you didn't sign up for Prodit, you can ignore this email."
+  });
+}
@@ -0,0 +1,94 @@
+// Margin and markup helpers for Prodit
+// Plain functions with no server dependencies: the server checks saves against an organization's minimum
+// margin with them, and the client imports them for the grid's margin columns and warnings.
+
+function roundCents(price) {
+  return Math.round(price * 100) / 100;
+}
+
+function priceNumber(price) {
+  if (price === null || price === undefined || price === '') return null;
+  const n = Number(price);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Gross margin % ((sale - cost) / sale). Null without both prices or with a zero sale price.
+ */
+export function grossMargin(salePrice, costPrice) {
+  const sale = priceNumber(salePrice);
+  const cost = priceNumber(costPrice);
+  if (sale === null || cost === null || sale <= 0) return null;
+  return ((sale - cost) / sale) * 100;
+}
+
+/**
+ * Markup % ((sale - cost) / cost). Null without both prices or with a zero cost price.
+ */
+export function markup(salePrice, costPrice) {
+  const sale = priceNumber(salePrice);
+  const cost = priceNumber(costPrice);
+  if (sale === null || cost === null || cost <= 0) return null;
+  return ((sale - cost) / cost) * 100;
+}
+
+/**
+ * Sale price (rounded to cents) that gives a target margin or markup % on a cost price.
+ * Returns null when there is no cost price, or for margins of 100% or more.
+ */
+export function priceForTarget(costPrice, { margin = null, markup: markupPercent = null }) {
+  const cost = priceNumber(costPrice);
+  if (cost === null) return null;
+  if (margin !== null) {
+    if (!Number.isFinite(margin) || margin >= 100) return null;
+    return roundCents(cost / (1 - margin / 100));
+  }
+  if (!Number.isFinite(markupPercent) || markupPercent <= -100) return null;
+  return roundCents(cost * (1 + markupPercent / 100));
+}
+
+/**
+ * Items whose gross margin would fall below an organization's minimum margin %.
+ * Items that are not both sold and purchased, or lack either price, are skipped.
+ * @returns {Array<{ ItemID: string, Code: string, margin: number }>}
+ */
+export function findLowMargins(items, minMargin) {
+  if (minMargin === null || minMargin === undefined) return [];
+  return items
+    .filter(item => item.IsSold !== false && item.IsPurchased !== false)
+    .map(item => ({ ItemID: item.ItemID, Code: item.Code, margin: grossMargin(item.SalesDetails?.UnitPrice, item.PurchaseDetails?.UnitPrice) }))
+    .filter(({ margin }) => margin !== null && margin < minMargin);
+}
+
+/**
+ * Items a set of updates would leave below the minimum margin. Only updates that change a price are checked,
+ * so editing something else on an item that is already below the minimum doesn't warn.
+ * @param {Array<Object>} updates - Partial items (ItemID plus changed fields)
+ * @param {Array<Object>} previous - Current Xero items the updates apply to
+ * @returns {Array<{ ItemID: string, Code: string, margin: number }>}
+ */
+export function findLowMarginUpdates(updates, previous, minMargin) {
+  if (minMargin === null || minMargin === undefined) return [];
+  const byId = new Map(previous.map(item => [item.ItemID, item]));
+  const repriced = updates
+    .filter(u => byId.has(u.ItemID) && (u.SalesDetails?.UnitPrice !== undefined || u.PurchaseDetails?.UnitPrice !== undefined))
+    .map(u => {
+      const current = byId.get(u.ItemID);
+      return {
+        ...current,
+        ...u,
+        SalesDetails: { ...current.SalesDetails, ...u.SalesDetails },
+        PurchaseDetails: { ...current.PurchaseDetails, ...u.PurchaseDetails }
+      };
+    });
+  return findLowMargins(repriced, minMargin);
+}
+
+/**
+ * The low-margin warning shown before saving, listing the first few items
+ */
+export function describeLowMargins(lowMargins, minMargin) {
+  const list = lowMargins.slice(0, 10).map(m => `${m.Code || m.ItemID}: ${m.margin.toFixed(1)}%`).join('\n');
+  const more = lowMargins.length > 10 ? `\n...and ${lowMargins.length - 10} more` : '';
+  return `${lowMargins.length} item(s) will be below the ${minMargin}% minimum margin:\n${list}${more}`;
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { grossMargin, markup, priceForTarget, findLowMargins, findLowMarginUpdates, describeLowMargins } from './margins.js';
+
+const item = (ItemID, sale, cost, extra = {}) => ({ ItemID, Code: ItemID.toUpperCase(), SalesDetails: { UnitPrice: sale }, PurchaseDetails: { UnitPrice: cost }, ...extra });
+
+test('margin and markup need both prices and a non-zero base', () => {
+  assert.equal(grossMargin(100, 60), 40);
+  assert.equal(markup(100, 60).toFixed(2), '66.67');
+  assert.equal(grossMargin('', 60), null);
+  assert.equal(grossMargin(0, 60), null);
+  assert.equal(markup(100, 0), null);
+  assert.equal(markup(100, 'abc'), null);
+});
+
+test('priceForTarget gives the sale price for a margin or markup, rounded to cents', () => {
+  assert.equal(priceForTarget(60, { margin: 40 }), 100);
+  assert.equal(priceForTarget(10, { margin: 33 }), 14.93);
+  assert.equal(priceForTarget(60, { markup: 50 }), 90);
+  assert.equal(priceForTarget(60, { markup: 0 }), 60);
+});
+
+test('priceForTarget refuses unreachable targets and missing costs', () => {
+  assert.equal(priceForTarget(60, { margin: 100 }), null);
+  assert.equal(priceForTarget(60, { margin: 120 }), null);
+  assert.equal(priceForTarget(60, { markup: -100 }), null);
+  assert.equal(priceForTarget(null, { margin: 30 }), null);
+  assert.equal(priceForTarget(60, { margin: NaN }), null);
+});
+
+test('findLowMargins skips items that are not both sold and purchased', () => {
+  const items = [item('a', 100, 90), item('b', 100, 50), item('c', 100, 95, { IsPurchased: false })];
+  assert.deepEqual(findLowMargins(items, 20), [{ ItemID: 'a', Code: 'A', margin: 10 }]);
+  assert.deepEqual(findLowMargins(items, null), []);
+});
+
+test('findLowMarginUpdates applies each update over the current item before checking', () => {
+  const previous = [item('a', 100, 60), item('b', 100, 60)];
+  const updates = [
+    { ItemID: 'a', SalesDetails: { UnitPrice: 70 } }, // 14% margin once saved
+    { ItemID: 'b', PurchaseDetails: { UnitPrice: 65 } } // still 35%
+  ];
+  const low = findLowMarginUpdates(updates, previous, 30);
+  assert.equal(low.length, 1);
+  assert.equal(low[0].ItemID, 'a');
+  assert.equal(low[0].margin.toFixed(1), '14.3');
+});
+
+test('findLowMarginUpdates only warns about updates that change a price', () => {
+  const previous = [item('a', 100, 90)];
+  assert.deepEqual(findLowMarginUpdates([{ ItemID: 'a', Name: 'Renamed' }], previous, 30), []);
+  assert.equal(findLowMarginUpdates([{ ItemID: 'a', SalesDetails: { UnitPrice: 101 } }], previous, 30).length, 1);
+});
+
+test('findLowMarginUpdates ignores unknown items and a missing minimum', () => {
+  const previous = [item('a', 100, 60)];
+  assert.deepEqual(findLowMarginUpdates([{ ItemID: 'zzz', SalesDetails: { UnitPrice: 1 } }], previous, 30), []);
+  assert.deepEqual(findLowMarginUpdates([{ ItemID: 'a', SalesDetails: { UnitPrice: 1 } }], previous, null), []);
+});
+
+test('describeLowMargins lists the first ten items', () => {
+  const low = Array.from({ length: 12 }, (_, i) => ({ ItemID: `id${i}`, Code: `C${i}`, margin: i }));
+  const text = describeLowMargins(low, 25);
+  assert.match(text, /^12 item\(s\) will be below the 25% minimum margin:/);
+  assert.match(text, /C9: 9\.0%/);
+  assert.doesNotMatch(text, /C10:/);
+  assert.match(text, /\.\.\.and 2 more$/);
+});
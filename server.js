@@ -10,8 +10,24 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 
 // Import database and auth modules
-import { initDatabase, getPool, getXeroConnection, saveXeroConnection, updateXeroTokens, deleteXeroConnection, getAllXeroConnections, getSystemXeroConnection, deleteSystemXeroConnection, getAllUsers, updateUserActiveStatus, deleteUser, createUser } from './database/db.js';
-import { registerUser, loginUser, requireAuth, requireAdmin, attachUser, hashPassword } from './auth.js';
+import { initDatabase, getPool, encryptTokens, decryptTokens, getAllUsers, updateUserActiveStatus, deleteUser, createUser, findUserById, findUserByEmail, emailExists, updateUserPassword, deleteUserSessions, updateUserLastLogin, getUserFieldPermissions, getUserRequiresApproval } from './database/db.js';
+import { registerUser, loginUser, requireAuth, requireAdmin, requireSuperAdmin, requireActiveSubscription, requireTwoFactorEnrollment, attachUser, hashPassword } from './auth.js';
+import { DEFAULT_FIELD_PERMISSIONS, ITEM_FIELDS, resolveFieldPermissions, isFieldAllowed, getPath, setPath, findField, coerceFieldValue, fieldValuesEqual, PRICE_ROUNDING, adjustPrice, diffItemUpdate, parseXeroDate, sanitizeItemUpdate, checkItemPermissions, validateNewItem, validateItemUpdate, codeOwners, xeroErrorField } from './items.js';
+import { findLowMarginUpdates } from './margins.js';
+import { toCsvRow, parseCsv } from './csv.js';
+import { generateTotpSecret, totpUri, totpQrCode, isTotpCode, verifyTotp, generateRecoveryCodes, hashRecoveryCode } from './twoFactor.js';
+import { checkMailConfig, escapeHtml, sendVerificationEmail, sendPasswordResetEmail, sendInviteEmail } from './mailer.js';
+import { createInvite, listPendingInvites, findPendingInviteByEmail, renewInvite, revokeInvite, findInviteByToken, acceptInvite } from './database/userInvites.js';
+import { createPasswordResetToken, getLastPasswordResetRequest, consumePasswordResetToken } from './database/passwordResets.js';
+import { getTwoFactor, enableTwoFactor, disableTwoFactor, useTotpStep, useRecoveryCode, replaceRecoveryCodes } from './database/twoFactor.js';
+import { BILLING_SIGNATURE_HEADER, verifyBillingSignature, subscriptionChange } from './billing.js';
+import { getOrganizationById, getOrganizationByStripeCustomer, setEmailVerificationToken, verifyEmail, getAllOrganizations, canAccessSystem, extendTrial, activateSubscription, cancelSubscription, deleteOrganization, logAuditAction, getAuditLogs, setMinimumMargin, setRequireTwoFactor, saveXeroInstance, findXeroInstanceByTenant, getXeroInstance, getAllXeroInstances, updateXeroInstanceTokens, disconnectXeroInstance } from './database/organizations.js';
+import { createScheduledChange, listScheduledChanges, getScheduledChange, cancelScheduledChange, claimDueScheduledChanges, finishScheduledChange, failStaleScheduledChanges } from './database/scheduledChanges.js';
+import { scheduleXeroCall, getXeroRateLimitState, chunk } from './xeroScheduler.js';
+import { upsertMirrorItems, pruneMirrorItems, clearMirror, searchMirrorItems, getMirrorSyncState, saveMirrorSyncState, findMirrorItemsByCodes, MIRROR_SORT_COLUMNS, MIRROR_MISSING_FILTERS } from './database/itemMirror.js';
+import { recordItemChanges, getItemHistory, getChangeLog, getHistoryEntry, markHistoryReverted } from './database/itemHistory.js';
+import { listDrafts, getDraft, createDraft, updateDraft, markDraftPublished, deleteDraft } from './database/itemDrafts.js';
+import { createChangeRequest, listChangeRequests, listUserChangeRequests, getChangeRequest, resolveChangeRequest, setChangeRequestItems, acknowledgeChangeRequests } from './database/changeRequests.js';
 
 dotenv.config();
 
@@ -21,6 +37,9 @@ const __dirname = path.dirname(__filename);
 // Initialize database
 initDatabase();
 
+// Warns loudly in production without a real mail transport (emails then fail rather than logging their links)
+checkMailConfig();
+
 const app = express();
 app.set('trust proxy', 1); // Trust Railway proxy
 
@@ -33,6 +52,65 @@ const limiter = rateLimit({
 });
 
 app.use(limiter);
+
+// ===== BILLING WEBHOOK =====
+
+// Subscription events from the billing provider. Registered before the JSON parser because the
+// signature covers the raw body.
+app.post('/api/billing/webhook', express.raw({ type: 'application/json', limit: '1mb' }), async (req, res) => {
+  const payload = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  if (!verifyBillingSignature(payload, req.get(BILLING_SIGNATURE_HEADER), process.env.BILLING_WEBHOOK_SECRET)) {
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
+
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
+
+  const change = subscriptionChange(event);
+  if (!change) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  // Needed to tell repeated and out-of-order deliveries apart
+  if (typeof event.id !== 'string' || !Number.isInteger(event.created)) {
+    return res.status(400).json({ error: 'Invalid event' });
+  }
+
+  try {
+    // The customer we already bill is trusted over the organization named in the subscription's metadata,
+    // which only places a customer we haven't seen yet
+    const organization = change.customerId && await getOrganizationByStripeCustomer(change.customerId)
+      || change.organizationId && await getOrganizationById(change.organizationId);
+    if (!organization) {
+      console.error('[Prodit] Billing event for unknown organization:', { event: event.id, change });
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    if (organization.stripe_customer_id && organization.stripe_customer_id !== change.customerId) {
+      console.error('[Prodit] Billing event customer does not match the organization:', { event: event.id, organizationId: organization.id, change });
+      return res.status(409).json({ error: 'Customer does not match the organization' });
+    }
+
+    const billingEvent = { id: event.id, created: event.created };
+    const applied = change.action === 'activate'
+      ? await activateSubscription(organization.id, change.customerId, change.subscriptionId, billingEvent)
+      : await cancelSubscription(organization.id, billingEvent);
+    if (!applied) {
+      console.log('[Prodit] Billing event ignored as repeated or out of date:', { event: event.id, type: event.type, organizationId: organization.id });
+      return res.json({ received: true, ignored: true });
+    }
+
+    console.log('[Prodit] Billing event applied:', { event: event.id, type: event.type, organizationId: organization.id, action: change.action });
+    res.json({ received: true, action: change.action, organizationId: organization.id });
+  } catch (error) {
+    console.error('[Prodit] Failed to apply billing event:', error.message);
+    res.status(500).json({ error: 'billing_event_failed', detail: error.message });
+  }
+});
+
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -57,6 +135,39 @@ app.use(session({
 
 app.use(attachUser);
 
+// The Xero organization the client is working on, sent with each request (a query parameter for plain links like CSV export)
+app.use((req, res, next) => {
+  const tenant = req.get('X-Xero-Tenant') || req.query.tenant;
+  req.xeroTenantId = typeof tenant === 'string' && tenant ? tenant : null;
+  next();
+});
+
+// Organizations can require two-factor; users who haven't enrolled only get the /api/auth endpoints, which include enrollment
+app.use(['/api', '/auth/xero'], (req, res, next) => {
+  if (req.baseUrl === '/api' && req.path.startsWith('/auth/')) return next();
+  requireTwoFactorEnrollment(req, res, next);
+});
+
+// Working on items needs a live trial or subscription; an expired organization gets 402 and the app shows the upgrade screen
+app.use([
+  '/api/items', '/api/taxrates', '/api/accounts', '/api/history', '/api/drafts',
+  '/api/scheduled-changes', '/api/change-requests', '/api/admin/change-requests'
+], requireAuth, requireActiveSubscription);
+
+// Every :id route parameter is a database id; anything else gets a 400 instead of reaching SQL as NaN
+app.param('id', (req, res, next, value) => {
+  if (!/^\d+$/.test(value)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  next();
+});
+
+// A whole number from a query parameter, or the fallback when it is missing or not a number
+function queryInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
 // Helper to get public URL
 function getPublicURL() {
   if (process.env.PUBLIC_URL) return process.env.PUBLIC_URL;
@@ -66,18 +177,39 @@ function getPublicURL() {
 
 // ===== AUTHENTICATION ENDPOINTS =====
 
+// Verification is optional: with REQUIRE_VERIFIED_EMAIL=true, connecting Xero needs a confirmed email address.
+// Off by default so accounts created before verification existed aren't locked out of Xero.
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === 'true';
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+const verificationResends = new Map(); // userId -> time the last link was sent
+
+// A failed send is logged rather than failing the request; the user can ask for another link
+async function emailVerificationLink(userId, email, token) {
+  try {
+    await sendVerificationEmail({ to: email, link: `${getPublicURL()}/verify-email?token=${encodeURIComponent(token)}` });
+    verificationResends.set(userId, Date.now());
+    return true;
+  } catch (error) {
+    console.error('[Prodit] Failed to send verification email:', error.message);
+    return false;
+  }
+}
+
 app.post('/api/auth/register', async (req, res) => {
   try {
-    const { email, password, fullName } = req.body;
-    const user = await registerUser({ email, password, fullName });
+    const { email, password, fullName, companyName } = req.body;
+    const user = await registerUser({ email, password, fullName, companyName });
 
     req.session.userId = user.id;
     req.session.userEmail = user.email;
     req.session.isAdmin = user.isAdmin;
 
+    const verificationSent = await emailVerificationLink(user.id, user.email, user.verificationToken);
+
     res.json({
       success: true,
-      user: { id: user.id, email: user.email, fullName: user.fullName, isAdmin: user.isAdmin }
+      verificationSent,
+      user: { id: user.id, email: user.email, fullName: user.fullName, isAdmin: user.isAdmin, emailVerified: false }
     });
   } catch (error) {
     console.error('[Prodit] Registration failed:', error.message);
@@ -85,18 +217,31 @@ app.post('/api/auth/register', async (req, res) => {
   }
 });
 
+// How long a password-checked sign-in waits for its two-factor code, and how many tries it gets
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
 app.post('/api/auth/login', async (req, res) => {
   try {
     const { email, password } = req.body;
     const user = await loginUser({ email, password });
 
+    // With two-factor on, the password only earns a short-lived pending sign-in; /api/auth/login/verify completes it
+    if (user.twoFactorEnabled) {
+      delete req.session.userId;
+      req.session.pendingTwoFactor = { userId: user.id, expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS, attempts: 0 };
+      return res.json({ success: true, twoFactorRequired: true });
+    }
+
+    await updateUserLastLogin(user.id);
     req.session.userId = user.id;
     req.session.userEmail = user.email;
     req.session.isAdmin = user.isAdmin;
 
     res.json({
       success: true,
-      user: { id: user.id, email: user.email, fullName: user.fullName, isAdmin: user.isAdmin }
+      user: { id: user.id, email: user.email, fullName: user.fullName, isAdmin: user.isAdmin, emailVerified: user.emailVerified },
+      twoFactorSetupRequired: user.organization.requireTwoFactor
     });
   } catch (error) {
     console.error('[Prodit] Login failed:', error.message);
@@ -104,6 +249,202 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
+// ===== TWO-FACTOR AUTHENTICATION =====
+
+// Accepts either a 6-digit authenticator code (each one usable once) or one of the user's recovery codes
+async function checkSecondFactor(userId, twoFactor, code) {
+  if (typeof code !== 'string' || !code.trim()) return null;
+  if (isTotpCode(code)) {
+    const step = verifyTotp(twoFactor.secret, code, { afterStep: twoFactor.lastStep });
+    return step !== null && await useTotpStep(userId, step) ? 'totp' : null;
+  }
+  return await useRecoveryCode(userId, hashRecoveryCode(code)) ? 'recovery' : null;
+}
+
+// Second login step: the code from the authenticator app, or a recovery code
+app.post('/api/auth/login/verify', async (req, res) => {
+  const pending = req.session.pendingTwoFactor;
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.pendingTwoFactor;
+    return res.status(401).json({ error: 'Your sign-in has expired. Please enter your email and password again.' });
+  }
+  if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+    delete req.session.pendingTwoFactor;
+    return res.status(429).json({ error: 'Too many incorrect codes. Please enter your email and password again.' });
+  }
+
+  try {
+    const user = await findUserById(pending.userId);
+    if (!user) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    const twoFactor = await getTwoFactor(user.id);
+
+    // An admin may have reset two-factor since the password was checked; the password alone is then enough
+    const method = twoFactor.enabled ? await checkSecondFactor(user.id, twoFactor, req.body.code) : 'none';
+    if (!method) {
+      pending.attempts += 1;
+      return res.status(401).json({ error: 'That code is not right. Check your authenticator app and try again.' });
+    }
+
+    delete req.session.pendingTwoFactor;
+    req.session.userId = user.id;
+    req.session.userEmail = user.email;
+    req.session.isAdmin = user.is_admin;
+    await updateUserLastLogin(user.id);
+
+    if (method === 'recovery') {
+      console.log('[Prodit] Recovery code used to sign in:', { userId: user.id, recoveryCodesLeft: twoFactor.recoveryCodesLeft - 1 });
+    }
+
+    res.json({
+      success: true,
+      user: { id: user.id, email: user.email, fullName: user.full_name, isAdmin: user.is_admin || false, emailVerified: Boolean(user.email_verified) },
+      recoveryCodesLeft: method === 'recovery' ? twoFactor.recoveryCodesLeft - 1 : undefined
+    });
+  } catch (error) {
+    console.error('[Prodit] Two-factor sign-in failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Starts enrollment: a new secret is kept in the session until the user proves their app has it
+app.post('/api/auth/2fa/setup', requireAuth, async (req, res) => {
+  if (req.twoFactorEnabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already turned on' });
+  }
+
+  try {
+    const secret = generateTotpSecret();
+    const otpauthUrl = totpUri({ secret, accountName: req.userEmail });
+    req.session.pendingTotpSecret = secret;
+    res.json({ secret, otpauthUrl, qrCode: await totpQrCode(otpauthUrl) });
+  } catch (error) {
+    console.error('[Prodit] Failed to start two-factor setup:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Finishes enrollment with a code from the app, returns the recovery codes and signs out other sessions
+app.post('/api/auth/2fa/enable', requireAuth, async (req, res) => {
+  const secret = req.session.pendingTotpSecret;
+  if (!secret) {
+    return res.status(400).json({ error: 'Two-factor setup has expired. Please start again.' });
+  }
+  const step = verifyTotp(secret, req.body.code);
+  if (step === null) {
+    return res.status(400).json({ error: 'That code is not right. Check the time on your phone is correct and try again.' });
+  }
+
+  try {
+    const recoveryCodes = generateRecoveryCodes();
+    await enableTwoFactor(req.userId, secret, recoveryCodes.map(hashRecoveryCode), step);
+    delete req.session.pendingTotpSecret;
+    await deleteUserSessions(req.userId, req.sessionID);
+    console.log('[Prodit] Two-factor enabled:', { userId: req.userId });
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('[Prodit] Failed to enable two-factor:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turning two-factor off or replacing recovery codes needs a current code, so a hijacked session can't do it
+app.post('/api/auth/2fa/disable', requireAuth, async (req, res) => {
+  if (req.organization?.require_two_factor) {
+    return res.status(403).json({ error: 'Your organization requires two-factor authentication, so it cannot be turned off' });
+  }
+
+  try {
+    const twoFactor = await getTwoFactor(req.userId);
+    if (!twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not turned on' });
+    }
+    if (!await checkSecondFactor(req.userId, twoFactor, req.body.code)) {
+      return res.status(400).json({ error: 'That code is not right. Check your authenticator app and try again.' });
+    }
+
+    await disableTwoFactor(req.userId);
+    console.log('[Prodit] Two-factor disabled:', { userId: req.userId });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Prodit] Failed to disable two-factor:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    const twoFactor = await getTwoFactor(req.userId);
+    if (!twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not turned on' });
+    }
+    if (!await checkSecondFactor(req.userId, twoFactor, req.body.code)) {
+      return res.status(400).json({ error: 'That code is not right. Check your authenticator app and try again.' });
+    }
+
+    // Shown once; only their hashes are kept
+    const recoveryCodes = generateRecoveryCodes();
+    await replaceRecoveryCodes(req.userId, recoveryCodes.map(hashRecoveryCode));
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('[Prodit] Failed to replace recovery codes:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== PASSWORD RESET =====
+
+const PASSWORD_RESET_INTERVAL_MS = 60 * 1000;
+
+// Answers the same way whether or not the email has an account (even when sending fails), so it can't be
+// used to discover users
+app.post('/api/auth/forgot-password', async (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  try {
+    const user = await findUserByEmail(email);
+    const lastRequest = user && await getLastPasswordResetRequest(user.id);
+    if (user && (!lastRequest || Date.now() - new Date(lastRequest).getTime() >= PASSWORD_RESET_INTERVAL_MS)) {
+      const token = await createPasswordResetToken(user.id);
+      await sendPasswordResetEmail({ to: user.email, link: `${getPublicURL()}/reset-password?token=${encodeURIComponent(token)}` });
+    }
+  } catch (error) {
+    console.error('[Prodit] Password reset request failed:', error.message);
+  }
+  res.json({ success: true });
+});
+
+// Sets the new password and signs the user out of every existing session
+app.post('/api/auth/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+  if (typeof token !== 'string' || !token) {
+    return res.status(400).json({ error: 'This reset link is invalid' });
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  }
+
+  try {
+    const userId = await consumePasswordResetToken(token);
+    if (!userId) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+    }
+
+    await updateUserPassword(userId, await hashPassword(password));
+    const signedOut = await deleteUserSessions(userId);
+    console.log('[Prodit] Password reset:', { userId, sessionsEnded: signedOut });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Prodit] Password reset failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/auth/logout', (req, res) => {
   req.session.destroy((err) => {
     if (err) {
@@ -113,11 +454,46 @@ app.post('/api/auth/logout', (req, res) => {
   });
 });
 
+// Link from the verification email; the app shows the outcome from the query string
+app.get('/verify-email', async (req, res) => {
+  try {
+    const verified = typeof req.query.token === 'string' && await verifyEmail(req.query.token);
+    if (verified) verificationResends.delete(verified.id);
+    res.redirect(`/?emailVerified=${verified ? 'true' : 'invalid'}`);
+  } catch (error) {
+    console.error('[Prodit] Email verification failed:', error.message);
+    res.redirect('/?emailVerified=invalid');
+  }
+});
+
+app.post('/api/auth/resend-verification', requireAuth, async (req, res) => {
+  if (req.emailVerified) {
+    return res.status(400).json({ error: 'Your email address is already verified' });
+  }
+  const lastSent = verificationResends.get(req.userId);
+  if (lastSent && Date.now() - lastSent < VERIFICATION_RESEND_INTERVAL_MS) {
+    return res.status(429).json({ error: 'A verification email was just sent. Please wait a minute before asking for another.' });
+  }
+
+  try {
+    const token = await setEmailVerificationToken(req.userId);
+    if (!await emailVerificationLink(req.userId, req.userEmail, token)) {
+      return res.status(502).json({ error: 'The verification email could not be sent. Please try again later.' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Prodit] Failed to resend verification email:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/auth/me', requireAuth, async (req, res) => {
   try {
     const pool = getPool();
     const result = await pool.query(
-      'SELECT id, email, full_name, is_admin, field_permissions FROM users WHERE id = $1',
+      `SELECT id, email, full_name, is_admin, field_permissions, requires_approval, totp_enabled,
+              jsonb_array_length(totp_recovery_codes) AS recovery_codes_left
+       FROM users WHERE id = $1`,
       [req.userId]
     );
 
@@ -131,18 +507,24 @@ app.get('/api/auth/me', requireAuth, async (req, res) => {
       email: user.email,
       fullName: user.full_name,
       isAdmin: user.is_admin || false,
-      fieldPermissions: user.field_permissions || {
-        code: true,
-        name: true,
-        description: true,
-        salePrice: true,
-        salesAccount: true,
-        salesTax: true,
-        costPrice: true,
-        purchaseAccount: true,
-        purchaseTax: true,
-        status: true
-      }
+      isSuperAdmin: req.isSuperAdmin || false,
+      emailVerified: req.emailVerified || false,
+      emailVerificationRequired: REQUIRE_VERIFIED_EMAIL,
+      twoFactor: {
+        enabled: Boolean(user.totp_enabled),
+        required: Boolean(req.organization?.require_two_factor),
+        recoveryCodesLeft: user.totp_enabled ? user.recovery_codes_left : 0
+      },
+      organizationName: req.organization?.company_name || null,
+      subscription: req.organization ? {
+        status: req.organization.subscription_status,
+        trialEndDate: req.organization.trial_end_date,
+        active: req.isSuperAdmin || canAccessSystem(req.organization)
+      } : null,
+      upgradeUrl: process.env.BILLING_UPGRADE_URL || null,
+      fieldPermissions: user.field_permissions || DEFAULT_FIELD_PERMISSIONS,
+      requiresApproval: !user.is_admin && Boolean(user.requires_approval),
+      minMarginPercent: organizationMinMargin(req.organization)
     });
   } catch (error) {
     console.error('[Prodit] Failed to fetch user:', error.message);
@@ -164,7 +546,11 @@ const scopes = [
   'accounting.transactions'
 ].join(' ');
 
-app.get('/auth/xero', requireAuth, (req, res) => {
+app.get('/auth/xero', requireAdmin, (req, res) => {
+  if (REQUIRE_VERIFIED_EMAIL && !req.emailVerified) {
+    return res.status(403).send('<h1>Verify Your Email First</h1><p>Confirm your email address with the link we sent you before connecting Xero.</p><p><a href="/admin">Return to app</a></p>');
+  }
+
   const redirectUri = `${getPublicURL()}/callback`;
   const url = new URL(XERO_AUTH);
   url.searchParams.set('response_type', 'code');
@@ -203,51 +589,84 @@ app.get('/callback', async (req, res) => {
       headers: { Authorization: `Bearer ${tokens.access_token}` }
     }).then(r => r.data);
 
-    if (!conns || conns.length === 0) {
+    const tenants = (conns || []).filter(c => c.tenantType === 'ORGANISATION' || !c.tenantType);
+    if (tenants.length === 0) {
       return res.status(400).send('<h1>No Xero Organizations Found</h1><p>Please ensure you have access to at least one Xero organization.</p>');
     }
 
-    // Use most recently connected tenant
-    const chosen = conns.sort((a, b) => new Date(b.createdDateUtc) - new Date(a.createdDateUtc))[0];
+    // Save every organization the user authorized (they share the tokens) to this Prodit organization; the user picks one
+    // to work on. A Xero tenant already connected to another Prodit organization is left with it.
+    const { encrypted, iv, tag } = encryptTokens(tokens);
+    const saved = [];
+    const taken = [];
+    for (const conn of tenants) {
+      const existing = await findXeroInstanceByTenant(conn.tenantId);
+      if (existing && existing.organization_id !== req.organizationId && existing.connection_status === 'connected') {
+        taken.push(conn);
+        continue;
+      }
+      // The mirror is keyed by tenant only, so a tenant moving from another organization starts from a fresh sync
+      if (existing && existing.organization_id !== req.organizationId) {
+        await clearMirror(conn.tenantId);
+      }
+      await saveXeroInstance({
+        organizationId: req.organizationId,
+        tenantId: conn.tenantId,
+        tenantName: conn.tenantName,
+        encryptedTokens: encrypted,
+        iv,
+        tag
+      });
+      saved.push(conn);
+    }
 
-    // Save connection to database
-    // If user is admin, mark as system connection
-    await saveXeroConnection({
-      userId: req.userId,
-      tenantId: chosen.tenantId,
-      tenantName: chosen.tenantName,
-      tokens,
-      isSystemConnection: req.isAdmin || false
-    });
+    console.log('[Prodit] Connected Xero orgs:', { organizationId: req.organizationId, tenants: saved.map(t => t.tenantName), skipped: taken.map(t => t.tenantName) });
 
-    console.log('[Prodit] Connected Xero org:', { userId: req.userId, tenant: chosen.tenantName, isSystemConnection: req.isAdmin });
+    if (saved.length === 0) {
+      const names = escapeHtml(taken.map(t => t.tenantName).join(', '));
+      return res.status(409).send(`<h1>Already Connected</h1><p>${names} is already connected to another Prodit account. Disconnect it there first.</p><p><a href="/admin">Return to app</a></p>`);
+    }
 
-    // Redirect to admin dashboard if admin, otherwise to main app
-    const redirectPath = req.isAdmin ? '/admin?connected=true' : '/?connected=true';
-    res.redirect(redirectPath);
+    // Back to the admin dashboard (only admins connect Xero). With several organizations the app asks which to use;
+    // with one, it is selected straight away.
+    const redirect = new URLSearchParams({ connected: 'true' });
+    if (saved.length > 1) redirect.set('chooseTenant', 'true');
+    else redirect.set('tenant', saved[0].tenantId);
+    res.redirect(`/admin?${redirect.toString()}`);
   } catch (error) {
     const detail = error.response?.data || error.message;
     console.error('[Prodit] OAuth callback failed:', detail);
-    res.status(500).send(`<h1>Connection Failed</h1><p>${typeof detail === 'string' ? detail : JSON.stringify(detail)}</p><p><a href="/">Return to app</a></p>`);
+    res.status(500).send(`<h1>Connection Failed</h1><p>${escapeHtml(typeof detail === 'string' ? detail : JSON.stringify(detail))}</p><p><a href="/">Return to app</a></p>`);
   }
 });
 
 // ===== XERO API HELPER =====
 
-async function ensureValidToken(userId, isAdmin, tenantId = null) {
-  // If not admin, use system-wide connection
-  let connection;
-  if (isAdmin) {
-    connection = await getXeroConnection(userId, tenantId);
-  } else {
-    connection = await getSystemXeroConnection();
-  }
+// Every user of a Prodit organization works on that organization's connected Xero tenants, and only those.
+// `tenantId` picks one of several; without it the most recently connected tenant is returned.
+async function findXeroConnection(organizationId, tenantId = null) {
+  if (!organizationId) return null;
+  const instance = await getXeroInstance(organizationId, tenantId);
+  if (!instance) return null;
+
+  return {
+    id: instance.id,
+    organizationId: instance.organization_id,
+    tenantId: instance.xero_tenant_id,
+    tenantName: instance.xero_tenant_name,
+    tokens: decryptTokens(instance.encrypted_tokens, instance.encryption_iv, instance.encryption_tag),
+    lastSynced: instance.last_accessed || instance.connected_at
+  };
+}
 
+async function ensureValidToken(organizationId, tenantId = null) {
+  const connection = await findXeroConnection(organizationId, tenantId);
+
+  if (!connection && tenantId) {
+    throw new Error('The selected Xero organization is no longer connected. Choose another organization.');
+  }
   if (!connection) {
-    const message = isAdmin
-      ? 'No Xero connection found. Please connect your Xero account.'
-      : 'System Xero connection not configured. Please contact your administrator.';
-    throw new Error(message);
+    throw new Error('Xero is not connected for your organization. Please ask your administrator to connect Xero.');
   }
 
   const tokens = connection.tokens;
@@ -256,12 +675,11 @@ async function ensureValidToken(userId, isAdmin, tenantId = null) {
   return {
     accessToken: tokens.access_token,
     refreshToken: tokens.refresh_token,
-    tenantId: connection.tenantId,
-    connectionUserId: connection.userId
+    tenantId: connection.tenantId
   };
 }
 
-async function refreshAccessToken(userId, tenantId, refreshToken) {
+async function refreshAccessToken(organizationId, refreshToken) {
   const tokenResp = await axios.post(XERO_TOKEN, qs.stringify({
     grant_type: 'refresh_token',
     refresh_token: refreshToken,
@@ -271,23 +689,32 @@ async function refreshAccessToken(userId, tenantId, refreshToken) {
 
   const newTokens = tokenResp.data;
 
-  // Update tokens in database
-  await updateXeroTokens(userId, tenantId, newTokens);
+  // One Xero authorization covers every tenant it connected and refreshing rotates the refresh token,
+  // so every instance of the organization holding the old refresh token gets the new tokens
+  const { encrypted, iv, tag } = encryptTokens(newTokens);
+  for (const instance of await getAllXeroInstances(organizationId)) {
+    if (instance.connection_status !== 'connected') continue;
+    const existing = decryptTokens(instance.encrypted_tokens, instance.encryption_iv, instance.encryption_tag);
+    if (existing.refresh_token === refreshToken) {
+      await updateXeroInstanceTokens(instance.id, encrypted, iv, tag);
+    }
+  }
 
   return newTokens.access_token;
 }
 
-async function xeroRequest(userId, isAdmin, method, urlPath, config = {}) {
-  let tokenInfo = await ensureValidToken(userId, isAdmin);
+// Calls are queued per tenant by xeroScheduler.js so Xero's rate limits are respected (429s are retried there)
+async function xeroRequest(organizationId, tenantId, method, urlPath, config = {}) {
+  let tokenInfo = await ensureValidToken(organizationId, tenantId);
 
-  const makeRequest = async (accessToken) => {
+  const makeRequest = (accessToken) => {
     const headers = {
       Authorization: `Bearer ${accessToken}`,
       'xero-tenant-id': tokenInfo.tenantId,
       Accept: 'application/json',
       ...(config.headers || {})
     };
-    return axios({ method, url: `${XERO_API}${urlPath}`, ...config, headers });
+    return scheduleXeroCall(tokenInfo.tenantId, () => axios({ method, url: `${XERO_API}${urlPath}`, ...config, headers }));
   };
 
   try {
@@ -297,8 +724,7 @@ async function xeroRequest(userId, isAdmin, method, urlPath, config = {}) {
     // If 401, try refreshing token
     if (err.response?.status === 401 && tokenInfo.refreshToken) {
       console.log('[Prodit] Access token expired, refreshing...');
-      // Use the connection owner's userId for token refresh
-      const newAccessToken = await refreshAccessToken(tokenInfo.connectionUserId, tokenInfo.tenantId, tokenInfo.refreshToken);
+      const newAccessToken = await refreshAccessToken(organizationId, tokenInfo.refreshToken);
       const retry = await makeRequest(newAccessToken);
       return retry.data;
     }
@@ -308,9 +734,15 @@ async function xeroRequest(userId, isAdmin, method, urlPath, config = {}) {
 
 // ===== CONNECTION MANAGEMENT ENDPOINTS =====
 
+// Xero organizations connected to the user's Prodit organization, which they can switch between
 app.get('/api/connections', requireAuth, async (req, res) => {
   try {
-    const connections = await getAllXeroConnections(req.userId);
+    const rows = req.organizationId ? await getAllXeroInstances(req.organizationId) : [];
+    const connections = rows.filter(row => row.connection_status === 'connected').map(row => ({
+      tenantId: row.xero_tenant_id,
+      tenantName: row.xero_tenant_name,
+      lastSynced: row.last_accessed || row.connected_at
+    }));
     res.json({ connections });
   } catch (error) {
     console.error('[Prodit] Failed to fetch connections:', error.message);
@@ -318,11 +750,11 @@ app.get('/api/connections', requireAuth, async (req, res) => {
   }
 });
 
-app.delete('/api/connections/:tenantId', requireAuth, async (req, res) => {
+app.delete('/api/connections/:tenantId', requireAdmin, async (req, res) => {
   try {
-    const { tenantId } = req.params;
-    const deleted = await deleteXeroConnection(req.userId, tenantId);
-    res.json({ success: deleted });
+    const instance = await getXeroInstance(req.organizationId, req.params.tenantId);
+    if (instance) await disconnectXeroInstance(instance.id);
+    res.json({ success: Boolean(instance) });
   } catch (error) {
     console.error('[Prodit] Failed to delete connection:', error.message);
     res.status(500).json({ error: error.message });
@@ -331,19 +763,18 @@ app.delete('/api/connections/:tenantId', requireAuth, async (req, res) => {
 
 app.get('/api/status', requireAuth, async (req, res) => {
   try {
-    // Admin checks their own connection, regular users check system connection
-    const connection = req.isAdmin
-      ? await getXeroConnection(req.userId)
-      : await getSystemXeroConnection();
+    // A selected organization that is no longer connected falls back to the default, and the client follows tenantId.
+    const connection = await findXeroConnection(req.organizationId, req.xeroTenantId)
+      || await findXeroConnection(req.organizationId);
 
     res.json({
       connected: Boolean(connection),
       tenantId: connection?.tenantId || null,
       tenantName: connection?.tenantName || null,
-      isSystemConnection: !req.isAdmin
+      rateLimit: connection ? getXeroRateLimitState(connection.tenantId) : null
     });
   } catch (error) {
-    res.json({ connected: false, tenantId: null, tenantName: null, isSystemConnection: !req.isAdmin });
+    res.json({ connected: false, tenantId: null, tenantName: null });
   }
 });
 
@@ -358,35 +789,57 @@ function buildWhere(q) {
   ].join(' OR ');
 }
 
-app.get('/api/items/search', requireAuth, async (req, res) => {
-  const q = (req.query.query || '').trim();
-  const page = Math.max(1, Number(req.query.page || 1));
-  const limit = Math.max(1, Math.min(100, Number(req.query.limit || 50)));
+const SEARCH_SORT_DIRECTIONS = ['asc', 'desc'];
+const SEARCH_STATUSES = ['ACTIVE', 'ARCHIVED'];
+
+// Read structured search filters from the query string, ignoring blank or invalid values
+function parseSearchFilters(query) {
+  const filters = {};
+  const flag = value => (value === 'true' ? true : value === 'false' ? false : undefined);
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+  const number = value => (text(value) !== undefined && Number.isFinite(Number(value)) ? Number(value) : undefined);
 
-  if (q.length < 2) {
-    return res.json({ Items: [], Note: 'Type at least 2 characters to search' });
+  if (SEARCH_STATUSES.includes(query.status)) filters.status = query.status;
+  for (const key of ['isSold', 'isPurchased', 'tracked']) {
+    if (flag(query[key]) !== undefined) filters[key] = flag(query[key]);
+  }
+  for (const key of ['salesAccount', 'purchaseAccount', 'salesTax', 'purchaseTax', 'taxType']) {
+    if (text(query[key]) !== undefined) filters[key] = text(query[key]);
+  }
+  for (const key of ['salePriceMin', 'salePriceMax', 'costPriceMin', 'costPriceMax']) {
+    if (number(query[key]) !== undefined) filters[key] = number(query[key]);
   }
+  const missing = String(query.missing || '').split(',').filter(key => MIRROR_MISSING_FILTERS[key]);
+  if (missing.length > 0) filters.missing = missing;
 
-  // Calculate which Xero page to request and offset within that page
-  // Xero returns 100 items per page by default
-  const xeroPageSize = 100;
-  const startIndex = (page - 1) * limit; // 0-indexed start position
-  const xeroPage = Math.floor(startIndex / xeroPageSize) + 1; // Which Xero page to request
-  const offsetInXeroPage = startIndex % xeroPageSize; // Offset within that Xero page
+  return filters;
+}
 
-  const params = new URLSearchParams();
-  params.set('page', String(xeroPage));
-  params.set('order', 'Name');
-  params.set('where', buildWhere(q));
+app.get('/api/items/search', requireAuth, async (req, res) => {
+  const q = (req.query.query || '').trim();
+  const page = Math.max(1, queryInt(req.query.page, 1));
+  const limit = Math.max(1, Math.min(100, queryInt(req.query.limit, 50)));
+  const sort = MIRROR_SORT_COLUMNS[req.query.sort] ? req.query.sort : 'name';
+  const direction = SEARCH_SORT_DIRECTIONS.includes(req.query.direction) ? req.query.direction : 'asc';
+  const filters = parseSearchFilters(req.query);
 
   try {
-    const data = await xeroRequest(req.userId, req.isAdmin, 'get', `/Items?${params.toString()}`);
-    const list = Array.isArray(data?.Items) ? data.Items : [];
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    await syncItemMirror(req.organizationId, tenantId);
 
-    // Slice the correct portion based on our pagination
-    const Items = list.slice(offsetInXeroPage, offsetInXeroPage + limit);
+    const { items: Items, total } = await searchMirrorItems(tenantId, { query: q, filters, page, limit, sort, direction });
 
-    res.json({ Items, page, pageSize: limit, returned: Items.length });
+    res.json({
+      Items,
+      page,
+      pageSize: limit,
+      returned: Items.length,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      sort,
+      direction,
+      filters
+    });
   } catch (error) {
     const detail = error.response?.data || error.message;
     console.error('[Prodit] Items search failed:', detail);
@@ -394,141 +847,1551 @@ app.get('/api/items/search', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/api/items/update', requireAuth, async (req, res) => {
-  try {
-    const items = Array.isArray(req.body.Items) ? req.body.Items : [];
-    const payload = { Items: items };
+// Every item a search shows, page by page, for actions on "all matching items" (export, bulk price).
+// The mirror is brought up to date with Xero first and then queried exactly as /api/items/search does.
+const MATCHING_ITEMS_PAGE_SIZE = 500;
 
-    const data = await xeroRequest(req.userId, req.isAdmin, 'post', '/Items', {
-      headers: { 'Content-Type': 'application/json' },
-      data: JSON.stringify(payload)
-    });
+async function* matchingItemPages(organizationId, tenantId, { query = '', filters = {} } = {}) {
+  await syncItemMirror(organizationId, tenantId);
+  for (let page = 1; ; page++) {
+    const { items } = await searchMirrorItems(tenantId, { query, filters, page, limit: MATCHING_ITEMS_PAGE_SIZE });
+    if (items.length > 0) yield items;
+    if (items.length < MATCHING_ITEMS_PAGE_SIZE) return;
+  }
+}
 
-    res.json(data);
+// Force a full re-sync of the local item mirror from Xero
+app.post('/api/items/sync', requireAuth, async (req, res) => {
+  try {
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    const synced = await syncItemMirror(req.organizationId, tenantId, { full: true });
+    res.json({ success: true, synced });
   } catch (error) {
     const detail = error.response?.data || error.message;
-    console.error('[Prodit] Items update failed:', detail);
-    res.status(500).json({ error: 'items_update_failed', detail });
+    console.error('[Prodit] Items sync failed:', detail);
+    res.status(500).json({ error: 'items_sync_failed', detail });
   }
 });
 
-app.get('/api/taxrates', requireAuth, async (req, res) => {
+// Items sent to (or looked up in) Xero per request; larger batches are split so one call stays small
+const XERO_ITEMS_PER_REQUEST = 50;
+
+// Fetch one Xero page of items (Xero returns up to 100 per page)
+async function fetchItemsPage(organizationId, tenantId, { page = 1, query = '', modifiedSince = null } = {}) {
+  const params = new URLSearchParams();
+  params.set('page', String(page));
+  params.set('order', 'Name');
+  if (query) params.set('where', buildWhere(query));
+
+  const headers = modifiedSince ? { 'If-Modified-Since': new Date(modifiedSince).toISOString().slice(0, 19) } : {};
   try {
-    const data = await xeroRequest(req.userId, req.isAdmin, 'get', '/TaxRates');
-    res.json({
-      TaxRates: (data?.TaxRates || []).map(t => ({
-        Name: t.Name,
-        TaxType: t.TaxType,
-        Status: t.Status
-      }))
-    });
+    const data = await xeroRequest(organizationId, tenantId, 'get', `/Items?${params.toString()}`, { headers });
+    return Array.isArray(data?.Items) ? data.Items : [];
   } catch (error) {
-    const detail = error.response?.data || error.message;
-    console.error('[Prodit] Tax rates failed:', detail);
-    res.status(500).json({ error: 'taxrates_failed', detail });
+    if (modifiedSince && error.response?.status === 304) return []; // Nothing changed since the last sync
+    throw error;
   }
-});
+}
 
-app.get('/api/accounts', requireAuth, async (req, res) => {
-  try {
-    const params = new URLSearchParams();
-    params.set('where', 'Status=="ACTIVE"');
-    params.set('order', 'Code');
+// Fetch every item by paging through Xero until a short page comes back
+async function fetchAllItems(organizationId, tenantId, { query = '', modifiedSince = null } = {}) {
+  const all = [];
+  for (let page = 1; ; page++) {
+    const list = await fetchItemsPage(organizationId, tenantId, { page, query, modifiedSince });
+    all.push(...list);
+    if (list.length < 100) break;
+  }
+  return all;
+}
 
-    const data = await xeroRequest(req.userId, req.isAdmin, 'get', `/Accounts?${params.toString()}`);
-    res.json({
-      Accounts: (data?.Accounts || []).map(a => ({
-        AccountID: a.AccountID,
-        Code: a.Code,
-        Name: a.Name,
-        Type: a.Type,
-        Status: a.Status
-      }))
-    });
-  } catch (error) {
-    const detail = error.response?.data || error.message;
-    console.error('[Prodit] Accounts failed:', detail);
-    res.status(500).json({ error: 'accounts_failed', detail });
+// ===== ITEM MIRROR SYNC =====
+// Search reads from a local copy of each tenant's items. The copy is refreshed incrementally
+// (If-Modified-Since) at most once per MIRROR_REFRESH_MS, with a full re-sync daily to drop deleted items.
+
+const MIRROR_REFRESH_MS = 60 * 1000;
+const MIRROR_FULL_SYNC_MS = 24 * 60 * 60 * 1000;
+const mirrorSyncs = new Map(); // tenantId -> in-flight sync promise
+
+function newestUpdate(items, fallback) {
+  return items.reduce((latest, item) => {
+    const updated = parseXeroDate(item.UpdatedDateUTC);
+    return updated && (!latest || updated > latest) ? updated : latest;
+  }, fallback ? new Date(fallback) : null);
+}
+
+async function runMirrorSync(organizationId, tenantId, { full = false } = {}) {
+  const state = await getMirrorSyncState(tenantId);
+  const needsFull = full || !state?.last_full_sync_at
+    || Date.now() - new Date(state.last_full_sync_at).getTime() > MIRROR_FULL_SYNC_MS;
+
+  if (!needsFull && state.last_synced_at && Date.now() - new Date(state.last_synced_at).getTime() < MIRROR_REFRESH_MS) {
+    return 0;
   }
-});
 
-// ===== ADMIN API ENDPOINTS =====
+  const items = await fetchAllItems(organizationId, tenantId, { modifiedSince: needsFull ? null : state.last_modified });
+  await upsertMirrorItems(tenantId, items);
+  if (needsFull) {
+    await pruneMirrorItems(tenantId, items.map(it => it.ItemID));
+  }
+  await saveMirrorSyncState(tenantId, { lastModified: newestUpdate(items, state?.last_modified), full: needsFull });
 
-// Get all users (admin only)
-app.get('/api/admin/users', requireAdmin, async (req, res) => {
-  try {
-    const users = await getAllUsers();
-    res.json({ users });
-  } catch (error) {
-    console.error('[Prodit] Failed to fetch users:', error.message);
-    res.status(500).json({ error: error.message });
+  return items.length;
+}
+
+// Bring the mirror up to date, sharing one sync between concurrent requests for the same tenant
+function syncItemMirror(organizationId, tenantId, options = {}) {
+  if (mirrorSyncs.has(tenantId)) return mirrorSyncs.get(tenantId);
+  const sync = runMirrorSync(organizationId, tenantId, options).finally(() => mirrorSyncs.delete(tenantId));
+  mirrorSyncs.set(tenantId, sync);
+  return sync;
+}
+
+async function fetchTaxRates(organizationId, tenantId) {
+  const data = await xeroRequest(organizationId, tenantId, 'get', '/TaxRates');
+  return (data?.TaxRates || []).map(t => ({
+    Name: t.Name,
+    TaxType: t.TaxType,
+    Status: t.Status,
+    CanApplyToRevenue: t.CanApplyToRevenue,
+    CanApplyToExpenses: t.CanApplyToExpenses
+  }));
+}
+
+async function fetchActiveAccounts(organizationId, tenantId) {
+  const params = new URLSearchParams();
+  params.set('where', 'Status=="ACTIVE"');
+  params.set('order', 'Code');
+
+  const data = await xeroRequest(organizationId, tenantId, 'get', `/Accounts?${params.toString()}`);
+  return (data?.Accounts || []).map(a => ({
+    AccountID: a.AccountID,
+    Code: a.Code,
+    Name: a.Name,
+    Type: a.Type,
+    Status: a.Status
+  }));
+}
+
+// Fetch specific items by ItemID (used to capture values before an update), XERO_ITEMS_PER_REQUEST at a time
+async function fetchItemsByIds(organizationId, tenantId, ids) {
+  const guids = ids.filter(id => /^[0-9a-f-]{36}$/i.test(id));
+  const items = [];
+
+  for (const group of chunk(guids, XERO_ITEMS_PER_REQUEST)) {
+    const params = new URLSearchParams();
+    params.set('where', group.map(id => `ItemID==Guid("${id}")`).join(' OR '));
+    const data = await xeroRequest(organizationId, tenantId, 'get', `/Items?${params.toString()}`);
+    items.push(...(Array.isArray(data?.Items) ? data.Items : []));
   }
-});
+  return items;
+}
 
-// Create a new user (admin only)
-app.post('/api/admin/users', requireAdmin, async (req, res) => {
-  try {
-    const { email, password, fullName, isAdmin, fieldPermissions } = req.body;
+// Look up an item by Code (case-insensitive, matching how Xero enforces unique codes)
+async function fetchItemByCode(organizationId, tenantId, code) {
+  const safe = String(code).replace(/"/g, '\\"').toLowerCase();
+  const params = new URLSearchParams();
+  params.set('where', `Code != null AND Code.ToLower()=="${safe}"`);
+  const data = await xeroRequest(organizationId, tenantId, 'get', `/Items?${params.toString()}`);
+  return data?.Items?.[0] || null;
+}
 
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+// Load what validateItemUpdate needs for a set of updates: accounts and tax rates (only when an update
+// sets one) and a Code lookup covering the tenant's other items and the rest of the batch.
+async function loadValidationContext(req, items, before = []) {
+  const beforeById = new Map(before.map(it => [it.ItemID, it]));
+  const touches = suffix => items.some(it => ['SalesDetails', 'PurchaseDetails'].some(side => getPath(it, `${side}.${suffix}`)));
+  const newCodes = items
+    .filter(it => typeof it.Code === 'string' && !fieldValuesEqual(beforeById.get(it.ItemID)?.Code, it.Code))
+    .map(it => it.Code.trim());
+
+  const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+  const [accounts, taxRates, mirrorOwners] = await Promise.all([
+    touches('AccountCode') ? fetchActiveAccounts(req.organizationId, req.xeroTenantId) : null,
+    touches('TaxType') ? fetchTaxRates(req.organizationId, req.xeroTenantId) : null,
+    findMirrorItemsByCodes(tenantId, newCodes)
+  ]);
+
+  // A code is taken when the mirror or another item in this batch has it
+  const owners = codeOwners();
+  mirrorOwners.forEach(row => owners.add(row.code, row.item_id));
+  items.filter(it => typeof it.Code === 'string').forEach(it => owners.add(it.Code, it.ItemID));
+
+  return { accounts, taxRates, isCodeTaken: owners.isCodeTaken };
+}
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: 'Invalid email format' });
+// Check submitted updates against the user's field permissions, Xero's field rules and the current Xero values.
+// Returns the fetched items (reusable as `previous` for postItemUpdates) and any rejected items with per-field errors.
+async function checkItemUpdates(req, items) {
+  const [permissionsRaw, before] = await Promise.all([
+    getUserFieldPermissions(req.userId),
+    fetchItemsByIds(req.organizationId, req.xeroTenantId, items.map(it => it.ItemID).filter(Boolean))
+  ]);
+  const permissions = resolveFieldPermissions(permissionsRaw);
+  const beforeById = new Map(before.map(it => [it.ItemID, it]));
+  const context = await loadValidationContext(req, items, before);
+
+  const rejected = [];
+  for (const item of items) {
+    const current = beforeById.get(item.ItemID);
+    if (!current) {
+      rejected.push({ ItemID: item.ItemID || null, Code: item.Code || null, errors: [{ field: 'ItemID', message: 'Item not found in Xero' }] });
+      continue;
     }
 
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    const denied = checkItemPermissions(item, current, permissions);
+    const errors = denied.length > 0 ? denied : validateItemUpdate(item, { ...context, previous: current });
+    if (errors.length > 0) {
+      rejected.push({ ItemID: item.ItemID, Code: current.Code || item.Code || null, forbidden: denied.length > 0, errors });
     }
+  }
 
-    // Hash password and create user
-    const passwordHash = await hashPassword(password);
+  return { before, rejected };
+}
 
-    const pool = getPool();
-    const query = `
-      INSERT INTO users (email, password_hash, full_name, is_admin, field_permissions)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, email, full_name, is_admin, field_permissions, created_at
-    `;
+// 403 when any item was refused for permissions, otherwise 400 (invalid values or unknown items)
+function rejectionStatus(rejected) {
+  return rejected.some(r => r.forbidden) ? 403 : 400;
+}
 
-    const result = await pool.query(query, [
-      email.toLowerCase(),
-      passwordHash,
-      fullName || null,
-      Boolean(isAdmin),
-      JSON.stringify(fieldPermissions || {
-        code: true,
-        name: true,
-        description: true,
-        salePrice: true,
-        salesAccount: true,
-        salesTax: true,
-        costPrice: true,
-        purchaseAccount: true,
-        purchaseTax: true,
-        status: true
-      })
-    ]);
+// Saves that take items below the organization's minimum margin are held back until the user has seen the
+// warning and sends them again with allowLowMargin. Returns the 409 body, or null when the save can go ahead.
+function lowMarginWarning(req, updates, previous) {
+  if (req.body.allowLowMargin === true) return null;
+  const minMargin = organizationMinMargin(req.organization);
+  const lowMargins = findLowMarginUpdates(updates, previous, minMargin);
+  if (lowMargins.length === 0) return null;
+  return { error: `${lowMargins.length} item(s) would be below the ${minMargin}% minimum margin`, minMarginPercent: minMargin, lowMargins };
+}
 
-    const user = result.rows[0];
+// Turn one entry of a summarizeErrors=false response into a per-item result
+function itemSaveResult(update, returned) {
+  const failed = returned?.StatusAttributeString === 'ERROR' || (returned?.ValidationErrors || []).length > 0;
+  return {
+    ItemID: update.ItemID,
+    Code: returned?.Code || update.Code || null,
+    status: failed ? 'error' : 'saved',
+    errors: (returned?.ValidationErrors || []).map(e => ({ field: xeroErrorField(e.Message, update), message: e.Message })),
+    warnings: (returned?.Warnings || []).map(w => ({ message: w.Message }))
+  };
+}
+
+// Post item updates to Xero and record per-field before/after history for everything that saved.
+// Xero's summarizeErrors=false mode reports each item separately, so one bad item no longer fails the batch.
+// `previous` can be passed when the caller already holds the current Xero values.
+// Large lists are posted XERO_ITEMS_PER_REQUEST at a time. If a later chunk fails outright, the chunks already
+// saved are kept and the rest are reported as failed, so the caller knows exactly what reached Xero.
+// Returns { Items: saved Xero items, results: [{ ItemID, Code, status: 'saved'|'error', errors, warnings }] }.
+async function postItemUpdates(req, items, { source = 'grid', previous = null, revertsId = null } = {}) {
+  const before = previous || await fetchItemsByIds(req.organizationId, req.xeroTenantId, items.map(it => it.ItemID).filter(Boolean));
+  const beforeById = new Map(before.map(it => [it.ItemID, it]));
+
+  const results = [];
+  const saved = [];
+  for (const group of chunk(items, XERO_ITEMS_PER_REQUEST)) {
+    let data;
+    try {
+      data = await xeroRequest(req.organizationId, req.xeroTenantId, 'post', '/Items?summarizeErrors=false', {
+        headers: { 'Content-Type': 'application/json' },
+        data: JSON.stringify({ Items: group })
+      });
+    } catch (error) {
+      if (results.length === 0) throw error;
+      const message = `Not saved: the Xero request failed (${error.response?.status || error.message})`;
+      console.error('[Prodit] Item update chunk failed:', error.response?.data || error.message);
+      for (const it of items.slice(results.length)) {
+        results.push({ ItemID: it.ItemID, Code: it.Code || null, status: 'error', errors: [{ field: null, message }], warnings: [] });
+      }
+      break;
+    }
+
+    // Xero returns items in the order they were sent
+    const returned = data?.Items || [];
+    group.forEach((it, i) => {
+      const result = itemSaveResult(it, returned[i]);
+      results.push(result);
+      if (result.status === 'saved' && returned[i]) saved.push(returned[i]);
+    });
+  }
+
+  const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+
+  try {
+    await upsertMirrorItems(tenantId, saved);
+  } catch (error) {
+    console.error('[Prodit] Failed to refresh item mirror:', error.message);
+  }
+
+  try {
+    const savedById = new Map(saved.map(it => [it.ItemID, it]));
+    const entries = items
+      .filter(it => savedById.has(it.ItemID))
+      .map(it => ({
+        itemId: it.ItemID,
+        itemCode: savedById.get(it.ItemID).Code,
+        itemName: savedById.get(it.ItemID).Name,
+        changes: diffItemUpdate(beforeById.get(it.ItemID) || {}, it)
+      }))
+      .filter(entry => entry.changes.length > 0);
+
+    await recordItemChanges({
+      organizationId: req.organizationId,
+      tenantId,
+      userId: req.userId,
+      userEmail: req.userEmail,
+      source,
+      entries,
+      revertsId
+    });
+  } catch (error) {
+    // The update already reached Xero, so report it as saved and only log the history failure
+    console.error('[Prodit] Failed to record item history:', error.message);
+  }
+
+  return { Items: saved, results };
+}
+
+// Non-admin users flagged for approval submit change requests instead of writing to Xero
+async function needsApproval(req) {
+  return !req.isAdmin && await getUserRequiresApproval(req.userId);
+}
+
+const APPROVAL_REQUIRED_MESSAGE = 'Your edits need admin approval. Add them to your pending changes and save to submit a change request.';
+
+// Store checked updates as a change request, keeping the per-field diff against the values they were checked against
+async function submitChangeRequest(req, updates, before, source) {
+  const beforeById = new Map(before.map(it => [it.ItemID, it]));
+  const items = updates
+    .map(update => {
+      const current = beforeById.get(update.ItemID) || {};
+      return { itemId: update.ItemID, code: current.Code || update.Code || null, name: current.Name || null, changes: diffItemUpdate(current, update), update };
+    })
+    .filter(it => it.changes.length > 0);
+  if (items.length === 0) return null;
+
+  const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+  return createChangeRequest({ organizationId: req.organizationId, tenantId, userId: req.userId, userEmail: req.userEmail, source, items });
+}
+
+function formatChangeRequest(row) {
+  return {
+    id: row.id,
+    userEmail: row.user_email,
+    source: row.source,
+    items: row.items.map(({ update, ...it }) => it),
+    status: row.status,
+    reviewComment: row.review_comment,
+    reviewedByEmail: row.reviewed_by_email,
+    reviewedAt: row.reviewed_at,
+    acknowledgedAt: row.acknowledged_at,
+    createdAt: row.created_at
+  };
+}
+
+// Export every item matching the search and filters as CSV (streams rows a page at a time)
+app.get('/api/items/export', requireAuth, async (req, res) => {
+  const q = (req.query.query || '').trim();
+  const filters = parseSearchFilters(req.query);
+
+  try {
+    const permissions = resolveFieldPermissions(await getUserFieldPermissions(req.userId));
+    const columns = ['ItemID', ...ITEM_FIELDS.filter(f => isFieldAllowed(f, permissions)).map(f => f.path)];
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+
+    // Fetch the first page before sending headers so failures still return JSON
+    const pages = matchingItemPages(req.organizationId, tenantId, { query: q, filters });
+    let next = await pages.next();
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="prodit-items-${stamp}.csv"`);
+    res.write(toCsvRow(columns));
+
+    while (!next.done) {
+      for (const item of next.value) {
+        res.write(toCsvRow(columns.map(c => getPath(item, c))));
+      }
+      next = await pages.next();
+    }
+
+    res.end();
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Items export failed:', detail);
+    // Once rows have been sent, abort the response so the download fails instead of ending as a valid-looking, partial file
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'items_export_failed', detail });
+  }
+});
+
+// Preview a CSV import: match rows to live Xero items and report per-field changes and problems.
+// Nothing is posted to Xero here; the client sends the returned updates through /api/items/update.
+app.post('/api/items/import/preview', requireAuth, async (req, res) => {
+  try {
+    const rows = parseCsv(req.body.csv);
+    if (rows.length < 2) {
+      return res.status(400).json({ error: 'The CSV must have a header row and at least one data row' });
+    }
+
+    const header = rows[0].map(h => h.trim());
+    const codeCol = header.findIndex(h => h.toLowerCase() === 'code');
+    const idCol = header.findIndex(h => h.toLowerCase() === 'itemid');
+    if (codeCol === -1 && idCol === -1) {
+      return res.status(400).json({ error: 'The CSV must include a Code or ItemID column' });
+    }
+
+    const columns = header.map((h, index) => ({ index, field: findField(h) })).filter(c => c.field);
+    const ignoredColumns = header.filter(h => !findField(h) && !['itemid', 'code'].includes(h.toLowerCase()));
+
+    const [permissionsRaw, liveItems, accounts, taxRates] = await Promise.all([
+      getUserFieldPermissions(req.userId),
+      fetchAllItems(req.organizationId, req.xeroTenantId),
+      fetchActiveAccounts(req.organizationId, req.xeroTenantId),
+      fetchTaxRates(req.organizationId, req.xeroTenantId)
+    ]);
+    const permissions = resolveFieldPermissions(permissionsRaw);
+
+    const byId = new Map(liveItems.map(it => [it.ItemID, it]));
+    const byCode = new Map(liveItems.map(it => [String(it.Code || '').toLowerCase(), it]));
+
+    const parsed = rows.slice(1).map((cells, i) => {
+      const rowNumber = i + 2; // 1-based, after the header
+      const itemId = idCol !== -1 ? (cells[idCol] || '').trim() : '';
+      const code = codeCol !== -1 ? (cells[codeCol] || '').trim() : '';
+      const live = (itemId && byId.get(itemId)) || (!itemId && code && byCode.get(code.toLowerCase())) || null;
+
+      if (!live) {
+        return {
+          row: rowNumber, itemId: itemId || null, code,
+          status: 'error', changes: [],
+          errors: [{ field: itemId ? 'ItemID' : 'Code', message: `Unknown item ${itemId || code || '(blank)'}` }],
+          update: null
+        };
+      }
+
+      const changes = [];
+      const errors = [];
+      let update = { ItemID: live.ItemID, Code: live.Code };
+
+      for (const { index, field } of columns) {
+        const raw = cells[index];
+        if (raw === undefined || String(raw).trim() === '') continue; // Blank cells leave the field alone
+
+        const { value, error } = coerceFieldValue(field.path, raw);
+        if (error) { errors.push({ field: field.path, message: error }); continue; }
+
+        const current = getPath(live, field.path);
+        if (fieldValuesEqual(current, value)) continue;
+
+        if (!isFieldAllowed(field, permissions)) {
+          errors.push({ field: field.path, message: 'You do not have permission to edit this field' });
+          continue;
+        }
+
+        changes.push({ field: field.path, from: current ?? null, to: value });
+        update = setPath(update, field.path, value);
+      }
+
+      return { row: rowNumber, live, changes, errors, update };
+    });
+
+    // A code is taken when another item has it in Xero or another row of this file gives it to a different item
+    const owners = codeOwners();
+    liveItems.filter(it => it.Code).forEach(it => owners.add(it.Code, it.ItemID));
+    parsed.filter(r => r.live && typeof r.update.Code === 'string').forEach(r => owners.add(r.update.Code, r.live.ItemID));
+
+    const results = parsed.map(result => {
+      if (!result.live) return result;
+      const { row, live, changes, errors, update } = result;
+
+      // Same Xero field rules the update endpoint applies before posting
+      errors.push(...validateItemUpdate(update, { previous: live, accounts, taxRates, isCodeTaken: owners.isCodeTaken }));
+
+      const status = errors.length > 0 ? 'error' : (changes.length > 0 ? 'changed' : 'unchanged');
+      return {
+        row,
+        itemId: live.ItemID,
+        code: live.Code,
+        name: live.Name,
+        status,
+        changes,
+        errors,
+        update: status === 'changed' ? update : null
+      };
+    });
+
+    res.json({
+      rows: results,
+      ignoredColumns,
+      summary: {
+        total: results.length,
+        changed: results.filter(r => r.status === 'changed').length,
+        unchanged: results.filter(r => r.status === 'unchanged').length,
+        errors: results.filter(r => r.status === 'error').length
+      }
+    });
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Import preview failed:', detail);
+    res.status(500).json({ error: 'import_preview_failed', detail });
+  }
+});
+
+// Bulk price adjustment across every item matching a search (not just the visible page).
+// With apply=false the computed updates are returned for review; with apply=true they are posted to Xero in batches.
+const BULK_BATCH_SIZE = 50;
+const BULK_PRICE_TARGETS = {
+  sale: { path: 'SalesDetails.UnitPrice', flag: 'IsSold' },
+  cost: { path: 'PurchaseDetails.UnitPrice', flag: 'IsPurchased' }
+};
+
+app.post('/api/items/bulk-price', requireAuth, async (req, res) => {
+  const q = (req.body.query || '').trim();
+  const filters = parseSearchFilters(req.body.filters || {});
+  const targets = Array.isArray(req.body.targets) ? req.body.targets.filter(t => BULK_PRICE_TARGETS[t]) : [];
+  const mode = req.body.mode;
+  const value = Number(req.body.value);
+  const rounding = req.body.rounding || 'cents';
+
+  if (targets.length === 0) {
+    return res.status(400).json({ error: 'Choose sale price, cost price or both' });
+  }
+  if (mode !== 'percent' && mode !== 'amount') {
+    return res.status(400).json({ error: 'mode must be "percent" or "amount"' });
+  }
+  if (!Number.isFinite(value) || value === 0) {
+    return res.status(400).json({ error: 'Enter a non-zero adjustment' });
+  }
+  if (!PRICE_ROUNDING[rounding]) {
+    return res.status(400).json({ error: 'Unknown rounding option' });
+  }
+
+  let updated = 0;
+  const failed = [];
+  try {
+    const permissions = resolveFieldPermissions(await getUserFieldPermissions(req.userId));
+    const denied = targets.map(t => findField(BULK_PRICE_TARGETS[t].path)).filter(f => !isFieldAllowed(f, permissions));
+    if (denied.length > 0) {
+      return res.status(403).json({ error: `You do not have permission to edit ${denied.map(f => f.path).join(', ')}` });
+    }
+
+    // The same items the grid shows for this search and these filters
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    const matched = [];
+    for await (const page of matchingItemPages(req.organizationId, tenantId, { query: q, filters })) {
+      matched.push(...page);
+    }
+
+    const items = [];
+    for (const item of matched) {
+      const changes = [];
+      let update = { ItemID: item.ItemID, Code: item.Code };
+
+      for (const t of targets) {
+        const { path: fieldPath, flag } = BULK_PRICE_TARGETS[t];
+        if (item[flag] === false) continue;
+        const current = getPath(item, fieldPath);
+        const next = adjustPrice(current, { mode, value, rounding });
+        if (next === null || next === Number(current)) continue;
+        changes.push({ field: fieldPath, from: Number(current), to: next });
+        update = setPath(update, fieldPath, next);
+      }
+
+      if (changes.length > 0) {
+        items.push({ ItemID: item.ItemID, Code: item.Code, Name: item.Name, changes, update });
+      }
+    }
+
+    const updates = items.map(it => it.update);
+    if (!req.body.apply) {
+      const lowMargins = findLowMarginUpdates(updates, matched, organizationMinMargin(req.organization));
+      return res.json({ matched: matched.length, items, lowMargins });
+    }
+    if (await needsApproval(req)) {
+      return res.status(403).json({ error: APPROVAL_REQUIRED_MESSAGE });
+    }
+    const warning = lowMarginWarning(req, updates, matched);
+    if (warning) {
+      return res.status(409).json(warning);
+    }
+
+    const data = await postItemUpdates(req, updates, { source: 'bulk', previous: matched });
+    updated = data.Items.length;
+    failed.push(...data.results.filter(r => r.status === 'error'));
+
+    res.json({ matched: matched.length, updated, failed, applied: true });
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Bulk price adjustment failed:', detail);
+    res.status(500).json({ error: 'bulk_price_failed', detail, updated, failed });
+  }
+});
+
+app.post('/api/items/update', requireAuth, async (req, res) => {
+  try {
+    const items = (Array.isArray(req.body.Items) ? req.body.Items : []).map(sanitizeItemUpdate);
+    const source = ['grid', 'import'].includes(req.body.source) ? req.body.source : 'grid';
+
+    // Field permissions are enforced here, not just by disabled inputs in the client
+    const { before, rejected } = await checkItemUpdates(req, items);
+    if (rejected.length > 0) {
+      return res.status(rejectionStatus(rejected)).json({ error: 'items_rejected', items: rejected });
+    }
+    const warning = lowMarginWarning(req, items, before);
+    if (warning) {
+      return res.status(409).json(warning);
+    }
+
+    if (await needsApproval(req)) {
+      const request = await submitChangeRequest(req, items, before, source);
+      return res.json({ Items: [], pendingApproval: true, request: request && formatChangeRequest(request) });
+    }
+
+    const data = await postItemUpdates(req, items, { source, previous: before });
+
+    res.json(data);
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Items update failed:', detail);
+    res.status(500).json({ error: 'items_update_failed', detail });
+  }
+});
+
+// Create a new item in Xero (PUT /Items) after checking required fields, permissions and Code uniqueness
+app.post('/api/items/create', requireAuth, async (req, res) => {
+  try {
+    const { ItemID, ...item } = sanitizeItemUpdate(req.body.Item || {});
+    if (typeof item.Code === 'string') item.Code = item.Code.trim();
+    if (typeof item.Name === 'string') item.Name = item.Name.trim();
+
+    const permissions = resolveFieldPermissions(await getUserFieldPermissions(req.userId));
+    const permissionErrors = checkItemPermissions(item, {}, permissions);
+    if (permissionErrors.length > 0) {
+      return res.status(403).json({ error: 'items_rejected', items: [{ ItemID: null, Code: item.Code || null, errors: permissionErrors }] });
+    }
+
+    if (await needsApproval(req)) {
+      return res.status(403).json({ error: 'Your account needs admin approval for changes, so new items must be created by an admin.' });
+    }
+
+    const [context, existing] = await Promise.all([
+      loadValidationContext(req, [item]),
+      item.Code ? fetchItemByCode(req.organizationId, req.xeroTenantId, item.Code) : null
+    ]);
+    const errors = validateNewItem(item, { ...context, isCodeTaken: code => Boolean(existing) || context.isCodeTaken(code) });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'items_rejected', items: [{ ItemID: null, Code: item.Code || null, errors }] });
+    }
+
+    const data = await xeroRequest(req.organizationId, req.xeroTenantId, 'put', '/Items', {
+      headers: { 'Content-Type': 'application/json' },
+      data: JSON.stringify({ Items: [item] })
+    });
+    const created = data?.Items?.[0];
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+
+    try {
+      await upsertMirrorItems(tenantId, data?.Items || []);
+    } catch (error) {
+      console.error('[Prodit] Failed to refresh item mirror:', error.message);
+    }
+
+    try {
+      if (created) {
+        await recordItemChanges({
+          organizationId: req.organizationId,
+          tenantId,
+          userId: req.userId,
+          userEmail: req.userEmail,
+          source: 'create',
+          entries: [{ itemId: created.ItemID, itemCode: created.Code, itemName: created.Name, changes: diffItemUpdate({}, item) }]
+        });
+      }
+    } catch (error) {
+      console.error('[Prodit] Failed to record item history:', error.message);
+    }
+
+    res.json({ Item: created });
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Item create failed:', detail);
+    res.status(500).json({ error: 'item_create_failed', detail });
+  }
+});
+
+// ===== ITEM HISTORY ENDPOINTS =====
+
+function formatHistoryEntry(row) {
+  return {
+    id: row.id,
+    itemId: row.item_id,
+    itemCode: row.item_code,
+    itemName: row.item_name,
+    userEmail: row.user_email,
+    source: row.source,
+    changes: row.changes,
+    revertsId: row.reverts_id,
+    revertedAt: row.reverted_at,
+    createdAt: row.created_at
+  };
+}
+
+app.get('/api/items/:itemId/history', requireAuth, async (req, res) => {
+  try {
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    const rows = await getItemHistory(req.organizationId, tenantId, req.params.itemId);
+    res.json({ history: rows.map(formatHistoryEntry) });
+  } catch (error) {
+    console.error('[Prodit] Failed to fetch item history:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/history', requireAuth, async (req, res) => {
+  const limit = Math.max(1, Math.min(200, queryInt(req.query.limit, 50)));
+  const offset = Math.max(0, queryInt(req.query.offset, 0));
+
+  try {
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    const rows = await getChangeLog(req.organizationId, tenantId, limit + 1, offset);
+    res.json({ changes: rows.slice(0, limit).map(formatHistoryEntry), hasMore: rows.length > limit });
+  } catch (error) {
+    console.error('[Prodit] Failed to fetch change log:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revert a history entry by re-posting the previous value of every field it changed
+app.post('/api/history/:id/revert', requireAuth, async (req, res) => {
+  try {
+    const entry = await getHistoryEntry(req.organizationId, parseInt(req.params.id));
+    if (!entry) {
+      return res.status(404).json({ error: 'Change not found' });
+    }
+    if (entry.reverted_at) {
+      return res.status(400).json({ error: 'This change has already been reverted' });
+    }
+    if (await needsApproval(req)) {
+      return res.status(403).json({ error: APPROVAL_REQUIRED_MESSAGE });
+    }
+    if (entry.source === 'create') {
+      return res.status(400).json({ error: 'Item creation cannot be reverted. Archive the item instead.' });
+    }
+
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    if (entry.xero_tenant_id !== tenantId) {
+      return res.status(400).json({ error: 'This change belongs to a different Xero organization' });
+    }
+
+    let update = { ItemID: entry.item_id };
+    for (const { field, from } of entry.changes) {
+      if (from === null && field.endsWith('.UnitPrice')) continue; // Xero has no "blank" price to restore
+      update = setPath(update, field, from ?? '');
+    }
+
+    const { before, rejected } = await checkItemUpdates(req, [update]);
+    if (rejected.length > 0) {
+      return res.status(rejectionStatus(rejected)).json({ error: 'items_rejected', items: rejected });
+    }
+    const warning = lowMarginWarning(req, [update], before);
+    if (warning) {
+      return res.status(409).json(warning);
+    }
+
+    const data = await postItemUpdates(req, [update], { source: 'revert', previous: before, revertsId: entry.id });
+    if (data.results[0]?.status === 'saved') {
+      await markHistoryReverted(entry.id);
+    }
+
+    res.json(data);
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Revert failed:', detail);
+    res.status(500).json({ error: 'revert_failed', detail });
+  }
+});
+
+// ===== DRAFT ENDPOINTS =====
+
+function formatDraft(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    itemCount: row.item_count ?? row.items?.length ?? 0,
+    items: row.items,
+    publishedAt: row.published_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Keep only well-formed draft entries ({ itemId, code, changes }) with at least one editable field
+function cleanDraftItems(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .filter(it => it && typeof it.itemId === 'string')
+    .map(it => {
+      const { ItemID, ...changes } = sanitizeItemUpdate({ ...(it.changes || {}), ItemID: it.itemId });
+      return { itemId: ItemID, code: it.code || null, changes };
+    })
+    .filter(it => Object.keys(it.changes).length > 0);
+}
+
+// Compare a draft with the live Xero values, batch by batch
+async function diffDraft(req, draft) {
+  const items = [];
+  const missing = [];
+  let unchanged = 0;
+
+  for (let i = 0; i < draft.items.length; i += BULK_BATCH_SIZE) {
+    const batch = draft.items.slice(i, i + BULK_BATCH_SIZE);
+    const current = await fetchItemsByIds(req.organizationId, req.xeroTenantId, batch.map(it => it.itemId));
+    const currentById = new Map(current.map(it => [it.ItemID, it]));
+
+    for (const entry of batch) {
+      const item = currentById.get(entry.itemId);
+      if (!item) {
+        missing.push({ ItemID: entry.itemId, Code: entry.code });
+        continue;
+      }
+      const changes = diffItemUpdate(item, entry.changes);
+      if (changes.length === 0) {
+        unchanged += 1;
+        continue;
+      }
+      items.push({ ItemID: item.ItemID, Code: item.Code, Name: item.Name, changes, update: { ItemID: item.ItemID, Code: item.Code, ...entry.changes } });
+    }
+  }
+
+  return { items, missing, unchanged };
+}
+
+async function findDraft(req, res) {
+  const draft = await getDraft(req.userId, parseInt(req.params.id));
+  const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+  if (!draft || draft.xero_tenant_id !== tenantId) {
+    res.status(404).json({ error: 'Draft not found' });
+    return null;
+  }
+  return draft;
+}
+
+app.get('/api/drafts', requireAuth, async (req, res) => {
+  try {
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    const rows = await listDrafts(req.userId, tenantId);
+    res.json({ drafts: rows.map(formatDraft) });
+  } catch (error) {
+    console.error('[Prodit] Failed to list drafts:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/drafts', requireAuth, async (req, res) => {
+  const name = (req.body.name || '').trim();
+  const items = cleanDraftItems(req.body.items);
+
+  if (!name) {
+    return res.status(400).json({ error: 'Draft name is required' });
+  }
+  if (items.length === 0) {
+    return res.status(400).json({ error: 'A draft needs at least one changed item' });
+  }
+
+  try {
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    const draft = await createDraft({ organizationId: req.organizationId, userId: req.userId, tenantId, name, items });
+    res.json({ success: true, draft: formatDraft(draft) });
+  } catch (error) {
+    console.error('[Prodit] Failed to create draft:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/drafts/:id', requireAuth, async (req, res) => {
+  try {
+    const draft = await findDraft(req, res);
+    if (!draft) return;
+    res.json({ draft: formatDraft(draft) });
+  } catch (error) {
+    console.error('[Prodit] Failed to fetch draft:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/drafts/:id', requireAuth, async (req, res) => {
+  const name = req.body.name !== undefined ? String(req.body.name).trim() : undefined;
+  const items = req.body.items !== undefined ? cleanDraftItems(req.body.items) : undefined;
+
+  if (name === '') {
+    return res.status(400).json({ error: 'Draft name is required' });
+  }
+  if (items && items.length === 0) {
+    return res.status(400).json({ error: 'A draft needs at least one changed item' });
+  }
+
+  try {
+    if (!await findDraft(req, res)) return;
+    const draft = await updateDraft(req.userId, parseInt(req.params.id), { name, items });
+    res.json({ success: true, draft: formatDraft(draft) });
+  } catch (error) {
+    console.error('[Prodit] Failed to update draft:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/drafts/:id', requireAuth, async (req, res) => {
+  try {
+    const deleted = await deleteDraft(req.userId, parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Prodit] Failed to delete draft:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview a draft as a diff against the current Xero values
+app.get('/api/drafts/:id/preview', requireAuth, async (req, res) => {
+  try {
+    const draft = await findDraft(req, res);
+    if (!draft) return;
+    const { items, missing, unchanged } = await diffDraft(req, draft);
+    res.json({ draft: formatDraft(draft), items: items.map(({ update, ...it }) => it), missing, unchanged });
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Draft preview failed:', detail);
+    res.status(500).json({ error: 'draft_preview_failed', detail });
+  }
+});
+
+// Publish a draft: check every item first, then post the changes to Xero in batches
+app.post('/api/drafts/:id/publish', requireAuth, async (req, res) => {
+  let updated = 0;
+  const failed = [];
+  try {
+    const draft = await findDraft(req, res);
+    if (!draft) return;
+
+    const { items, missing } = await diffDraft(req, draft);
+    const updates = items.map(it => it.update);
+
+    const { before, rejected } = await checkItemUpdates(req, updates);
+    if (rejected.length > 0) {
+      return res.status(rejectionStatus(rejected)).json({ error: 'items_rejected', items: rejected });
+    }
+    const warning = lowMarginWarning(req, updates, before);
+    if (warning) {
+      return res.status(409).json(warning);
+    }
+
+    if (await needsApproval(req)) {
+      const request = await submitChangeRequest(req, updates, before, 'draft');
+      // Nothing in the draft differs from Xero any more, so there is nothing to approve and the draft is kept
+      if (!request) {
+        return res.json({ success: true, updated: 0, missing: missing.length, noChanges: true });
+      }
+      await markDraftPublished(draft.id);
+      return res.json({ success: true, updated: 0, missing: missing.length, pendingApproval: true, request: formatChangeRequest(request) });
+    }
+
+    const data = await postItemUpdates(req, updates, { source: 'draft', previous: before });
+    updated = data.Items.length;
+    failed.push(...data.results.filter(r => r.status === 'error'));
+    // A partly failed draft stays unpublished so the failed items can be fixed and published again
+    if (failed.length === 0) {
+      await markDraftPublished(draft.id);
+    }
+
+    res.json({ success: failed.length === 0, updated, failed, missing: missing.length });
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Draft publish failed:', detail);
+    res.status(500).json({ error: 'draft_publish_failed', detail, updated, failed });
+  }
+});
+
+// ===== CHANGE REQUEST ENDPOINTS =====
+
+// The signed-in user's own change requests and their outcomes
+app.get('/api/change-requests', requireAuth, async (req, res) => {
+  try {
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    const rows = await listUserChangeRequests(req.userId, tenantId);
+    res.json({ requests: rows.map(formatChangeRequest) });
+  } catch (error) {
+    console.error('[Prodit] Failed to fetch change requests:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/change-requests/acknowledge', requireAuth, async (req, res) => {
+  const ids = (Array.isArray(req.body.ids) ? req.body.ids : []).map(Number).filter(Number.isInteger);
+  try {
+    await acknowledgeChangeRequests(req.userId, ids);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Prodit] Failed to acknowledge change requests:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/change-requests', requireAdmin, async (req, res) => {
+  const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : null;
+  try {
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    const rows = await listChangeRequests(req.organizationId, tenantId, status);
+    res.json({ requests: rows.map(formatChangeRequest) });
+  } catch (error) {
+    console.error('[Prodit] Failed to fetch change requests:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function findPendingChangeRequest(req, res) {
+  const request = await getChangeRequest(req.organizationId, parseInt(req.params.id));
+  if (!request) {
+    res.status(404).json({ error: 'Change request not found' });
+    return null;
+  }
+  if (request.status !== 'pending') {
+    res.status(400).json({ error: `This change request was already ${request.status}` });
+    return null;
+  }
+  const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+  if (request.xero_tenant_id !== tenantId) {
+    res.status(400).json({ error: 'This change request belongs to a different Xero organization' });
+    return null;
+  }
+  return request;
+}
+
+// Approve a change request: re-check its updates against the items as they are now, post them to Xero,
+// then record the decision. If any item fails, the request stays pending with just the failed items (and
+// their errors) so the admin can retry or reject them; the items that saved are kept.
+app.post('/api/admin/change-requests/:id/approve', requireAdmin, async (req, res) => {
+  let updated = 0;
+  const failed = [];
+  try {
+    const request = await findPendingChangeRequest(req, res);
+    if (!request) return;
+
+    const updates = request.items.map(it => sanitizeItemUpdate(it.update));
+    const { before, rejected } = await checkItemUpdates(req, updates);
+    if (rejected.length > 0) {
+      return res.status(rejectionStatus(rejected)).json({ error: 'Some of these changes can no longer be applied', rejected });
+    }
+    const warning = lowMarginWarning(req, updates, before);
+    if (warning) {
+      return res.status(409).json(warning);
+    }
+
+    const data = await postItemUpdates(req, updates, { source: 'approval', previous: before });
+    updated = data.Items.length;
+    failed.push(...data.results.filter(r => r.status === 'error'));
+
+    if (failed.length > 0) {
+      const errorsById = new Map(failed.map(r => [r.ItemID, r.errors]));
+      const remaining = await setChangeRequestItems(request.id, request.items
+        .filter(it => errorsById.has(it.itemId))
+        .map(it => ({ ...it, errors: errorsById.get(it.itemId) })));
+      return res.json({ success: false, updated, failed, request: remaining && formatChangeRequest(remaining) });
+    }
+
+    const resolved = await resolveChangeRequest(request.id, {
+      status: 'approved',
+      comment: (req.body.comment || '').trim(),
+      reviewerId: req.userId,
+      reviewerEmail: req.userEmail
+    });
+
+    res.json({ success: true, updated, failed, request: resolved && formatChangeRequest(resolved) });
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Change request approval failed:', detail);
+    res.status(500).json({ error: 'change_request_approve_failed', detail, updated, failed });
+  }
+});
+
+app.post('/api/admin/change-requests/:id/reject', requireAdmin, async (req, res) => {
+  const comment = (req.body.comment || '').trim();
+  if (!comment) {
+    return res.status(400).json({ error: 'Add a comment explaining why the request was rejected' });
+  }
+
+  try {
+    const request = await findPendingChangeRequest(req, res);
+    if (!request) return;
+
+    const resolved = await resolveChangeRequest(request.id, {
+      status: 'rejected',
+      comment,
+      reviewerId: req.userId,
+      reviewerEmail: req.userEmail
+    });
+
+    res.json({ success: true, request: resolved && formatChangeRequest(resolved) });
+  } catch (error) {
+    console.error('[Prodit] Change request rejection failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/taxrates', requireAuth, async (req, res) => {
+  try {
+    res.json({ TaxRates: await fetchTaxRates(req.organizationId, req.xeroTenantId) });
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Tax rates failed:', detail);
+    res.status(500).json({ error: 'taxrates_failed', detail });
+  }
+});
+
+app.get('/api/accounts', requireAuth, async (req, res) => {
+  try {
+    res.json({ Accounts: await fetchActiveAccounts(req.organizationId, req.xeroTenantId) });
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Accounts failed:', detail);
+    res.status(500).json({ error: 'accounts_failed', detail });
+  }
+});
+
+// ===== SCHEDULED CHANGES =====
+// Pending edits can be scheduled to go live later (e.g. a 1 July price rise). A worker in this process polls
+// for due jobs and applies each one as the user who scheduled it, with the same checks as publishing a draft.
+
+const SCHEDULE_POLL_MS = 60 * 1000;
+const SCHEDULE_MAX_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+function formatScheduledChange(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    userEmail: row.user_email,
+    itemCount: row.items?.length ?? 0,
+    items: row.items,
+    runAt: row.run_at,
+    status: row.status,
+    result: row.result,
+    error: row.error,
+    cancelledByEmail: row.cancelled_by_email,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    createdAt: row.created_at
+  };
+}
+
+// Admins see every job for the tenant; other users see their own
+app.get('/api/scheduled-changes', requireAuth, async (req, res) => {
+  try {
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    const rows = await listScheduledChanges(req.organizationId, tenantId, req.isAdmin ? null : req.userId);
+    res.json({ jobs: rows.map(formatScheduledChange) });
+  } catch (error) {
+    console.error('[Prodit] Failed to list scheduled changes:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedule item changes ({ itemId, code, changes } entries, as drafts use) for a future date and time
+app.post('/api/scheduled-changes', requireAuth, async (req, res) => {
+  const name = (req.body.name || '').trim();
+  const items = cleanDraftItems(req.body.items);
+  const runAt = new Date(req.body.runAt);
+
+  if (!name) {
+    return res.status(400).json({ error: 'Give the scheduled changes a name' });
+  }
+  if (items.length === 0) {
+    return res.status(400).json({ error: 'Schedule at least one changed item' });
+  }
+  if (Number.isNaN(runAt.getTime()) || runAt.getTime() <= Date.now()) {
+    return res.status(400).json({ error: 'Choose a date and time in the future' });
+  }
+  if (runAt.getTime() - Date.now() > SCHEDULE_MAX_AHEAD_MS) {
+    return res.status(400).json({ error: 'Changes can be scheduled up to a year ahead' });
+  }
+
+  try {
+    if (await needsApproval(req)) {
+      return res.status(403).json({ error: 'Your account needs admin approval for changes, so it cannot schedule them.' });
+    }
+
+    // Check permissions and Xero field rules now, while the user can still fix problems (they are checked again at run time)
+    const updates = items.map(it => ({ ItemID: it.itemId, ...it.changes }));
+    const { before, rejected } = await checkItemUpdates(req, updates);
+    if (rejected.length > 0) {
+      return res.status(rejectionStatus(rejected)).json({ error: 'items_rejected', items: rejected });
+    }
+    const warning = lowMarginWarning(req, updates, before);
+    if (warning) {
+      return res.status(409).json(warning);
+    }
+
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    const job = await createScheduledChange({
+      organizationId: req.organizationId,
+      tenantId,
+      userId: req.userId,
+      userEmail: req.userEmail,
+      name,
+      items,
+      runAt,
+      allowLowMargin: req.body.allowLowMargin === true
+    });
+    res.json({ success: true, job: formatScheduledChange(job) });
+  } catch (error) {
+    const detail = error.response?.data || error.message;
+    console.error('[Prodit] Failed to schedule changes:', detail);
+    res.status(500).json({ error: 'schedule_failed', detail });
+  }
+});
+
+// Cancel a job that hasn't started (its owner or an admin)
+app.post('/api/scheduled-changes/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const job = await getScheduledChange(parseInt(req.params.id), req.organizationId);
+    const { tenantId } = await ensureValidToken(req.organizationId, req.xeroTenantId);
+    if (!job || job.organization_id !== req.organizationId || job.xero_tenant_id !== tenantId || (!req.isAdmin && job.user_id !== req.userId)) {
+      return res.status(404).json({ error: 'Scheduled change not found' });
+    }
+
+    const cancelled = await cancelScheduledChange(job.id, req.userEmail);
+    if (!cancelled) {
+      return res.status(409).json({ error: 'These changes have already started or finished, so they can no longer be cancelled' });
+    }
+    res.json({ success: true, job: formatScheduledChange(cancelled) });
+  } catch (error) {
+    console.error('[Prodit] Failed to cancel scheduled change:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply one due job as the user who scheduled it. Like publishing a draft, nothing is posted
+// if any item fails the permission or field checks.
+// Returns the outcome to store: { status, result, error }.
+async function runScheduledChange(job) {
+  const user = await findUserById(job.user_id);
+  if (!user) {
+    return { status: 'failed', error: 'The user who scheduled these changes no longer has access' };
+  }
+
+  const organization = await getOrganizationById(job.organization_id);
+  if (!canAccessSystem(organization)) {
+    return { status: 'failed', error: "The organization's trial or subscription had lapsed when these changes were due" };
+  }
+
+  const req = {
+    userId: user.id,
+    userEmail: job.user_email,
+    isAdmin: Boolean(user.is_admin),
+    organizationId: job.organization_id,
+    organization,
+    xeroTenantId: job.xero_tenant_id,
+    body: { allowLowMargin: job.allow_low_margin } // Accepted when the changes were scheduled
+  };
+  if (await needsApproval(req)) {
+    return { status: 'failed', error: 'The user who scheduled these changes now needs admin approval for edits' };
+  }
+
+  if (!await findXeroConnection(req.organizationId, job.xero_tenant_id)) {
+    return { status: 'failed', error: 'The Xero organization these changes were scheduled for is no longer connected' };
+  }
+
+  const { items, missing, unchanged } = await diffDraft(req, job);
+  const updates = items.map(it => it.update);
+  if (updates.length === 0) {
+    return { status: 'completed', result: { updated: 0, failed: [], missing: missing.length, unchanged } };
+  }
+
+  const { before, rejected } = await checkItemUpdates(req, updates);
+  if (rejected.length > 0) {
+    return {
+      status: 'failed',
+      result: { updated: 0, failed: rejected, missing: missing.length, unchanged },
+      error: `${rejected.length} item(s) no longer pass the checks for this change, so nothing was posted`
+    };
+  }
+  // The prices or the minimum may have changed since the job was scheduled
+  const warning = lowMarginWarning(req, updates, before);
+  if (warning) {
+    return {
+      status: 'failed',
+      result: { updated: 0, failed: [], lowMargins: warning.lowMargins, missing: missing.length, unchanged },
+      error: `${warning.error}, so nothing was posted`
+    };
+  }
+
+  const data = await postItemUpdates(req, updates, { source: 'schedule', previous: before });
+  const failed = data.results.filter(r => r.status === 'error');
+  return {
+    status: failed.length > 0 ? 'failed' : 'completed',
+    result: { updated: data.Items.length, failed, missing: missing.length, unchanged },
+    error: failed.length > 0 ? `${failed.length} item(s) were not saved by Xero` : null
+  };
+}
+
+let scheduleWorkerBusy = false;
+
+async function processScheduledChanges() {
+  if (scheduleWorkerBusy) return;
+  scheduleWorkerBusy = true;
+  try {
+    await failStaleScheduledChanges();
+    for (let jobs = await claimDueScheduledChanges(); jobs.length > 0; jobs = await claimDueScheduledChanges()) {
+      for (const job of jobs) {
+        try {
+          const outcome = await runScheduledChange(job);
+          await finishScheduledChange(job.id, outcome);
+          console.log(`[Prodit] Scheduled change ${job.id} ${outcome.status}: ${outcome.result?.updated ?? 0} item(s) updated`);
+        } catch (error) {
+          const detail = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+          console.error(`[Prodit] Scheduled change ${job.id} failed:`, detail);
+          await finishScheduledChange(job.id, { status: 'failed', error: detail });
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[Prodit] Scheduled change worker failed:', error.message);
+  } finally {
+    scheduleWorkerBusy = false;
+  }
+}
+
+// ===== ADMIN API ENDPOINTS =====
+
+function organizationMinMargin(organization) {
+  const value = organization?.min_margin_percent;
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function organizationSettings(organization) {
+  return {
+    minMarginPercent: organizationMinMargin(organization),
+    requireTwoFactor: Boolean(organization?.require_two_factor)
+  };
+}
+
+// Organization-wide settings: the minimum margin that saves warn about and whether two-factor is required.
+// A PUT changes only the settings it includes.
+app.get('/api/admin/settings', requireAdmin, (req, res) => {
+  res.json(organizationSettings(req.organization));
+});
+
+app.put('/api/admin/settings', requireAdmin, async (req, res) => {
+  if (!req.organizationId) {
+    return res.status(400).json({ error: 'Your account is not part of an organization' });
+  }
+
+  const raw = req.body.minMarginPercent;
+  const minMargin = raw === null || raw === undefined || raw === '' ? null : Number(raw);
+  if (minMargin !== null && (!Number.isFinite(minMargin) || minMargin < 0 || minMargin >= 100)) {
+    return res.status(400).json({ error: 'Minimum margin must be a percentage from 0 up to (not including) 100' });
+  }
+
+  const { requireTwoFactor } = req.body;
+  if (requireTwoFactor !== undefined && typeof requireTwoFactor !== 'boolean') {
+    return res.status(400).json({ error: 'requireTwoFactor must be a boolean' });
+  }
+  if (requireTwoFactor && !req.twoFactorEnabled) {
+    return res.status(400).json({ error: 'Turn on two-factor authentication for your own account before requiring it for everyone' });
+  }
+
+  try {
+    let organization = req.organization;
+    if ('minMarginPercent' in req.body) {
+      organization = await setMinimumMargin(req.organizationId, minMargin);
+    }
+    if (requireTwoFactor !== undefined) {
+      organization = await setRequireTwoFactor(req.organizationId, requireTwoFactor);
+    }
+    res.json(organizationSettings(organization));
+  } catch (error) {
+    console.error('[Prodit] Failed to update settings:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// User management is scoped to the admin's organization
+app.use(['/api/admin/users', '/api/admin/invites'], requireAdmin, (req, res, next) => {
+  if (!req.organizationId) {
+    return res.status(400).json({ error: 'Your account is not part of an organization' });
+  }
+  next();
+});
+
+// Get all users in the admin's organization (admin only)
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const users = await getAllUsers(req.organizationId);
+    res.json({ users });
+  } catch (error) {
+    console.error('[Prodit] Failed to fetch users:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== USER INVITES =====
+
+// Admins invite people by email rather than choosing their passwords; the invitee sets one from the emailed link
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function formatInvite(invite) {
+  return {
+    id: invite.id,
+    email: invite.email,
+    fullName: invite.full_name,
+    isAdmin: invite.is_admin,
+    requiresApproval: invite.requires_approval,
+    invitedByEmail: invite.invited_by_email,
+    lastSentAt: invite.last_sent_at,
+    expiresAt: invite.expires_at,
+    expired: new Date(invite.expires_at) <= new Date(),
+    createdAt: invite.created_at
+  };
+}
+
+function emailInvite(req, invite, token) {
+  return sendInviteEmail({
+    to: invite.email,
+    link: `${getPublicURL()}/accept-invite?token=${encodeURIComponent(token)}`,
+    organizationName: req.organization?.company_name || 'your team',
+    invitedBy: req.userEmail
+  });
+}
+
+app.get('/api/admin/invites', requireAdmin, async (req, res) => {
+  try {
+    const invites = await listPendingInvites(req.organizationId);
+    res.json({ invites: invites.map(formatInvite) });
+  } catch (error) {
+    console.error('[Prodit] Failed to fetch invites:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/invites', requireAdmin, async (req, res) => {
+  const { fullName, isAdmin, fieldPermissions, requiresApproval } = req.body;
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'Invalid email format' });
+  }
+
+  try {
+    if (await emailExists(email)) {
+      return res.status(400).json({ error: 'A user with this email already exists' });
+    }
+    if (await findPendingInviteByEmail(req.organizationId, email)) {
+      return res.status(400).json({ error: 'This email already has a pending invite. Resend it from the list instead.' });
+    }
+
+    const { invite, token } = await createInvite({
+      organizationId: req.organizationId,
+      email,
+      fullName: fullName || null,
+      isAdmin: Boolean(isAdmin),
+      requiresApproval: Boolean(requiresApproval),
+      fieldPermissions: fieldPermissions || DEFAULT_FIELD_PERMISSIONS,
+      invitedById: req.userId,
+      invitedByEmail: req.userEmail
+    });
+
+    try {
+      await emailInvite(req, invite, token);
+    } catch (error) {
+      console.error('[Prodit] Failed to send invite email:', error.message);
+      return res.status(502).json({ error: 'The invite was saved but its email could not be sent. Try resending it.', invite: formatInvite(invite) });
+    }
+    res.json({ success: true, invite: formatInvite(invite) });
+  } catch (error) {
+    console.error('[Prodit] Failed to create invite:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resending issues a new link (the old one stops working) and restarts the 7-day expiry
+app.post('/api/admin/invites/:id/resend', requireAdmin, async (req, res) => {
+  try {
+    const renewed = await renewInvite(req.organizationId, parseInt(req.params.id));
+    if (!renewed) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    try {
+      await emailInvite(req, renewed.invite, renewed.token);
+    } catch (error) {
+      console.error('[Prodit] Failed to send invite email:', error.message);
+      return res.status(502).json({ error: 'The invite was saved but its email could not be sent. Try resending it.', invite: formatInvite(renewed.invite) });
+    }
+    res.json({ success: true, invite: formatInvite(renewed.invite) });
+  } catch (error) {
+    console.error('[Prodit] Failed to resend invite:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/invites/:id', requireAdmin, async (req, res) => {
+  try {
+    const revoked = await revokeInvite(req.organizationId, parseInt(req.params.id));
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Prodit] Failed to revoke invite:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What the accept page shows before the invitee picks a password
+app.get('/api/invites/:token', async (req, res) => {
+  try {
+    const invite = await findInviteByToken(req.params.token);
+    if (!invite) {
+      return res.status(404).json({ error: 'This invitation is invalid, has expired or was revoked. Ask your administrator for a new one.' });
+    }
+    res.json({ email: invite.email, fullName: invite.full_name, organizationName: invite.company_name });
+  } catch (error) {
+    console.error('[Prodit] Failed to fetch invite:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Creates the user in the inviting organization and signs them in
+app.post('/api/invites/:token/accept', async (req, res) => {
+  const { password, fullName } = req.body;
+  if (typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  }
+
+  try {
+    const invite = await findInviteByToken(req.params.token);
+    if (invite && await emailExists(invite.email)) {
+      return res.status(400).json({ error: 'An account with this email already exists. Sign in instead.' });
+    }
+
+    const user = await acceptInvite(req.params.token, { passwordHash: await hashPassword(password), fullName: fullName || null });
+    if (!user) {
+      return res.status(404).json({ error: 'This invitation is invalid, has expired or was revoked. Ask your administrator for a new one.' });
+    }
+
+    req.session.userId = user.id;
+    req.session.userEmail = user.email;
+    req.session.isAdmin = user.is_admin;
 
     res.json({
       success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        fullName: user.full_name,
-        isAdmin: user.is_admin,
-        fieldPermissions: user.field_permissions,
-        createdAt: user.created_at
-      }
+      user: { id: user.id, email: user.email, fullName: user.full_name, isAdmin: user.is_admin, emailVerified: true }
     });
   } catch (error) {
-    console.error('[Prodit] Failed to create user:', error.message);
-    res.status(400).json({ error: error.message });
+    // Another account took this email between the check above and the insert
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'An account with this email already exists. Sign in instead.' });
+    }
+    console.error('[Prodit] Failed to accept invite:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -536,7 +2399,7 @@ app.post('/api/admin/users', requireAdmin, async (req, res) => {
 app.put('/api/admin/users/:id', requireAdmin, async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
-    const { email, fullName, password, isAdmin, fieldPermissions } = req.body;
+    const { email, fullName, password, isAdmin, fieldPermissions, requiresApproval } = req.body;
 
     // Validate input
     if (email) {
@@ -583,18 +2446,23 @@ app.put('/api/admin/users/:id', requireAdmin, async (req, res) => {
       values.push(JSON.stringify(fieldPermissions));
     }
 
+    if (typeof requiresApproval === 'boolean') {
+      updates.push(`requires_approval = $${paramCount++}`);
+      values.push(requiresApproval);
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
     updates.push(`updated_at = CURRENT_TIMESTAMP`);
-    values.push(userId);
+    values.push(userId, req.organizationId);
 
     const query = `
       UPDATE users
       SET ${updates.join(', ')}
-      WHERE id = $${paramCount}
-      RETURNING id, email, full_name, is_admin, field_permissions, created_at
+      WHERE id = $${paramCount} AND organization_id = $${paramCount + 1}
+      RETURNING id, email, full_name, is_admin, field_permissions, requires_approval, created_at
     `;
 
     const result = await pool.query(query, values);
@@ -603,6 +2471,11 @@ app.put('/api/admin/users/:id', requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // A new password ends the user's other sessions (an admin changing their own keeps this one)
+    if (password) {
+      await deleteUserSessions(userId, userId === req.userId ? req.sessionID : null);
+    }
+
     res.json({
       success: true,
       user: {
@@ -611,6 +2484,7 @@ app.put('/api/admin/users/:id', requireAdmin, async (req, res) => {
         fullName: result.rows[0].full_name,
         isAdmin: result.rows[0].is_admin,
         fieldPermissions: result.rows[0].field_permissions,
+        requiresApproval: result.rows[0].requires_approval,
         createdAt: result.rows[0].created_at
       }
     });
@@ -635,7 +2509,10 @@ app.put('/api/admin/users/:id/status', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'You cannot deactivate your own account' });
     }
 
-    await updateUserActiveStatus(userId, isActive);
+    const updated = await updateUserActiveStatus(userId, isActive, req.organizationId);
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
+    }
     res.json({ success: true });
   } catch (error) {
     console.error('[Prodit] Failed to update user status:', error.message);
@@ -643,6 +2520,25 @@ app.put('/api/admin/users/:id/status', requireAdmin, async (req, res) => {
   }
 });
 
+// Reset a user's two-factor (e.g. a lost phone with no recovery codes left): they sign in with their
+// password alone next time, and are asked to enroll again if the organization requires it
+app.post('/api/admin/users/:id/reset-2fa', requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const reset = await disableTwoFactor(userId, req.organizationId);
+    if (!reset) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const signedOut = await deleteUserSessions(userId, userId === req.userId ? req.sessionID : null);
+    console.log('[Prodit] Two-factor reset by admin:', { userId, adminId: req.userId, sessionsEnded: signedOut });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Prodit] Failed to reset two-factor:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete user (admin only)
 app.delete('/api/admin/users/:id', requireAdmin, async (req, res) => {
   try {
@@ -653,7 +2549,7 @@ app.delete('/api/admin/users/:id', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'You cannot delete your own account' });
     }
 
-    const deleted = await deleteUser(userId);
+    const deleted = await deleteUser(userId, req.organizationId);
     res.json({ success: deleted });
   } catch (error) {
     console.error('[Prodit] Failed to delete user:', error.message);
@@ -661,10 +2557,10 @@ app.delete('/api/admin/users/:id', requireAdmin, async (req, res) => {
   }
 });
 
-// Get system Xero connection status (admin only)
+// Get the organization's Xero connection status (admin only)
 app.get('/api/admin/xero/status', requireAdmin, async (req, res) => {
   try {
-    const connection = await getSystemXeroConnection();
+    const connection = await findXeroConnection(req.organizationId, req.xeroTenantId) || await findXeroConnection(req.organizationId);
     res.json({
       connected: Boolean(connection),
       tenantId: connection?.tenantId || null,
@@ -676,17 +2572,150 @@ app.get('/api/admin/xero/status', requireAdmin, async (req, res) => {
   }
 });
 
-// Disconnect system Xero connection (admin only)
+// Disconnect the selected (or default) Xero tenant from the organization (admin only)
 app.delete('/api/admin/xero/disconnect', requireAdmin, async (req, res) => {
   try {
-    const deleted = await deleteSystemXeroConnection();
-    res.json({ success: deleted });
+    const instance = await getXeroInstance(req.organizationId, req.xeroTenantId) || await getXeroInstance(req.organizationId);
+    if (instance) await disconnectXeroInstance(instance.id);
+    res.json({ success: Boolean(instance) });
   } catch (error) {
     console.error('[Prodit] Failed to disconnect Xero:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
+// ===== SUPER ADMIN ENDPOINTS =====
+
+// Operator console across every organization. Each change is recorded in the audit log.
+
+const MAX_TRIAL_EXTENSION_DAYS = 365;
+
+function formatOrganization(org) {
+  return {
+    id: org.id,
+    companyName: org.company_name,
+    ownerEmail: org.owner_email,
+    accountType: org.account_type,
+    subscriptionStatus: org.subscription_status,
+    trialEndDate: org.trial_end_date,
+    subscriptionEndDate: org.subscription_end_date,
+    userCount: Number(org.user_count || 0),
+    xeroInstanceCount: Number(org.xero_instance_count || 0),
+    createdAt: org.created_at
+  };
+}
+
+function auditAction(req, action, organization, details = {}) {
+  return logAuditAction({
+    superAdminId: req.userId,
+    superAdminEmail: req.userEmail,
+    action,
+    targetType: 'organization',
+    targetId: organization.id,
+    details: { companyName: organization.company_name, ...details },
+    ipAddress: req.ip
+  });
+}
+
+// Loads the target organization into req.targetOrganization (404 when missing or already deleted)
+async function loadTargetOrganization(req, res, next) {
+  try {
+    req.targetOrganization = await getOrganizationById(parseInt(req.params.id));
+    if (!req.targetOrganization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    next();
+  } catch (error) {
+    console.error('[Prodit] Failed to load organization:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get('/api/superadmin/organizations', requireSuperAdmin, async (req, res) => {
+  try {
+    const organizations = await getAllOrganizations();
+    res.json({ organizations: organizations.map(formatOrganization) });
+  } catch (error) {
+    console.error('[Prodit] Failed to fetch organizations:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/superadmin/organizations/:id/extend-trial', requireSuperAdmin, loadTargetOrganization, async (req, res) => {
+  const days = Number(req.body.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_TRIAL_EXTENSION_DAYS) {
+    return res.status(400).json({ error: `Days must be a whole number from 1 to ${MAX_TRIAL_EXTENSION_DAYS}` });
+  }
+
+  try {
+    const before = req.targetOrganization;
+    const organization = await extendTrial(before.id, days);
+    await auditAction(req, 'extend_trial', before, {
+      days,
+      previousTrialEndDate: before.trial_end_date,
+      trialEndDate: organization.trial_end_date
+    });
+    res.json({ organization: formatOrganization(organization) });
+  } catch (error) {
+    console.error('[Prodit] Failed to extend trial:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/superadmin/organizations/:id/cancel', requireSuperAdmin, loadTargetOrganization, async (req, res) => {
+  try {
+    const before = req.targetOrganization;
+    if (before.subscription_status === 'cancelled') {
+      return res.status(400).json({ error: 'This organization is already cancelled' });
+    }
+    const organization = await cancelSubscription(before.id);
+    await auditAction(req, 'cancel_subscription', before, { previousStatus: before.subscription_status });
+    res.json({ organization: formatOrganization(organization) });
+  } catch (error) {
+    console.error('[Prodit] Failed to cancel subscription:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Soft delete: the organization's users can no longer sign in, but its data is kept
+app.delete('/api/superadmin/organizations/:id', requireSuperAdmin, loadTargetOrganization, async (req, res) => {
+  if (req.targetOrganization.id === req.organizationId) {
+    return res.status(400).json({ error: 'You cannot delete your own organization' });
+  }
+
+  try {
+    await deleteOrganization(req.targetOrganization.id);
+    await auditAction(req, 'delete_org', req.targetOrganization, { ownerEmail: req.targetOrganization.owner_email });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Prodit] Failed to delete organization:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/superadmin/audit-logs', requireSuperAdmin, async (req, res) => {
+  const limit = Math.max(1, Math.min(200, queryInt(req.query.limit, 50)));
+  const offset = Math.max(0, queryInt(req.query.offset, 0));
+
+  try {
+    const rows = await getAuditLogs(limit + 1, offset);
+    const logs = rows.slice(0, limit).map(row => ({
+      id: row.id,
+      superAdminEmail: row.super_admin_email,
+      action: row.action,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      details: row.details,
+      ipAddress: row.ip_address,
+      createdAt: row.created_at
+    }));
+    res.json({ logs, hasMore: rows.length > limit });
+  } catch (error) {
+    console.error('[Prodit] Failed to fetch audit logs:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ===== HEALTH CHECK =====
 
 app.get('/api/health', (req, res) => {
@@ -712,8 +2741,16 @@ if (fs.existsSync(distPath)) {
 
 // ===== START SERVER =====
 
-const port = Number(process.env.PORT || 3000);
-app.listen(port, () => {
-  console.log(`[Prodit] Server running on ${getPublicURL()}`);
-  console.log(`[Prodit] Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Only when run as the server; the tests import the app and listen on a port of their own
+if (process.argv[1] === __filename) {
+  const port = Number(process.env.PORT || 3000);
+  app.listen(port, () => {
+    console.log(`[Prodit] Server running on ${getPublicURL()}`);
+    console.log(`[Prodit] Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    processScheduledChanges();
+    setInterval(processScheduledChanges, SCHEDULE_POLL_MS);
+  });
+}
+
+export { app };
@@ -0,0 +1,259 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase } from './database/testDatabase.js';
+import { hashPassword } from './auth.js';
+import { BILLING_SIGNATURE_HEADER, signBillingPayload } from './billing.js';
+
+const PASSWORD = 'correct horse battery';
+const BILLING_SECRET = 'whsec_test';
+let db;
+let server;
+let baseUrl;
+let passwordHash;
+
+before(async () => {
+  process.env.BILLING_WEBHOOK_SECRET = BILLING_SECRET;
+  // The test database has to be in place before server.js creates its session store
+  db = await createTestDatabase();
+  const { app } = await import('./server.js');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  passwordHash = await hashPassword(PASSWORD);
+});
+beforeEach(() => db.reset());
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+});
+
+async function createOrganization(companyName, status = 'trial', trialEndOffsetDays = 14) {
+  const { rows: [org] } = await db.query(
+    `INSERT INTO organizations (company_name, owner_email, subscription_status, trial_end_date)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4)) RETURNING *`,
+    [companyName, `owner@${companyName.toLowerCase()}.test`, status, trialEndOffsetDays]
+  );
+  return org;
+}
+
+async function createUser(email, organizationId, { superAdmin = false } = {}) {
+  await db.query(
+    `INSERT INTO users (email, password_hash, organization_id, is_admin, is_super_admin, email_verified)
+     VALUES ($1, $2, $3, true, $4, true)`,
+    [email, passwordHash, organizationId, superAdmin]
+  );
+}
+
+// Signs in and returns a fetch bound to that session
+async function signIn(email) {
+  const res = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password: PASSWORD })
+  });
+  assert.equal(res.status, 200);
+  const cookie = res.headers.get('set-cookie').split(';')[0];
+
+  return async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { Cookie: cookie, ...(body && { 'Content-Type': 'application/json' }) },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+}
+
+async function signInSuperAdmin() {
+  const home = await createOrganization('Prodit', 'active');
+  await createUser('admin@prodit.test', home.id, { superAdmin: true });
+  return { home, request: await signIn('admin@prodit.test') };
+}
+
+test('super admin routes are refused to other users', async () => {
+  const org = await createOrganization('Acme');
+  await createUser('admin@acme.test', org.id);
+  const request = await signIn('admin@acme.test');
+
+  assert.equal((await request('GET', '/api/superadmin/organizations')).status, 403);
+  assert.equal((await request('POST', `/api/superadmin/organizations/${org.id}/extend-trial`, { days: 30 })).status, 403);
+  assert.equal((await request('GET', '/api/superadmin/audit-logs')).status, 403);
+});
+
+test('super admin routes need a sign-in', async () => {
+  const res = await fetch(`${baseUrl}/api/superadmin/organizations`);
+  assert.equal(res.status, 401);
+});
+
+test('super admins see every organization', async () => {
+  const { request } = await signInSuperAdmin();
+  await createOrganization('Acme');
+
+  const { status, body } = await request('GET', '/api/superadmin/organizations');
+  assert.equal(status, 200);
+  assert.deepEqual(body.organizations.map(org => org.companyName).sort(), ['Acme', 'Prodit']);
+});
+
+test('extending a trial rejects day counts outside the allowed range', async () => {
+  const { request } = await signInSuperAdmin();
+  const org = await createOrganization('Acme');
+
+  for (const days of [0, -5, 2.5, 'ten', 10000]) {
+    const { status } = await request('POST', `/api/superadmin/organizations/${org.id}/extend-trial`, { days });
+    assert.equal(status, 400, `days: ${days}`);
+  }
+  assert.equal((await db.query('SELECT * FROM audit_logs')).rows.length, 0);
+});
+
+test('extending a cancelled organization puts it back on trial and is audited', async () => {
+  const { request } = await signInSuperAdmin();
+  const org = await createOrganization('Acme', 'cancelled', -3);
+
+  const { status, body } = await request('POST', `/api/superadmin/organizations/${org.id}/extend-trial`, { days: 30 });
+  assert.equal(status, 200);
+  const { rows: [stored] } = await db.query('SELECT * FROM organizations WHERE id = $1', [org.id]);
+  assert.equal(stored.subscription_status, 'trial');
+  assert.ok(new Date(stored.trial_end_date) > new Date(org.trial_end_date));
+  assert.equal(body.organization.id, org.id);
+
+  const logs = await request('GET', '/api/superadmin/audit-logs');
+  assert.equal(logs.status, 200);
+  assert.equal(logs.body.logs.length, 1);
+  const [log] = logs.body.logs;
+  assert.equal(log.action, 'extend_trial');
+  assert.equal(log.superAdminEmail, 'admin@prodit.test');
+  assert.equal(log.targetType, 'organization');
+  assert.equal(log.targetId, org.id);
+  assert.equal(log.details.days, 30);
+  assert.equal(log.details.companyName, 'Acme');
+});
+
+test('extending an unknown organization is a 404', async () => {
+  const { request } = await signInSuperAdmin();
+  assert.equal((await request('POST', '/api/superadmin/organizations/9999/extend-trial', { days: 7 })).status, 404);
+});
+
+test('cancelling an organization is audited and cannot be repeated', async () => {
+  const { request } = await signInSuperAdmin();
+  const org = await createOrganization('Acme', 'active');
+
+  const first = await request('POST', `/api/superadmin/organizations/${org.id}/cancel`);
+  assert.equal(first.status, 200);
+  const { rows: [stored] } = await db.query('SELECT subscription_status FROM organizations WHERE id = $1', [org.id]);
+  assert.equal(stored.subscription_status, 'cancelled');
+
+  const second = await request('POST', `/api/superadmin/organizations/${org.id}/cancel`);
+  assert.equal(second.status, 400);
+
+  const { rows } = await db.query('SELECT action, details FROM audit_logs');
+  assert.deepEqual(rows.map(row => row.action), ['cancel_subscription']);
+  assert.equal(rows[0].details.previousStatus, 'active');
+});
+
+test('super admins cannot delete their own organization', async () => {
+  const { home, request } = await signInSuperAdmin();
+  const org = await createOrganization('Acme');
+
+  assert.equal((await request('DELETE', `/api/superadmin/organizations/${home.id}`)).status, 400);
+
+  assert.equal((await request('DELETE', `/api/superadmin/organizations/${org.id}`)).status, 200);
+  const { rows: [stored] } = await db.query('SELECT deleted_at FROM organizations WHERE id = $1', [org.id]);
+  assert.ok(stored.deleted_at);
+  const { rows } = await db.query('SELECT action FROM audit_logs');
+  assert.deepEqual(rows.map(row => row.action), ['delete_org']);
+});
+
+let eventCount = 0;
+
+function subscriptionEvent({ status, customer, organizationId, created, type = 'customer.subscription.updated', id = `evt_${++eventCount}` }) {
+  return {
+    id,
+    type,
+    created,
+    data: { object: { id: 'sub_1', customer, status, metadata: organizationId ? { organization_id: String(organizationId) } : {} } }
+  };
+}
+
+async function postBillingEvent(event, secret = BILLING_SECRET) {
+  const payload = JSON.stringify(event);
+  const res = await fetch(`${baseUrl}/api/billing/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', [BILLING_SIGNATURE_HEADER]: signBillingPayload(payload, secret) },
+    body: payload
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function storedOrganization(id) {
+  const { rows: [org] } = await db.query('SELECT * FROM organizations WHERE id = $1', [id]);
+  return org;
+}
+
+test('billing events with a bad signature are refused', async () => {
+  const org = await createOrganization('Acme');
+  const { status } = await postBillingEvent(subscriptionEvent({ status: 'active', customer: 'cus_1', organizationId: org.id, created: 100 }), 'wrong');
+  assert.equal(status, 400);
+  assert.equal((await storedOrganization(org.id)).subscription_status, 'trial');
+});
+
+test('an active subscription activates the organization and records its customer', async () => {
+  const org = await createOrganization('Acme');
+  const { status, body } = await postBillingEvent(subscriptionEvent({ status: 'active', customer: 'cus_1', organizationId: org.id, created: 100 }));
+  assert.equal(status, 200);
+  assert.equal(body.action, 'activate');
+  const stored = await storedOrganization(org.id);
+  assert.equal(stored.subscription_status, 'active');
+  assert.equal(stored.stripe_customer_id, 'cus_1');
+});
+
+test('a repeated billing event is ignored', async () => {
+  const org = await createOrganization('Acme');
+  const cancel = subscriptionEvent({ status: 'canceled', customer: 'cus_1', organizationId: org.id, created: 100 });
+  assert.equal((await postBillingEvent(cancel)).body.action, 'cancel');
+
+  // Reopened by a super admin since; the same delivery arriving again must not cancel it a second time
+  await db.query(`UPDATE organizations SET subscription_status = 'trial' WHERE id = $1`, [org.id]);
+  const { status, body } = await postBillingEvent(cancel);
+  assert.equal(status, 200);
+  assert.equal(body.ignored, true);
+  assert.equal((await storedOrganization(org.id)).subscription_status, 'trial');
+});
+
+test('a billing event older than the last one applied is ignored', async () => {
+  const org = await createOrganization('Acme');
+  await postBillingEvent(subscriptionEvent({ status: 'active', customer: 'cus_1', organizationId: org.id, created: 200 }));
+
+  const late = await postBillingEvent(subscriptionEvent({ status: 'canceled', customer: 'cus_1', organizationId: org.id, created: 100 }));
+  assert.equal(late.body.ignored, true);
+  assert.equal((await storedOrganization(org.id)).subscription_status, 'active');
+
+  const newer = await postBillingEvent(subscriptionEvent({ status: 'canceled', customer: 'cus_1', organizationId: org.id, created: 300 }));
+  assert.equal(newer.body.action, 'cancel');
+  assert.equal((await storedOrganization(org.id)).subscription_status, 'cancelled');
+});
+
+test("billing events go to the customer's organization, not the one in the metadata", async () => {
+  const billed = await createOrganization('Acme', 'cancelled');
+  const other = await createOrganization('Other');
+  await db.query(`UPDATE organizations SET stripe_customer_id = 'cus_1' WHERE id = $1`, [billed.id]);
+
+  const { body } = await postBillingEvent(subscriptionEvent({ status: 'active', customer: 'cus_1', organizationId: other.id, created: 100 }));
+  assert.equal(body.organizationId, billed.id);
+  assert.equal((await storedOrganization(billed.id)).subscription_status, 'active');
+  assert.equal((await storedOrganization(other.id)).subscription_status, 'trial');
+});
+
+test("a new customer cannot take over an organization that is billed under another one", async () => {
+  const org = await createOrganization('Acme', 'active');
+  await db.query(`UPDATE organizations SET stripe_customer_id = 'cus_1' WHERE id = $1`, [org.id]);
+
+  const { status } = await postBillingEvent(subscriptionEvent({ status: 'canceled', customer: 'cus_2', organizationId: org.id, created: 100 }));
+  assert.equal(status, 409);
+  assert.equal((await storedOrganization(org.id)).subscription_status, 'active');
+});
+
+test('billing events without an id or creation time are refused', async () => {
+  const org = await createOrganization('Acme');
+  const event = subscriptionEvent({ status: 'active', customer: 'cus_1', organizationId: org.id, created: undefined });
+  assert.equal((await postBillingEvent(event)).status, 400);
+});
@@ -0,0 +1,124 @@
+// TOTP two-factor authentication helpers for Prodit
+// Codes follow RFC 6238 (HMAC-SHA1, 6 digits, 30-second steps), which is what Google Authenticator,
+// 1Password, Authy and Microsoft Authenticator expect from an otpauth:// QR code.
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next code too, to allow for clock drift between server and phone
+const TOTP_WINDOW = 1;
+
+// Recovery codes avoid characters that are easy to misread (0/o, 1/l/i)
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+export const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(ch);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * A new random TOTP secret, base32 encoded (160 bits, as RFC 4226 recommends)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The otpauth:// URI authenticator apps read from the enrollment QR code
+ */
+export function totpUri({ secret, accountName, issuer = 'Prodit' }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(TOTP_DIGITS), period: String(TOTP_STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Render an otpauth:// URI as a PNG data URL for an <img>
+ */
+export function totpQrCode(uri) {
+  return QRCode.toDataURL(uri, { margin: 1, width: 220 });
+}
+
+/**
+ * Whether a code the user typed looks like a TOTP code rather than a recovery code
+ */
+export function isTotpCode(code) {
+  return /^\d{6}$/.test(String(code || '').replace(/\s/g, ''));
+}
+
+/**
+ * Check a TOTP code against a secret.
+ * @param {number|null} afterStep - the last step already used; codes from it or earlier are rejected so a code can't be replayed
+ * @returns {number|null} the time step the code matched, or null when it doesn't match
+ */
+export function verifyTotp(secret, code, { afterStep = null, now = Date.now() } = {}) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!isTotpCode(given)) return null;
+
+  const key = base32Decode(secret);
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (afterStep !== null && step <= afterStep) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+  }
+  return null;
+}
+
+/**
+ * A fresh set of single-use recovery codes, formatted like "abcde-fghjk"
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  });
+}
+
+/**
+ * The stored form of a recovery code; case, spaces and dashes don't matter when it is typed back in
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTotpSecret, totpUri, isTotpCode, verifyTotp, generateRecoveryCodes, hashRecoveryCode, RECOVERY_CODE_COUNT } from './twoFactor.js';
+
+// RFC 6238 appendix B test secret ("12345678901234567890"), base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const at = seconds => ({ now: seconds * 1000 });
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.equal(verifyTotp(RFC_SECRET, '287082', at(59)), 1);
+  assert.equal(verifyTotp(RFC_SECRET, '081804', at(1111111109)), 37037036);
+  assert.equal(verifyTotp(RFC_SECRET, '005924', at(1234567890)), 41152263);
+});
+
+test('the previous and next code are accepted for clock drift, older ones are not', () => {
+  const step = 41152263;
+  assert.equal(verifyTotp(RFC_SECRET, '005924', at((step + 1) * 30)), step);
+  assert.equal(verifyTotp(RFC_SECRET, '005924', at((step - 1) * 30)), step);
+  assert.equal(verifyTotp(RFC_SECRET, '005924', at((step + 2) * 30)), null);
+});
+
+test('a code from an already used step is rejected, so it cannot be replayed', () => {
+  const step = verifyTotp(RFC_SECRET, '005924', at(1234567890));
+  assert.equal(verifyTotp(RFC_SECRET, '005924', { ...at(1234567890), afterStep: step }), null);
+  assert.equal(verifyTotp(RFC_SECRET, '005924', { ...at(1234567890), afterStep: step - 1 }), step);
+});
+
+test('wrong, short and non-numeric codes are rejected; spaces are ignored', () => {
+  assert.equal(verifyTotp(RFC_SECRET, '005925', at(1234567890)), null);
+  assert.equal(verifyTotp(RFC_SECRET, '05047', at(1234567890)), null);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef', at(1234567890)), null);
+  assert.equal(verifyTotp(RFC_SECRET, '005 924', at(1234567890)), 41152263);
+  assert.equal(isTotpCode('123 456'), true);
+  assert.equal(isTotpCode('abcde-fghjk'), false);
+});
+
+test('generated secrets are 160-bit base32 and build an otpauth URI', () => {
+  const secret = generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  const uri = new URL(totpUri({ secret, accountName: 'sam@example.com' }));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Prodit:sam@example.com');
+  assert.equal(uri.searchParams.get('secret'), secret);
+  assert.equal(uri.searchParams.get('issuer'), 'Prodit');
+});
+
+test('recovery codes are unique and hash the same however they are typed', () => {
+  const codes = generateRecoveryCodes();
+  assert.equal(codes.length, RECOVERY_CODE_COUNT);
+  assert.equal(new Set(codes).size, codes.length);
+  codes.forEach(code => assert.match(code, /^[a-z2-9]{5}-[a-z2-9]{5}$/));
+  assert.equal(hashRecoveryCode('abcde-fghjk'), hashRecoveryCode(' ABCDE FGHJK '));
+  assert.notEqual(hashRecoveryCode('abcde-fghjk'), hashRecoveryCode('abcde-fghjm'));
+});
@@ -0,0 +1,171 @@
+// Per-tenant scheduling for Xero API calls
+//
+// Xero limits each connected organization to 5 calls in flight, 60 calls a minute and 5000 a day.
+// Every call for a tenant goes through one queue that respects those limits, follows the
+// X-MinLimit-Remaining / X-DayLimit-Remaining headers Xero sends back, and retries 429 responses
+// after the Retry-After delay (or an exponential backoff when Xero doesn't send one).
+// Once the daily allowance is used up, calls for that tenant wait for it to reset, or fail straight away when
+// that is further off than a request can reasonably be held open.
+
+const MAX_CONCURRENT = 5;
+const MINUTE_LIMIT = 60;
+const MINUTE_MS = 60 * 1000;
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_RETRY_WAIT_MS = 2 * MINUTE_MS; // Longer waits (the daily limit) fail instead of holding the request open
+// Xero's daily limit is a rolling 24 hours. Without a Retry-After telling us when calls free up, try again after
+// this long; if the allowance is still used up, Xero's 429 then says how long to wait.
+const DAY_LIMIT_RECHECK_MS = 60 * MINUTE_MS;
+
+const tenants = new Map(); // tenantId -> { queue, active, started, minuteRemaining, dayRemaining, pausedUntil, dayPausedUntil, timer }
+
+function tenantState(tenantId) {
+  if (!tenants.has(tenantId)) {
+    tenants.set(tenantId, {
+      queue: [],
+      active: 0,
+      started: [], // Start times of calls in the last minute
+      minuteRemaining: null,
+      dayRemaining: null,
+      pausedUntil: 0,
+      dayPausedUntil: 0, // Until then the daily allowance is used up
+      timer: null
+    });
+  }
+  return tenants.get(tenantId);
+}
+
+function headerNumber(headers, name) {
+  const value = headers?.[name];
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+// Remember the limits Xero reported, pausing the queue when the minute or daily allowance is used up
+function recordLimits(state, headers) {
+  const minute = headerNumber(headers, 'x-minlimit-remaining');
+  const day = headerNumber(headers, 'x-daylimit-remaining');
+  if (minute !== null) state.minuteRemaining = minute;
+  if (day !== null) state.dayRemaining = day;
+
+  if (minute === 0) {
+    const oldest = state.started[0] ?? Date.now();
+    state.pausedUntil = Math.max(state.pausedUntil, oldest + MINUTE_MS);
+  }
+  if (day === 0 || headers?.['x-rate-limit-problem'] === 'day') {
+    const retryAfter = headerNumber(headers, 'retry-after');
+    const wait = retryAfter !== null && !Number.isNaN(retryAfter) ? retryAfter * 1000 : DAY_LIMIT_RECHECK_MS;
+    state.dayPausedUntil = Math.max(state.dayPausedUntil, Date.now() + wait);
+  }
+}
+
+function dailyLimitError(state) {
+  const until = new Date(state.dayPausedUntil);
+  return new Error(`Xero's daily API limit for this organization has been reached. Try again after ${until.toISOString()}.`);
+}
+
+function retryDelay(headers, attempt) {
+  const retryAfter = headerNumber(headers, 'retry-after');
+  if (retryAfter !== null && !Number.isNaN(retryAfter)) return retryAfter * 1000;
+  return BASE_BACKOFF_MS * 2 ** attempt;
+}
+
+// How long before the next call may start (0 = now)
+function waitTime(state, now) {
+  state.started = state.started.filter(t => now - t < MINUTE_MS);
+  const pausedUntil = Math.max(state.pausedUntil, state.dayPausedUntil);
+  if (pausedUntil > now) return pausedUntil - now;
+  if (state.started.length >= MINUTE_LIMIT) return state.started[0] + MINUTE_MS - now;
+  return 0;
+}
+
+function pump(tenantId) {
+  const state = tenantState(tenantId);
+
+  // Waiting hours for the daily allowance would hold requests open, so everything queued fails now
+  if (state.dayPausedUntil - Date.now() > MAX_RETRY_WAIT_MS) {
+    const error = dailyLimitError(state);
+    for (const job of state.queue.splice(0)) job.reject(error);
+    return;
+  }
+
+  while (state.queue.length > 0 && state.active < MAX_CONCURRENT) {
+    const now = Date.now();
+    const wait = waitTime(state, now);
+    if (wait > 0) {
+      if (!state.timer) {
+        state.timer = setTimeout(() => { state.timer = null; pump(tenantId); }, wait);
+      }
+      return;
+    }
+
+    const job = state.queue.shift();
+    state.active += 1;
+    state.started.push(now);
+    runJob(tenantId, state, job);
+  }
+}
+
+async function runJob(tenantId, state, job) {
+  try {
+    const resp = await job.call();
+    recordLimits(state, resp.headers);
+    job.resolve(resp);
+  } catch (err) {
+    const headers = err.response?.headers;
+    if (headers) recordLimits(state, headers);
+
+    if (err.response?.status === 429 && job.attempt < MAX_RETRIES) {
+      const delay = retryDelay(headers, job.attempt);
+      if (delay <= MAX_RETRY_WAIT_MS) {
+        console.warn(`[Prodit] Xero rate limit hit for tenant ${tenantId} (${headers?.['x-rate-limit-problem'] || 'unknown limit'}), retrying in ${Math.ceil(delay / 1000)}s`);
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+        job.attempt += 1;
+        state.queue.unshift(job); // Keep its place at the front of the queue
+        return;
+      }
+    }
+    job.reject(err);
+  } finally {
+    state.active -= 1;
+    pump(tenantId);
+  }
+}
+
+/**
+ * Run a Xero API call for a tenant once its rate limits allow.
+ * `call` performs the HTTP request and resolves to the axios response; it may run more than once on 429.
+ * @returns {Promise<Object>} The axios response
+ */
+export function scheduleXeroCall(tenantId, call) {
+  return new Promise((resolve, reject) => {
+    tenantState(tenantId).queue.push({ call, resolve, reject, attempt: 0 });
+    pump(tenantId);
+  });
+}
+
+/**
+ * Current queue and limit figures for a tenant (for status displays and logging)
+ */
+export function getXeroRateLimitState(tenantId) {
+  const state = tenants.get(tenantId);
+  if (!state) return { queued: 0, active: 0, minuteRemaining: null, dayRemaining: null, pausedUntil: null };
+  const pausedUntil = Math.max(state.pausedUntil, state.dayPausedUntil);
+  return {
+    queued: state.queue.length,
+    active: state.active,
+    minuteRemaining: state.minuteRemaining,
+    dayRemaining: state.dayRemaining,
+    pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null
+  };
+}
+
+/**
+ * Split a list into chunks of at most `size` entries
+ */
+export function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+}
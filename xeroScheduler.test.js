@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduleXeroCall, getXeroRateLimitState, chunk } from './xeroScheduler.js';
+
+// Each test uses its own tenant id, since the queues are module state
+const ok = (headers = {}) => async () => ({ status: 200, headers });
+const tooMany = headers => Object.assign(new Error('Request failed with status code 429'), { response: { status: 429, headers } });
+
+test('a 429 is retried after Retry-After and then succeeds', async () => {
+  let calls = 0;
+  const resp = await scheduleXeroCall('retry', async () => {
+    calls += 1;
+    if (calls === 1) throw tooMany({ 'retry-after': '0', 'x-rate-limit-problem': 'minute' });
+    return { status: 200, headers: {} };
+  });
+  assert.equal(resp.status, 200);
+  assert.equal(calls, 2);
+});
+
+test('retries stop after four attempts and the 429 is passed on', async () => {
+  let calls = 0;
+  await assert.rejects(
+    scheduleXeroCall('give-up', async () => { calls += 1; throw tooMany({ 'retry-after': '0' }); }),
+    /429/
+  );
+  assert.equal(calls, 5);
+});
+
+test('a Retry-After longer than two minutes fails at once instead of holding the request open', async () => {
+  let calls = 0;
+  await assert.rejects(
+    scheduleXeroCall('long-wait', async () => { calls += 1; throw tooMany({ 'retry-after': '600' }); }),
+    /429/
+  );
+  assert.equal(calls, 1);
+});
+
+test('other errors are not retried', async () => {
+  let calls = 0;
+  const error = Object.assign(new Error('Bad request'), { response: { status: 400, headers: {} } });
+  await assert.rejects(scheduleXeroCall('bad-request', async () => { calls += 1; throw error; }), /Bad request/);
+  assert.equal(calls, 1);
+});
+
+test('remaining limits reported by Xero are recorded', async () => {
+  await scheduleXeroCall('limits', ok({ 'x-minlimit-remaining': '42', 'x-daylimit-remaining': '4000' }));
+  const state = getXeroRateLimitState('limits');
+  assert.equal(state.minuteRemaining, 42);
+  assert.equal(state.dayRemaining, 4000);
+  assert.equal(state.pausedUntil, null);
+});
+
+test('once the daily allowance is used up, later calls fail without reaching Xero', async () => {
+  await scheduleXeroCall('day-used', ok({ 'x-daylimit-remaining': '0' }));
+  let called = false;
+  await assert.rejects(scheduleXeroCall('day-used', async () => { called = true; return { headers: {} }; }), /daily API limit/);
+  assert.equal(called, false);
+  assert.ok(new Date(getXeroRateLimitState('day-used').pausedUntil) > new Date());
+});
+
+test("a daily-limit 429 pauses the tenant for Xero's Retry-After", async () => {
+  const before = Date.now();
+  await assert.rejects(scheduleXeroCall('day-429', async () => { throw tooMany({ 'x-rate-limit-problem': 'day', 'retry-after': '7200' }); }), /429/);
+  const pausedUntil = new Date(getXeroRateLimitState('day-429').pausedUntil).getTime();
+  assert.ok(pausedUntil >= before + 7200 * 1000);
+  await assert.rejects(scheduleXeroCall('day-429', ok()), /daily API limit/);
+  // Other tenants are unaffected
+  assert.equal((await scheduleXeroCall('day-429-other', ok())).status, 200);
+});
+
+test('no more than five calls for a tenant are in flight at once', async () => {
+  let active = 0;
+  let peak = 0;
+  const call = async () => {
+    active += 1; peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active -= 1;
+    return { headers: {} };
+  };
+  await Promise.all(Array.from({ length: 12 }, () => scheduleXeroCall('concurrency', call)));
+  assert.equal(peak, 5);
+});
+
+test('chunk splits a list into pieces of at most the given size', () => {
+  assert.deepEqual(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+  assert.deepEqual(chunk([], 2), []);
+});